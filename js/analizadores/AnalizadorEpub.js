@@ -6,6 +6,13 @@ class AnalizadorEpub extends AnalizadorLibro {
     constructor() {
         super();
         this.FORMATOS_SOPORTADOS = ['.epub'];
+        this.TIPO_MIME = 'application/epub+zip';
+        this.NS_DC = 'http://purl.org/dc/elements/1.1/';
+        this.NS_OPF = 'http://www.idpf.org/2007/opf';
+        // Idiomas que se escriben de derecha a izquierda ('iw' es el código antiguo del hebreo)
+        this.IDIOMAS_RTL = ['ar', 'he', 'iw', 'fa', 'ur', 'yi', 'ps', 'sd', 'ug', 'dv'];
+        // Entradas que construir() lee como texto: preparar() sólo descomprime éstas
+        this.ENTRADA_DE_TEXTO = /^META-INF\/|\.(x?html?|xml|opf|ncx|css|smil|svg)$/i;
     }
 
     /**
@@ -16,6 +23,25 @@ class AnalizadorEpub extends AnalizadorLibro {
         return this.FORMATOS_SOPORTADOS.includes(extension);
     }
 
+    /**
+     * @inheritdoc
+     * Un EPUB es un ZIP cuya primera entrada es "mimetype"; si va sin comprimir,
+     * como manda OCF, su contenido también debe ser application/epub+zip
+     */
+    puedeAnalizarContenido(bytes) {
+        if (!this.coincideFirma(bytes, 0, 'PK\x03\x04') || !this.coincideFirma(bytes, 30, 'mimetype')) {
+            return false;
+        }
+
+        const leerUint16 = (offset) => bytes[offset] | (bytes[offset + 1] << 8);
+        const metodo = leerUint16(8);
+        const longitudNombre = leerUint16(26);
+        const longitudExtra = leerUint16(28);
+
+        if (longitudNombre !== 'mimetype'.length) return false;
+        return metodo !== 0 || this.coincideFirma(bytes, 30 + longitudNombre + longitudExtra, this.TIPO_MIME);
+    }
+
     /**
      * @inheritdoc
      */
@@ -25,40 +51,167 @@ class AnalizadorEpub extends AnalizadorLibro {
 
     /**
      * @inheritdoc
+     * Descomprime sólo las entradas de texto (contenedor, OPF, índices, XHTML,
+     * CSS...) y devuelve también el archivo original, aún comprimido, del que
+     * se sacan las imágenes, fuentes y audio al pedirse:
+     * { datosArchivo, archivos: { ruta: Uint8Array } }
      */
-    async analizar(datosArchivo) {
+    async preparar(datosArchivo, alProgresar = () => {}) {
         try {
             const zip = await this._descomprimirEpub(datosArchivo);
+            const rutas = Object.keys(zip.files).filter(ruta =>
+                !zip.files[ruta].dir && this.ENTRADA_DE_TEXTO.test(ruta)
+            );
+            const archivos = {};
+
+            for (let i = 0; i < rutas.length; i++) {
+                archivos[rutas[i]] = await this._descomprimirEntrada(zip, rutas[i]);
+                await alProgresar({ fase: 'descomprimiendo', actual: i + 1, total: rutas.length });
+            }
+
+            return { datosArchivo, archivos };
+        } catch (error) {
+            throw this.crearErrorAnalisis('EPUB', error);
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async construir(datosPreparados, alProgresar = () => {}) {
+        try {
+            const zip = await this._abrirZipPreparado(datosPreparados);
             const contenedor = await this._leerContenedor(zip);
             const rutaOpf = this._extraerRutaOpf(contenedor);
             const opf = await this._leerOpf(zip, rutaOpf);
+            const recursos = new CacheRecursos();
+            const desofuscador = new DesofuscadorEpub();
+            await desofuscador.cargar(zip, opf);
+            const resolutor = new ResolutorRecursosEpub(zip, opf, rutaOpf, recursos, desofuscador);
+            this._comprobarDrm(zip, resolutor);
 
             const metadatos = this._extraerMetadatos(opf);
-            const capitulos = await this._extraerCapitulos(zip, opf, rutaOpf);
-            const estilos = await this._extraerEstilos(zip, opf, rutaOpf);
+            const maquetacion = this._extraerMaquetacion(opf);
+            const capitulos = await this._extraerCapitulos(zip, opf, rutaOpf, resolutor, maquetacion, alProgresar);
+            const estilos = await this._extraerEstilos(zip, opf, resolutor);
+            const indice = await this._extraerIndice(zip, opf, rutaOpf, capitulos, resolutor);
+            const portada = this._extraerPortada(opf, resolutor);
+            // Las páginas fijas ya vienen compuestas: su escritura la resuelve el CSS de cada página
+            const modoEscritura = maquetacion.maquetacion === 'fija'
+                ? 'horizontal-tb'
+                : this._extraerModoEscritura(opf, estilos, capitulos);
+            const direccion = this._extraerDireccion(opf, metadatos.idioma, modoEscritura);
+            const direccionTexto = this._esIdiomaRtl(metadatos.idioma) ? 'rtl' : 'ltr';
+
+            this._asignarTitulosDesdeIndice(capitulos, indice);
 
             return new LibroAnalizado({
                 titulo: metadatos.titulo,
                 autor: metadatos.autor,
                 capitulos,
                 metadatos,
-                estilos
+                estilos,
+                indice,
+                recursos,
+                portada,
+                direccion,
+                direccionTexto,
+                modoEscritura,
+                maquetacion: maquetacion.maquetacion,
+                pliegos: maquetacion.pliegos,
+                claseNarracion: this._extraerClaseNarracion(opf),
+                recursosProtegidos: desofuscador.obtenerProtegidos()
             });
         } catch (error) {
-            throw new Error(`Error al analizar EPUB: ${error.message}`);
+            throw this.crearErrorAnalisis('EPUB', error);
         }
     }
 
     /**
      * Descomprime el archivo EPUB (es un ZIP)
+     * @throws {ArchivoCorrupto} Si JSZip no puede leer el directorio central
      * @private
      */
     async _descomprimirEpub(datosArchivo) {
-        const JSZip = window.JSZip;
+        const JSZip = this._obtenerJSZip();
+
+        try {
+            return await JSZip.loadAsync(datosArchivo);
+        } catch (error) {
+            console.warn('ZIP ilegible:', error);
+            throw new ArchivoCorrupto('EPUB', 'no es un ZIP válido o su directorio central está dañado');
+        }
+    }
+
+    /**
+     * Descomprime una entrada del ZIP
+     * @throws {ArchivoCorrupto} Si sus datos comprimidos están truncados o dañados
+     * @private
+     */
+    async _descomprimirEntrada(zip, ruta) {
+        try {
+            return await zip.file(ruta).async('uint8array');
+        } catch (error) {
+            console.warn(`Entrada del ZIP ilegible (${ruta}):`, error);
+            throw new ArchivoCorrupto('EPUB', `no se puede descomprimir ${ruta}`);
+        }
+    }
+
+    /**
+     * Vuelve a abrir el archivo original (sólo se lee su directorio central) y
+     * sustituye las entradas que descomprimió preparar() por su contenido: el
+     * resto del análisis lee de él como del archivo original, y las entradas
+     * binarias se descomprimen cuando se pide su recurso
+     * @private
+     */
+    async _abrirZipPreparado({ datosArchivo, archivos }) {
+        const zip = await this._descomprimirEpub(datosArchivo);
+
+        for (const [ruta, bytes] of Object.entries(archivos)) {
+            zip.file(ruta, bytes, { binary: true, createFolders: false });
+        }
+
+        return zip;
+    }
+
+    /**
+     * Obtiene JSZip del ámbito global (window o el del worker)
+     * @private
+     */
+    _obtenerJSZip() {
+        const JSZip = self.JSZip;
         if (!JSZip) {
             throw new Error('JSZip no está disponible. Asegúrese de incluir la librería.');
         }
-        return await JSZip.loadAsync(datosArchivo);
+        return JSZip;
+    }
+
+    /**
+     * Rechaza los libros cuyo texto está cifrado con DRM: sin él no hay nada que mostrar
+     * (las fuentes o imágenes cifradas sólo se omiten)
+     * @throws {LibroProtegido}
+     * @private
+     */
+    _comprobarDrm(zip, resolutor) {
+        const documentoCifrado = resolutor.obtenerItems().some(item =>
+            /html/.test(item.tipoMime) && resolutor.estaProtegido(item.ruta)
+        );
+
+        if (documentoCifrado) {
+            throw new LibroProtegido(this._identificarDrm(zip));
+        }
+    }
+
+    /**
+     * Identifica el sistema de DRM por los archivos que deja en META-INF
+     * @returns {string|null}
+     * @private
+     */
+    _identificarDrm(zip) {
+        if (zip.file('META-INF/sinf.xml')) return 'Apple FairPlay';
+        if (zip.file('META-INF/license.lcpl')) return 'Readium LCP';
+        if (zip.file('META-INF/rights.xml')) return 'Adobe ADEPT';
+        return null;
     }
 
     /**
@@ -68,7 +221,7 @@ class AnalizadorEpub extends AnalizadorLibro {
     async _leerContenedor(zip) {
         const archivoContenedor = zip.file('META-INF/container.xml');
         if (!archivoContenedor) {
-            throw new Error('Archivo container.xml no encontrado');
+            throw new ArchivoCorrupto('EPUB', 'falta META-INF/container.xml');
         }
         const contenido = await archivoContenedor.async('text');
         return new DOMParser().parseFromString(contenido, 'application/xml');
@@ -93,39 +246,252 @@ class AnalizadorEpub extends AnalizadorLibro {
     async _leerOpf(zip, rutaOpf) {
         const archivoOpf = zip.file(rutaOpf);
         if (!archivoOpf) {
-            throw new Error(`Archivo OPF no encontrado: ${rutaOpf}`);
+            throw new ArchivoCorrupto('EPUB', `falta el paquete OPF (${rutaOpf})`);
         }
         const contenido = await archivoOpf.async('text');
         return new DOMParser().parseFromString(contenido, 'application/xml');
     }
 
     /**
-     * Extrae metadatos del OPF
+     * Extrae metadatos del OPF (Dublin Core + refinamientos EPUB3 + extensiones calibre)
      * @private
      */
     _extraerMetadatos(opf) {
-        const obtenerTexto = (selector) => {
-            const elemento = opf.querySelector(selector);
-            return elemento ? elemento.textContent.trim() : null;
+        const metadata = opf.getElementsByTagNameNS('*', 'metadata')[0];
+        if (!metadata) {
+            return { titulo: 'Sin título', autor: 'Autor desconocido', idioma: 'es' };
+        }
+
+        const elementosDc = (nombre) => Array.from(metadata.getElementsByTagNameNS(this.NS_DC, nombre));
+        const textoDc = (nombre) => {
+            const elemento = elementosDc(nombre).find(e => e.textContent.trim());
+            return elemento ? elemento.textContent.trim() : '';
         };
+        const metas = Array.from(metadata.getElementsByTagNameNS('*', 'meta'));
+        const refinamientos = this._leerRefinamientos(metas);
+
+        const titulos = this._extraerTitulos(elementosDc('title'), refinamientos);
+        const autores = this._extraerPersonas(elementosDc('creator'), refinamientos);
+        const colaboradores = this._extraerPersonas(elementosDc('contributor'), refinamientos);
+        const autorPrincipal = autores.find(persona => !persona.rol || persona.rol === 'aut') || autores[0];
+
+        return {
+            titulo: titulos.principal || 'Sin título',
+            subtitulo: titulos.subtitulo,
+            autor: autorPrincipal ? autorPrincipal.nombre : 'Autor desconocido',
+            autores,
+            colaboradores,
+            idioma: textoDc('language') || 'es',
+            descripcion: textoDc('description'),
+            editorial: textoDc('publisher'),
+            identificadores: this._extraerIdentificadores(opf, elementosDc('identifier')),
+            fechaPublicacion: this._extraerFechaPublicacion(elementosDc('date')),
+            fechaModificacion: this._obtenerValorMeta(metas, 'dcterms:modified'),
+            materias: elementosDc('subject').map(e => e.textContent.trim()).filter(m => m),
+            derechos: textoDc('rights'),
+            serie: this._extraerSerie(metas, refinamientos)
+        };
+    }
+
+    /**
+     * Agrupa los <meta refines="#id" property="..."> por id refinado
+     * @returns {Map<string, Object>} id → { propiedad: valor }
+     * @private
+     */
+    _leerRefinamientos(metas) {
+        const refinamientos = new Map();
+
+        for (const meta of metas) {
+            const refina = meta.getAttribute('refines');
+            const propiedad = meta.getAttribute('property');
+            if (!refina || !propiedad) continue;
+
+            const id = refina.replace(/^#/, '');
+            if (!refinamientos.has(id)) refinamientos.set(id, {});
+
+            const propiedades = refinamientos.get(id);
+            if (!(propiedad in propiedades)) {
+                propiedades[propiedad] = meta.textContent.trim();
+            }
+        }
+
+        return refinamientos;
+    }
+
+    /**
+     * Obtiene el valor de un meta EPUB3 (property) o EPUB2 (name/content)
+     * @private
+     */
+    _obtenerValorMeta(metas, nombre) {
+        const meta = metas.find(m => !m.getAttribute('refines') &&
+            (m.getAttribute('property') === nombre || m.getAttribute('name') === nombre));
+        if (!meta) return '';
+
+        return (meta.getAttribute('property') ? meta.textContent : meta.getAttribute('content') || '').trim();
+    }
+
+    /**
+     * Lee un atributo opf:* de EPUB2 (con o sin namespace declarado)
+     * @private
+     */
+    _obtenerAtributoOpf(elemento, nombre) {
+        return elemento.getAttributeNS(this.NS_OPF, nombre) || elemento.getAttribute(`opf:${nombre}`) || '';
+    }
+
+    /**
+     * Distingue título principal y subtítulo (title-type de EPUB3)
+     * @private
+     */
+    _extraerTitulos(elementos, refinamientos) {
+        const titulos = elementos
+            .map(elemento => ({
+                texto: elemento.textContent.trim(),
+                tipo: (refinamientos.get(elemento.getAttribute('id')) || {})['title-type'] || ''
+            }))
+            .filter(titulo => titulo.texto);
+
+        const principal = titulos.find(t => t.tipo === 'main') || titulos[0];
+        const subtitulo = titulos.find(t => t.tipo === 'subtitle');
 
         return {
-            titulo: obtenerTexto('metadata title') || obtenerTexto('dc\\:title') || 'Sin título',
-            autor: obtenerTexto('metadata creator') || obtenerTexto('dc\\:creator') || 'Autor desconocido',
-            idioma: obtenerTexto('metadata language') || obtenerTexto('dc\\:language') || 'es',
-            descripcion: obtenerTexto('metadata description') || obtenerTexto('dc\\:description') || '',
-            editorial: obtenerTexto('metadata publisher') || obtenerTexto('dc\\:publisher') || ''
+            principal: principal ? principal.texto : '',
+            subtitulo: subtitulo ? subtitulo.texto : ''
         };
     }
 
+    /**
+     * Convierte dc:creator / dc:contributor en personas con rol y orden
+     * (opf:role y opf:file-as de EPUB2, o role / file-as / display-seq de EPUB3)
+     * @returns {Array<{nombre: string, rol: string, ordenarComo: string}>}
+     * @private
+     */
+    _extraerPersonas(elementos, refinamientos) {
+        return elementos
+            .map((elemento, posicion) => {
+                const refinado = refinamientos.get(elemento.getAttribute('id')) || {};
+                return {
+                    nombre: elemento.textContent.trim(),
+                    rol: (refinado.role || this._obtenerAtributoOpf(elemento, 'role')).toLowerCase(),
+                    ordenarComo: refinado['file-as'] || this._obtenerAtributoOpf(elemento, 'file-as'),
+                    orden: parseInt(refinado['display-seq'], 10) || posicion + 1000
+                };
+            })
+            .filter(persona => persona.nombre)
+            .sort((a, b) => a.orden - b.orden)
+            .map(({ nombre, rol, ordenarComo }) => ({ nombre, rol, ordenarComo }));
+    }
+
+    /**
+     * Extrae los dc:identifier con su esquema (ISBN, UUID, ...)
+     * marcando el que el package declara como unique-identifier
+     * @private
+     */
+    _extraerIdentificadores(opf, elementos) {
+        const idPrincipal = opf.documentElement.getAttribute('unique-identifier');
+
+        return elementos
+            .map(elemento => {
+                const valor = elemento.textContent.trim();
+                const esquemaDeclarado = this._obtenerAtributoOpf(elemento, 'scheme');
+                const esquemaUrn = valor.match(/^urn:([a-z]+):/i);
+
+                return {
+                    valor: valor.replace(/^urn:[a-z]+:/i, ''),
+                    esquema: (esquemaDeclarado || (esquemaUrn ? esquemaUrn[1] : '')).toUpperCase(),
+                    principal: Boolean(idPrincipal) && elemento.getAttribute('id') === idPrincipal
+                };
+            })
+            .filter(identificador => identificador.valor);
+    }
+
+    /**
+     * Obtiene la fecha de publicación (en EPUB2 puede haber varias con opf:event)
+     * @private
+     */
+    _extraerFechaPublicacion(elementos) {
+        const fechas = elementos
+            .map(elemento => ({
+                valor: elemento.textContent.trim(),
+                evento: this._obtenerAtributoOpf(elemento, 'event').toLowerCase()
+            }))
+            .filter(fecha => fecha.valor);
+
+        const publicacion = fechas.find(f => f.evento === 'publication' || f.evento === 'original-publication')
+            || fechas.find(f => !f.evento)
+            || fechas[0];
+
+        return publicacion ? publicacion.valor : '';
+    }
+
+    /**
+     * Extrae la serie: belongs-to-collection (EPUB3) o calibre:series
+     * @returns {{nombre: string, posicion: string}|null}
+     * @private
+     */
+    _extraerSerie(metas, refinamientos) {
+        const colecciones = metas.filter(m => m.getAttribute('property') === 'belongs-to-collection' &&
+            !m.getAttribute('refines'));
+
+        for (const coleccion of colecciones) {
+            const refinado = refinamientos.get(coleccion.getAttribute('id')) || {};
+            const tipo = refinado['collection-type'];
+
+            if (!tipo || tipo === 'series') {
+                return {
+                    nombre: coleccion.textContent.trim(),
+                    posicion: refinado['group-position'] || ''
+                };
+            }
+        }
+
+        const serieCalibre = this._obtenerValorMeta(metas, 'calibre:series');
+        if (serieCalibre) {
+            return {
+                nombre: serieCalibre,
+                posicion: this._obtenerValorMeta(metas, 'calibre:series_index')
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Localiza la imagen de portada: properties="cover-image" (EPUB3),
+     * <meta name="cover"> (EPUB2) o, en su defecto, una imagen llamada "cover"
+     * @returns {string|null} Referencia de caché de la portada
+     * @private
+     */
+    _extraerPortada(opf, resolutor) {
+        let item = null;
+
+        const itemCoverImage = opf.querySelector('manifest item[properties~="cover-image"]');
+        if (itemCoverImage) {
+            item = resolutor.obtenerItemPorId(itemCoverImage.getAttribute('id'));
+        }
+
+        if (!item) {
+            const metaPortada = opf.querySelector('meta[name="cover"]');
+            const valor = metaPortada ? metaPortada.getAttribute('content') : null;
+            item = valor ? resolutor.obtenerItemPorId(valor) : null;
+        }
+
+        if (!item) {
+            item = resolutor.obtenerItems().find(candidato =>
+                candidato.tipoMime.startsWith('image/') && /cover|portada/i.test(`${candidato.id} ${candidato.ruta}`)
+            ) || null;
+        }
+
+        return item && item.tipoMime.startsWith('image/')
+            ? resolutor.obtenerReferencia(item.ruta)
+            : null;
+    }
+
     /**
      * Extrae los capítulos del libro
      * @private
      */
-    async _extraerCapitulos(zip, opf, rutaOpf) {
-        const directorio = rutaOpf.includes('/')
-            ? rutaOpf.substring(0, rutaOpf.lastIndexOf('/') + 1)
-            : '';
+    async _extraerCapitulos(zip, opf, rutaOpf, resolutor, maquetacionLibro, alProgresar) {
+        const directorio = resolutor.obtenerDirectorio(rutaOpf);
 
         const spine = opf.querySelector('spine');
         const manifest = opf.querySelector('manifest');
@@ -134,96 +500,367 @@ class AnalizadorEpub extends AnalizadorLibro {
             throw new Error('Estructura OPF inválida');
         }
 
-        const itemrefs = spine.querySelectorAll('itemref');
+        const elementosSpine = this._leerElementosSpine(spine, manifest, directorio, resolutor);
+        const capitulosPorRuta = new Map(elementosSpine.map(elemento => [elemento.ruta, elemento.id]));
         const capitulos = [];
 
+        for (const [posicion, elemento] of elementosSpine.entries()) {
+            const archivo = zip.file(elemento.ruta);
+
+            if (archivo) {
+                const maquetacion = this._obtenerMaquetacionItem(elemento.propiedades, maquetacionLibro.maquetacion);
+                const { contenido, clasesRaiz, viewport } = await this._procesarContenidoHtml(
+                    await archivo.async('text'),
+                    resolutor,
+                    {
+                        directorio: resolutor.obtenerDirectorio(elemento.ruta),
+                        capituloId: elemento.id,
+                        capitulosPorRuta,
+                        maquetacion,
+                        viewportPorDefecto: maquetacionLibro.viewport
+                    }
+                );
+
+                capitulos.push(new Capitulo({
+                    id: elemento.id,
+                    titulo: this._extraerTituloCapitulo(contenido, elemento.orden + 1),
+                    contenidoHtml: contenido,
+                    orden: elemento.orden,
+                    ruta: elemento.ruta,
+                    lineal: elemento.lineal,
+                    propiedades: elemento.propiedades,
+                    clasesRaiz,
+                    maquetacion,
+                    viewport,
+                    lado: this._obtenerLadoPliego(elemento.propiedades),
+                    narracion: await this._extraerNarracion(zip, elemento, resolutor)
+                }));
+            }
+
+            await alProgresar({ fase: 'capitulos', actual: posicion + 1, total: elementosSpine.length });
+        }
+
+        return capitulos;
+    }
+
+    /**
+     * Lee los itemref del spine resolviendo la ruta de cada documento
+     * y conservando linear, properties (page-spread-*, rendition:*)
+     * y el id del media-overlay del item
+     * @private
+     */
+    _leerElementosSpine(spine, manifest, directorio, resolutor) {
+        const elementos = [];
+        const itemrefs = spine.querySelectorAll('itemref');
+
         for (let i = 0; i < itemrefs.length; i++) {
             const idref = itemrefs[i].getAttribute('idref');
             const item = manifest.querySelector(`item[id="${idref}"]`);
 
             if (item) {
-                const href = item.getAttribute('href');
-                const rutaCompleta = directorio + href;
-                const archivo = zip.file(rutaCompleta);
-
-                if (archivo) {
-                    let contenido = await archivo.async('text');
-                    contenido = await this._procesarContenidoHtml(contenido, zip, directorio);
-
-                    capitulos.push(new Capitulo({
-                        id: idref,
-                        titulo: this._extraerTituloCapitulo(contenido, i + 1),
-                        contenidoHtml: contenido,
-                        orden: i
-                    }));
-                }
+                elementos.push({
+                    id: idref,
+                    orden: i,
+                    ruta: resolutor.resolverRuta(directorio, item.getAttribute('href')),
+                    lineal: itemrefs[i].getAttribute('linear') !== 'no',
+                    propiedades: (itemrefs[i].getAttribute('properties') || '').split(/\s+/).filter(p => p),
+                    narracion: item.getAttribute('media-overlay')
+                });
             }
         }
 
-        return capitulos;
+        return elementos;
     }
 
     /**
-     * Procesa el contenido HTML para convertir imágenes a base64
+     * Lee el media overlay (SMIL) de un documento del spine: cada <par> empareja
+     * un fragmento del texto con un tramo de audio
+     * @returns {Array<{ancla: string, audio: string, inicio: number, fin: number|null}>}
      * @private
      */
-    async _procesarContenidoHtml(html, zip, directorio) {
-        const doc = new DOMParser().parseFromString(html, 'text/html');
-        const imagenes = doc.querySelectorAll('img');
-
-        for (const img of imagenes) {
-            const src = img.getAttribute('src');
-            if (src && !src.startsWith('data:')) {
-                const rutaImagen = this._resolverRuta(directorio, src);
-                const archivoImagen = zip.file(rutaImagen);
-
-                if (archivoImagen) {
-                    const extension = src.split('.').pop().toLowerCase();
-                    const tipoMime = this._obtenerTipoMimeImagen(extension);
-                    const datosBase64 = await archivoImagen.async('base64');
-                    img.setAttribute('src', `data:${tipoMime};base64,${datosBase64}`);
-                }
-            }
+    async _extraerNarracion(zip, elemento, resolutor) {
+        const item = elemento.narracion ? resolutor.obtenerItemPorId(elemento.narracion) : null;
+        const archivo = item ? zip.file(item.ruta) : null;
+        if (!archivo) return [];
+
+        const smil = new DOMParser().parseFromString(await archivo.async('text'), 'application/xml');
+        const directorio = resolutor.obtenerDirectorio(item.ruta);
+        const fragmentos = [];
+
+        for (const par of smil.getElementsByTagNameNS('*', 'par')) {
+            const texto = par.getElementsByTagNameNS('*', 'text')[0];
+            const audio = par.getElementsByTagNameNS('*', 'audio')[0];
+            const src = texto ? texto.getAttribute('src') || '' : '';
+            if (!audio || !src.includes('#')) continue;
+
+            // Sólo los fragmentos que apuntan a este documento
+            if (resolutor.resolverRuta(directorio, src) !== elemento.ruta) continue;
+
+            const referencia = resolutor.obtenerReferencia(
+                resolutor.resolverRuta(directorio, audio.getAttribute('src') || '')
+            );
+            if (!referencia) continue;
+
+            fragmentos.push({
+                ancla: resolutor.decodificarSegmento(src.substring(src.indexOf('#') + 1)),
+                audio: referencia,
+                inicio: this._leerTiempoSmil(audio.getAttribute('clipBegin')) || 0,
+                fin: this._leerTiempoSmil(audio.getAttribute('clipEnd'))
+            });
         }
 
-        return doc.body ? doc.body.innerHTML : html;
+        return fragmentos;
     }
 
     /**
-     * Resuelve rutas relativas
+     * Convierte un valor de reloj SMIL a segundos:
+     * "1:02:03.5", "02:03.5", "3.5s", "350ms", "2min", "1h" o "3.5"
+     * @returns {number|null}
      * @private
      */
-    _resolverRuta(directorio, rutaRelativa) {
-        if (rutaRelativa.startsWith('../')) {
-            const partes = directorio.split('/').filter(p => p);
-            const partesRelativas = rutaRelativa.split('/');
+    _leerTiempoSmil(valor) {
+        const texto = (valor || '').trim();
 
-            for (const parte of partesRelativas) {
-                if (parte === '..') {
-                    partes.pop();
-                } else if (parte !== '.') {
-                    partes.push(parte);
-                }
+        const reloj = texto.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+        if (reloj) {
+            return parseInt(reloj[1] || '0', 10) * 3600 + parseInt(reloj[2], 10) * 60 + parseFloat(reloj[3]);
+        }
+
+        const cantidad = texto.match(/^(\d+(?:\.\d+)?)(h|min|s|ms)?$/);
+        if (cantidad) {
+            const unidades = { h: 3600, min: 60, s: 1, ms: 0.001 };
+            return parseFloat(cantidad[1]) * unidades[cantidad[2] || 's'];
+        }
+
+        return null;
+    }
+
+    /**
+     * Lee la maquetación global del OPF (metas rendition:* de EPUB3)
+     * @returns {{maquetacion: string, pliegos: string, viewport: Object|null}}
+     * @private
+     */
+    _extraerMaquetacion(opf) {
+        const metas = Array.from(opf.getElementsByTagNameNS('*', 'meta'));
+        const layout = this._obtenerValorMeta(metas, 'rendition:layout');
+        const spread = this._obtenerValorMeta(metas, 'rendition:spread');
+
+        return {
+            maquetacion: layout === 'pre-paginated' ? 'fija' : 'fluida',
+            // 'portrait' está obsoleto y equivale a 'both'
+            pliegos: spread === 'portrait' ? 'both' : (spread || 'auto'),
+            viewport: this._leerViewport(this._obtenerValorMeta(metas, 'rendition:viewport'))
+        };
+    }
+
+    /**
+     * Maquetación de un itemref: sus propiedades rendition:layout-* mandan sobre la global
+     * @private
+     */
+    _obtenerMaquetacionItem(propiedades, maquetacionLibro) {
+        if (propiedades.includes('rendition:layout-pre-paginated')) return 'fija';
+        if (propiedades.includes('rendition:layout-reflowable')) return 'fluida';
+        return maquetacionLibro;
+    }
+
+    /**
+     * Lado del pliego de un itemref (page-spread-* o rendition:page-spread-*)
+     * @private
+     */
+    _obtenerLadoPliego(propiedades) {
+        const lados = { left: 'izquierda', right: 'derecha', center: 'centro' };
+
+        for (const propiedad of propiedades) {
+            const coincidencia = propiedad.match(/^(?:rendition:)?page-spread-(left|right|center)$/);
+            if (coincidencia) return lados[coincidencia[1]];
+        }
+        return null;
+    }
+
+    /**
+     * Interpreta un viewport "width=1200, height=1600"
+     * @returns {{ancho: number, alto: number}|null}
+     * @private
+     */
+    _leerViewport(texto) {
+        const ancho = parseFloat(((texto || '').match(/width\s*=\s*([\d.]+)/i) || [])[1]);
+        const alto = parseFloat(((texto || '').match(/height\s*=\s*([\d.]+)/i) || [])[1]);
+
+        return ancho > 0 && alto > 0 ? { ancho, alto } : null;
+    }
+
+    /**
+     * Obtiene el viewport de una página fija: meta viewport del XHTML
+     * o, en páginas SVG, su viewBox / width y height
+     * @private
+     */
+    _obtenerViewportPagina(doc) {
+        const meta = doc.querySelector('meta[name="viewport"]');
+        const viewport = meta ? this._leerViewport(meta.getAttribute('content')) : null;
+        if (viewport) return viewport;
+
+        const svg = doc.querySelector('body > svg');
+        if (!svg) return null;
+
+        const caja = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+        if (caja.length === 4 && caja[2] > 0 && caja[3] > 0) {
+            return { ancho: caja[2], alto: caja[3] };
+        }
+        return this._leerViewport(`width=${svg.getAttribute('width')}, height=${svg.getAttribute('height')}`);
+    }
+
+    /**
+     * Clase que el libro pide aplicar al fragmento que se está narrando (media:active-class)
+     * @returns {string|null}
+     * @private
+     */
+    _extraerClaseNarracion(opf) {
+        const metas = Array.from(opf.getElementsByTagNameNS('*', 'meta'));
+        const clase = (this._obtenerValorMeta(metas, 'media:active-class') || '').trim();
+
+        return /^-?[_a-zA-Z][\w-]*$/.test(clase) ? clase : null;
+    }
+
+    /**
+     * Obtiene el sentido de avance de las páginas: page-progression-direction
+     * del spine o, si es "default", el propio del modo de escritura o del idioma
+     * @private
+     */
+    _extraerDireccion(opf, idioma, modoEscritura) {
+        const spine = opf.querySelector('spine');
+        const direccion = spine ? spine.getAttribute('page-progression-direction') : null;
+
+        if (direccion === 'rtl' || direccion === 'ltr') return direccion;
+        if (modoEscritura === 'vertical-rl') return 'rtl';
+
+        return this._esIdiomaRtl(idioma) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Indica si un idioma (etiqueta BCP 47: "ar", "he-IL"...) se escribe de derecha a izquierda
+     * @private
+     */
+    _esIdiomaRtl(idioma) {
+        const idiomaBase = (idioma || '').toLowerCase().split('-')[0];
+        return this.IDIOMAS_RTL.includes(idiomaBase);
+    }
+
+    /**
+     * Detecta la escritura vertical: meta primary-writing-mode o, si no existe,
+     * una regla writing-mode del CSS del libro aplicada al documento
+     * (html, body, :root o una clase que lleven el <html>/<body> de los capítulos)
+     * @private
+     */
+    _extraerModoEscritura(opf, estilos, capitulos) {
+        const meta = Array.from(opf.getElementsByTagNameNS('*', 'meta'))
+            .find(m => m.getAttribute('name') === 'primary-writing-mode');
+        const declarado = meta ? (meta.getAttribute('content') || '').trim() : '';
+
+        if (declarado) {
+            return declarado.startsWith('vertical-') ? declarado : 'horizontal-tb';
+        }
+
+        const clasesRaiz = new Set(capitulos.flatMap(capitulo => capitulo.clasesRaiz));
+        const css = (estilos || '').replace(/\/\*[\s\S]*?\*\//g, '');
+
+        for (const [, selectores, declaraciones] of css.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+            const modo = declaraciones.match(/(?:-epub-|-webkit-)?writing-mode\s*:\s*(vertical-rl|vertical-lr|tb-rl|tb-lr)/i);
+            if (!modo) continue;
+
+            const aplicaAlDocumento = selectores.split(',').some(selector => {
+                const compuesto = selector.trim().split(/[\s>+~]+/).pop();
+                return /^(html|body|:root)\b/i.test(compuesto) ||
+                    Array.from(compuesto.matchAll(/\.([\w-]+)/g)).some(([, clase]) => clasesRaiz.has(clase));
+            });
+
+            if (aplicaAlDocumento) {
+                return modo[1].toLowerCase().replace(/^tb-/, 'vertical-');
             }
-            return partes.join('/');
         }
-        return directorio + rutaRelativa;
+
+        return 'horizontal-tb';
     }
 
     /**
-     * Obtiene el tipo MIME de una imagen por extensión
+     * Procesa el contenido HTML de un capítulo: resuelve sus recursos
+     * y reescribe los enlaces internos para que apunten al visor
+     * @param {string} html
+     * @param {ResolutorRecursosEpub} resolutor
+     * @param {Object} contexto - { directorio, capituloId, capitulosPorRuta, maquetacion, viewportPorDefecto }
+     * @returns {Promise<{contenido: string, clasesRaiz: string[], viewport: Object|null}>}
      * @private
      */
-    _obtenerTipoMimeImagen(extension) {
-        const tipos = {
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'png': 'image/png',
-            'gif': 'image/gif',
-            'svg': 'image/svg+xml',
-            'webp': 'image/webp'
+    async _procesarContenidoHtml(html, resolutor, contexto) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        resolutor.reescribirHtml(doc, contexto.directorio);
+        this._reescribirEnlaces(doc, resolutor, contexto);
+
+        const clasesRaiz = [doc.documentElement, doc.body]
+            .filter(elemento => elemento)
+            .flatMap(elemento => Array.from(elemento.classList))
+            .filter(clase => /^[\w-]+$/.test(clase));
+
+        // Las páginas fijas se muestran aisladas en su propio marco: conservan
+        // los <style> de la cabecera, que suelen posicionar los elementos de la página
+        let viewport = null;
+        if (contexto.maquetacion === 'fija' && doc.body) {
+            viewport = this._obtenerViewportPagina(doc) || contexto.viewportPorDefecto;
+            for (const estilo of Array.from(doc.head ? doc.head.querySelectorAll('style') : []).reverse()) {
+                doc.body.prepend(estilo);
+            }
+        }
+
+        return {
+            contenido: doc.body ? doc.body.innerHTML : html,
+            clasesRaiz: Array.from(new Set(clasesRaiz)),
+            viewport
         };
-        return tipos[extension] || 'image/jpeg';
+    }
+
+    /**
+     * Reescribe los enlaces del capítulo:
+     * - internos (otro documento del spine o #ancla) → sección del visor + data-capitulo/data-ancla
+     * - externos (http, https, mailto) → se marcan para abrirse en otra pestaña
+     * - a documentos fuera del spine → se desactivan para no abandonar el lector
+     * @private
+     */
+    _reescribirEnlaces(doc, resolutor, { directorio, capituloId, capitulosPorRuta }) {
+        for (const enlace of doc.querySelectorAll('a[href]')) {
+            const href = enlace.getAttribute('href').trim();
+
+            if (/^(https?:|mailto:)/i.test(href)) {
+                enlace.setAttribute('target', '_blank');
+                enlace.setAttribute('rel', 'noopener noreferrer');
+                enlace.setAttribute('data-enlace-externo', '');
+                continue;
+            }
+
+            if (/^[a-z][a-z0-9+.-]*:/i.test(href)) continue;
+
+            const posicionAncla = href.indexOf('#');
+            const ruta = posicionAncla !== -1 ? href.substring(0, posicionAncla) : href;
+            const ancla = posicionAncla !== -1
+                ? resolutor.decodificarSegmento(href.substring(posicionAncla + 1))
+                : '';
+            const destinoId = ruta
+                ? capitulosPorRuta.get(resolutor.resolverRuta(directorio, ruta))
+                : capituloId;
+
+            if (!destinoId) {
+                enlace.removeAttribute('href');
+                enlace.setAttribute('data-enlace-roto', href);
+                continue;
+            }
+
+            enlace.setAttribute('href', `#capitulo-${destinoId}`);
+            enlace.setAttribute('data-capitulo', destinoId);
+            if (ancla) {
+                enlace.setAttribute('data-ancla', ancla);
+            } else {
+                enlace.removeAttribute('data-ancla');
+            }
+        }
     }
 
     /**
@@ -245,26 +882,207 @@ class AnalizadorEpub extends AnalizadorLibro {
     }
 
     /**
-     * Extrae los estilos CSS del EPUB
+     * Extrae la tabla de contenidos del libro.
+     * Prioriza el documento de navegación EPUB3 y recurre al toc.ncx de EPUB2.
      * @private
      */
-    async _extraerEstilos(zip, opf, rutaOpf) {
-        const directorio = rutaOpf.includes('/')
-            ? rutaOpf.substring(0, rutaOpf.lastIndexOf('/') + 1)
-            : '';
+    async _extraerIndice(zip, opf, rutaOpf, capitulos, resolutor) {
+        const directorio = resolutor.obtenerDirectorio(rutaOpf);
+        const capitulosPorRuta = new Map(capitulos.map(cap => [cap.ruta, cap.id]));
+
+        try {
+            const itemNav = opf.querySelector('manifest item[properties~="nav"]');
+            if (itemNav) {
+                const rutaNav = resolutor.resolverRuta(directorio, itemNav.getAttribute('href'));
+                const indice = await this._leerIndiceNav(zip, rutaNav, capitulosPorRuta, resolutor);
+                if (indice.length > 0) return indice;
+            }
+
+            const itemNcx = this._buscarItemNcx(opf);
+            if (itemNcx) {
+                const rutaNcx = resolutor.resolverRuta(directorio, itemNcx.getAttribute('href'));
+                return await this._leerIndiceNcx(zip, rutaNcx, capitulosPorRuta, resolutor);
+            }
+        } catch (e) {
+            console.warn('No se pudo leer la tabla de contenidos:', e);
+        }
+
+        return [];
+    }
+
+    /**
+     * Localiza el item del manifest que contiene el toc.ncx
+     * @private
+     */
+    _buscarItemNcx(opf) {
+        const spine = opf.querySelector('spine');
+        const idToc = spine ? spine.getAttribute('toc') : null;
 
+        if (idToc) {
+            const item = opf.querySelector(`manifest item[id="${idToc}"]`);
+            if (item) return item;
+        }
+        return opf.querySelector('manifest item[media-type="application/x-dtbncx+xml"]');
+    }
+
+    /**
+     * Lee el documento de navegación EPUB3 (nav[epub:type="toc"])
+     * @private
+     */
+    async _leerIndiceNav(zip, rutaNav, capitulosPorRuta, resolutor) {
+        const archivo = zip.file(rutaNav);
+        if (!archivo) return [];
+
+        const contenido = await archivo.async('text');
+        const doc = new DOMParser().parseFromString(contenido, 'text/html');
+        const navs = Array.from(doc.querySelectorAll('nav'));
+        const navToc = navs.find(nav => (nav.getAttribute('epub:type') || '').split(/\s+/).includes('toc'))
+            || navs[0];
+
+        if (!navToc) return [];
+
+        const lista = Array.from(navToc.children).find(hijo => hijo.tagName === 'OL');
+        return lista
+            ? this._convertirListaNav(lista, resolutor.obtenerDirectorio(rutaNav), capitulosPorRuta, resolutor)
+            : [];
+    }
+
+    /**
+     * Convierte recursivamente un <ol> del nav en entradas del índice
+     * @private
+     */
+    _convertirListaNav(lista, directorio, capitulosPorRuta, resolutor) {
+        const entradas = [];
+
+        for (const li of Array.from(lista.children)) {
+            if (li.tagName !== 'LI') continue;
+
+            const hijosLi = Array.from(li.children);
+            const etiqueta = hijosLi.find(hijo => hijo.tagName === 'A' || hijo.tagName === 'SPAN');
+            const sublista = hijosLi.find(hijo => hijo.tagName === 'OL');
+            const href = etiqueta && etiqueta.tagName === 'A' ? etiqueta.getAttribute('href') : null;
+
+            entradas.push(this._crearEntradaIndice(
+                etiqueta ? etiqueta.textContent : '',
+                href,
+                directorio,
+                capitulosPorRuta,
+                resolutor,
+                sublista ? this._convertirListaNav(sublista, directorio, capitulosPorRuta, resolutor) : []
+            ));
+        }
+
+        return entradas;
+    }
+
+    /**
+     * Lee la tabla de contenidos EPUB2 (toc.ncx)
+     * @private
+     */
+    async _leerIndiceNcx(zip, rutaNcx, capitulosPorRuta, resolutor) {
+        const archivo = zip.file(rutaNcx);
+        if (!archivo) return [];
+
+        const contenido = await archivo.async('text');
+        const ncx = new DOMParser().parseFromString(contenido, 'application/xml');
+        const navMap = ncx.querySelector('navMap');
+
+        return navMap
+            ? this._convertirNavPoints(navMap, resolutor.obtenerDirectorio(rutaNcx), capitulosPorRuta, resolutor)
+            : [];
+    }
+
+    /**
+     * Convierte recursivamente los navPoint hijos de un nodo NCX
+     * @private
+     */
+    _convertirNavPoints(nodo, directorio, capitulosPorRuta, resolutor) {
+        const entradas = [];
+        const navPoints = Array.from(nodo.children).filter(hijo => hijo.localName === 'navPoint');
+
+        for (const navPoint of navPoints) {
+            const hijos = Array.from(navPoint.children);
+            const navLabel = hijos.find(hijo => hijo.localName === 'navLabel');
+            const content = hijos.find(hijo => hijo.localName === 'content');
+
+            entradas.push(this._crearEntradaIndice(
+                navLabel ? navLabel.textContent : '',
+                content ? content.getAttribute('src') : null,
+                directorio,
+                capitulosPorRuta,
+                resolutor,
+                this._convertirNavPoints(navPoint, directorio, capitulosPorRuta, resolutor)
+            ));
+        }
+
+        return entradas;
+    }
+
+    /**
+     * Crea una entrada del índice resolviendo el href a capítulo + ancla
+     * @private
+     */
+    _crearEntradaIndice(texto, href, directorio, capitulosPorRuta, resolutor, hijos) {
+        let capituloId = null;
+        let ancla = null;
+
+        if (href) {
+            const posicionAncla = href.indexOf('#');
+            ancla = posicionAncla !== -1
+                ? resolutor.decodificarSegmento(href.substring(posicionAncla + 1)) || null
+                : null;
+            capituloId = capitulosPorRuta.get(resolutor.resolverRuta(directorio, href)) || null;
+        }
+
+        return new EntradaIndice({
+            titulo: texto.replace(/\s+/g, ' ').trim(),
+            capituloId,
+            ancla,
+            hijos
+        });
+    }
+
+    /**
+     * Usa los títulos de la tabla de contenidos en lugar de los deducidos del HTML
+     * @private
+     */
+    _asignarTitulosDesdeIndice(capitulos, indice) {
+        const titulos = new Map();
+
+        const recorrer = (entradas) => {
+            for (const entrada of entradas) {
+                if (entrada.capituloId && entrada.titulo && !titulos.has(entrada.capituloId)) {
+                    titulos.set(entrada.capituloId, entrada.titulo);
+                }
+                recorrer(entrada.hijos);
+            }
+        };
+        recorrer(indice);
+
+        for (const capitulo of capitulos) {
+            if (titulos.has(capitulo.id)) {
+                capitulo.titulo = titulos.get(capitulo.id);
+            }
+        }
+    }
+
+    /**
+     * Extrae los estilos CSS del EPUB, con sus url() ya resueltas
+     * @private
+     */
+    async _extraerEstilos(zip, opf, resolutor) {
         const manifest = opf.querySelector('manifest');
         const itemsCss = manifest.querySelectorAll('item[media-type="text/css"]');
 
         let estilosCombinados = '';
 
         for (const item of itemsCss) {
-            const href = item.getAttribute('href');
-            const archivo = zip.file(directorio + href);
+            const ruta = resolutor.obtenerItemPorId(item.getAttribute('id'))?.ruta;
+            const archivo = ruta && !resolutor.estaProtegido(ruta) ? zip.file(ruta) : null;
 
             if (archivo) {
                 const contenido = await archivo.async('text');
-                estilosCombinados += contenido + '\n';
+                estilosCombinados += resolutor.reescribirCss(contenido, resolutor.obtenerDirectorio(ruta)) + '\n';
             }
         }
 
@@ -1,15 +1,48 @@
 /**
  * Interfaz abstracta para analizadores de libros (SRP + DIP)
  * Define el contrato que deben cumplir todos los analizadores
+ *
+ * El análisis tiene dos fases para poder sacar el trabajo pesado del hilo principal:
+ * preparar() sólo maneja bytes (descompresión, extracción de imágenes), no usa
+ * el DOM y puede ejecutarse en un Web Worker; construir() parsea el HTML con
+ * DOMParser y crea el LibroAnalizado en el hilo principal.
+ *
+ * Ambas fases informan del avance con alProgresar({ fase, actual, total }), donde
+ * fase es 'descomprimiendo', 'imagenes' o 'capitulos'. Si alProgresar devuelve
+ * una promesa se espera: así la interfaz puede repintarse y cancelar el análisis
+ * (lanzando AnalisisCancelado) entre un paso y el siguiente.
  */
 class AnalizadorLibro {
     /**
-     * Analiza un archivo y extrae su contenido
+     * Analiza un archivo y extrae su contenido (las dos fases seguidas)
      * @param {ArrayBuffer} datosArchivo - Datos binarios del archivo
+     * @param {Function} [alProgresar] - Recibe { fase, actual, total }
      * @returns {Promise<LibroAnalizado>} Libro procesado
      */
-    async analizar(datosArchivo) {
-        throw new Error('El método analizar() debe ser implementado por las subclases');
+    async analizar(datosArchivo, alProgresar = () => {}) {
+        const datosPreparados = await this.preparar(datosArchivo, alProgresar);
+        return this.construir(datosPreparados, alProgresar);
+    }
+
+    /**
+     * Fase binaria: sin DOM ni window, apta para un Web Worker.
+     * Lo que devuelve debe poder enviarse con postMessage (sin clases ni funciones)
+     * @param {ArrayBuffer} datosArchivo - Datos binarios del archivo
+     * @param {Function} [alProgresar]
+     * @returns {Promise<Object>} Datos preparados para construir()
+     */
+    async preparar(datosArchivo, alProgresar = () => {}) {
+        return datosArchivo;
+    }
+
+    /**
+     * Fase de documento: crea el libro a partir de los datos preparados
+     * @param {Object} datosPreparados - Resultado de preparar()
+     * @param {Function} [alProgresar]
+     * @returns {Promise<LibroAnalizado>}
+     */
+    async construir(datosPreparados, alProgresar = () => {}) {
+        throw new Error('El método construir() debe ser implementado por las subclases');
     }
 
     /**
@@ -21,6 +54,33 @@ class AnalizadorLibro {
         throw new Error('El método puedeAnalizar() debe ser implementado por las subclases');
     }
 
+    /**
+     * Verifica por su firma (los primeros bytes) si el archivo es de este formato,
+     * tenga la extensión que tenga. Los analizadores que no la implementan sólo
+     * se eligen por la extensión
+     * @param {Uint8Array} bytes - Contenido del archivo (basta con mirar el principio)
+     * @returns {boolean}
+     */
+    puedeAnalizarContenido(bytes) {
+        return false;
+    }
+
+    /**
+     * Compara un tramo de bytes con una firma ASCII
+     * @param {Uint8Array} bytes
+     * @param {number} offset
+     * @param {string} firma
+     * @returns {boolean}
+     */
+    coincideFirma(bytes, offset, firma) {
+        if (bytes.length < offset + firma.length) return false;
+
+        for (let i = 0; i < firma.length; i++) {
+            if (bytes[offset + i] !== firma.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
     /**
      * Obtiene los formatos soportados por este analizador
      * @returns {string[]}
@@ -28,29 +88,211 @@ class AnalizadorLibro {
     obtenerFormatosSoportados() {
         throw new Error('El método obtenerFormatosSoportados() debe ser implementado');
     }
+
+    /**
+     * Añade el formato al mensaje de un error de análisis; las cancelaciones y
+     * los errores de libro (ErrorLibro) se devuelven tal cual, y las lecturas
+     * fuera de los datos (RangeError de DataView) indican un archivo dañado
+     * @param {string} formato - 'EPUB', 'MOBI'...
+     * @param {Error} error
+     * @returns {Error}
+     */
+    crearErrorAnalisis(formato, error) {
+        if (error instanceof AnalisisCancelado || error instanceof ErrorLibro) return error;
+        if (error instanceof RangeError) {
+            return new ArchivoCorrupto(formato, 'sus datos terminan antes de lo que indica su estructura');
+        }
+        return new Error(`Error al analizar ${formato}: ${error.message}`);
+    }
+}
+
+/**
+ * Error con el que se interrumpe un análisis que el usuario ha cancelado
+ * (no es un fallo del archivo: no se muestra como error)
+ */
+class AnalisisCancelado extends Error {
+    constructor() {
+        super('Carga cancelada');
+        this.name = 'AnalisisCancelado';
+    }
+}
+
+/**
+ * Error de un libro que no se puede abrir por una causa conocida: además del
+ * mensaje lleva un título y una explicación de qué puede hacer el usuario
+ */
+class ErrorLibro extends Error {
+    /**
+     * @param {string} titulo - Resumen corto ("Libro protegido con DRM")
+     * @param {string} mensaje - Qué le pasa a este archivo
+     * @param {string} explicacion - Por qué no se puede abrir y qué hacer
+     */
+    constructor(titulo, mensaje, explicacion) {
+        super(mensaje);
+        this.name = 'ErrorLibro';
+        this.titulo = titulo;
+        this.explicacion = explicacion;
+    }
+
+    /**
+     * Datos clonables para enviar el error con postMessage: sus campos propios
+     * (name, titulo, explicacion...) y el mensaje
+     * @returns {Object}
+     */
+    serializar() {
+        return { ...this, mensaje: this.message };
+    }
+
+    /**
+     * Reconstruye un error recibido de un worker, con su clase original
+     * @param {Object} datos - Resultado de serializar()
+     * @returns {ErrorLibro}
+     */
+    static deserializar({ mensaje, ...campos }) {
+        const clases = { LibroProtegido, ArchivoCorrupto, FormatoNoSoportado };
+        const error = Reflect.construct(Error, [mensaje], clases[campos.name] || ErrorLibro);
+        return Object.assign(error, campos);
+    }
+}
+
+/**
+ * El libro está cifrado con DRM: sin la clave de la tienda no se puede leer
+ */
+class LibroProtegido extends ErrorLibro {
+    /**
+     * @param {string|null} sistema - 'Adobe ADEPT', 'Apple FairPlay', 'Kindle'... (null = desconocido)
+     */
+    constructor(sistema = null) {
+        super(
+            'Libro protegido con DRM',
+            sistema ? `El libro está protegido con DRM (${sistema}) y no se puede abrir` : 'El libro está protegido con DRM y no se puede abrir',
+            'El contenido está cifrado para la cuenta con la que se compró y esta aplicación no puede descifrarlo. ' +
+            'Ábrelo con la aplicación o el lector de la tienda donde lo conseguiste, o descarga de ella una copia sin DRM si la ofrece.'
+        );
+        this.name = 'LibroProtegido';
+        this.sistema = sistema;
+    }
+}
+
+/**
+ * El archivo está incompleto o dañado: su estructura no se puede leer
+ */
+class ArchivoCorrupto extends ErrorLibro {
+    /**
+     * @param {string} formato - 'EPUB', 'MOBI'...
+     * @param {string} motivo - Qué parte de la estructura falla
+     */
+    constructor(formato, motivo) {
+        super(
+            'Archivo dañado',
+            `El archivo ${formato} está dañado: ${motivo}`,
+            'Suele deberse a una descarga interrumpida o a una copia incompleta. ' +
+            'Vuelve a descargar el libro o cópialo de nuevo desde su origen e inténtalo otra vez.'
+        );
+        this.name = 'ArchivoCorrupto';
+        this.formato = formato;
+    }
+}
+
+/**
+ * Ningún analizador reconoce el archivo
+ */
+class FormatoNoSoportado extends ErrorLibro {
+    /**
+     * @param {string} nombreArchivo
+     * @param {string[]} formatos - Extensiones que sí se pueden abrir
+     */
+    constructor(nombreArchivo, formatos) {
+        super(
+            'Formato no soportado',
+            `Formato no soportado: ${nombreArchivo}`,
+            `Sólo se pueden abrir libros en estos formatos: ${formatos.join(', ')}. ` +
+            'Si el libro está en otro formato, conviértelo antes con una herramienta como Calibre.'
+        );
+        this.name = 'FormatoNoSoportado';
+    }
 }
 
 /**
  * Estructura de datos para un libro analizado
+ * Los recursos binarios (imágenes, fuentes...) viven en una CacheRecursos y el
+ * HTML/CSS de los capítulos los referencia como "recurso:<clave>"
+ *
+ * metadatos admite (todos opcionales salvo titulo/autor/idioma):
+ *   titulo, subtitulo, autor (principal), idioma, descripcion, editorial,
+ *   autores / colaboradores: [{ nombre, rol (código MARC: aut, trl, edt...), ordenarComo }],
+ *   identificadores: [{ valor, esquema (ISBN, UUID, ASIN...), principal }],
+ *   fechaPublicacion, fechaModificacion, materias: [string], derechos,
+ *   serie: { nombre, posicion } | null
+ *
+ * direccion es el sentido de avance de las páginas: 'ltr' o 'rtl' (árabe, hebreo, manga...)
+ * y direccionTexto el de las líneas, que sólo es 'rtl' si el idioma se escribe así
+ * (un manga avanza de derecha a izquierda, pero su texto no es RTL)
+ * modoEscritura es 'horizontal-tb', 'vertical-rl' o 'vertical-lr' (japonés, chino...)
+ * maquetacion es 'fluida' o 'fija' (EPUB3 rendition:layout pre-paginated: cómics, álbumes...)
+ * y pliegos el rendition:spread declarado ('auto', 'none', 'landscape', 'both')
+ * claseNarracion es la clase que el libro aplica al fragmento narrado (media:active-class)
+ * y recursosProtegidos las rutas de los recursos cifrados con DRM que no se pueden mostrar
  */
 class LibroAnalizado {
-    constructor({ titulo, autor, capitulos, metadatos, estilos }) {
+    constructor({
+        titulo, autor, capitulos, metadatos, estilos, indice, recursos, portada,
+        direccion, direccionTexto, modoEscritura, maquetacion, pliegos, claseNarracion, recursosProtegidos
+    }) {
         this.titulo = titulo || 'Sin título';
         this.autor = autor || 'Autor desconocido';
         this.capitulos = capitulos || [];
         this.metadatos = metadatos || {};
         this.estilos = estilos || '';
+        this.indice = indice || [];
+        this.recursos = recursos || null;
+        this.portada = portada || null;
+        this.direccion = direccion === 'rtl' ? 'rtl' : 'ltr';
+        this.direccionTexto = direccionTexto === 'rtl' ? 'rtl' : 'ltr';
+        this.modoEscritura = ['vertical-rl', 'vertical-lr'].includes(modoEscritura) ? modoEscritura : 'horizontal-tb';
+        this.maquetacion = maquetacion === 'fija' ? 'fija' : 'fluida';
+        this.pliegos = pliegos || 'auto';
+        this.claseNarracion = claseNarracion || null;
+        this.recursosProtegidos = recursosProtegidos || [];
     }
 }
 
 /**
  * Estructura de datos para un capítulo
+ * Los capítulos no lineales (linear="no": solucionarios, notas emergentes...)
+ * quedan fuera del flujo de lectura y sólo se muestran al enlazarlos.
+ * clasesRaiz son las clases del <html> y <body> originales, a las que apunta el CSS del libro.
+ * Las páginas de maquetación fija llevan su viewport ({ ancho, alto } en px) y el lado
+ * del pliego en que van ('izquierda', 'derecha', 'centro' o null).
+ * narracion es el media overlay del capítulo: [{ ancla, audio (referencia de caché),
+ * inicio, fin (segundos; fin null = hasta el final del audio) }]
  */
 class Capitulo {
-    constructor({ id, titulo, contenidoHtml, orden }) {
+    constructor({ id, titulo, contenidoHtml, orden, ruta, lineal, propiedades, clasesRaiz, maquetacion, viewport, lado, narracion }) {
         this.id = id;
         this.titulo = titulo || `Capítulo ${orden}`;
         this.contenidoHtml = contenidoHtml || '';
         this.orden = orden || 0;
+        this.ruta = ruta || '';
+        this.lineal = lineal !== false;
+        this.propiedades = propiedades || [];
+        this.clasesRaiz = clasesRaiz || [];
+        this.maquetacion = maquetacion === 'fija' ? 'fija' : 'fluida';
+        this.viewport = viewport || null;
+        this.lado = lado || null;
+        this.narracion = narracion || [];
+    }
+}
+
+/**
+ * Estructura de datos para una entrada del índice (tabla de contenidos)
+ * Cada entrada apunta a un capítulo y, opcionalmente, a un ancla dentro de él
+ */
+class EntradaIndice {
+    constructor({ titulo, capituloId, ancla, hijos }) {
+        this.titulo = titulo || 'Sin título';
+        this.capituloId = capituloId || null;
+        this.ancla = ancla || null;
+        this.hijos = hijos || [];
     }
 }
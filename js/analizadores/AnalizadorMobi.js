@@ -8,10 +8,36 @@
 class AnalizadorMobi extends AnalizadorLibro {
     constructor() {
         super();
-        this.FORMATOS_SOPORTADOS = ['.mobi', '.azw', '.azw3'];
+        this.FORMATOS_SOPORTADOS = ['.mobi', '.azw', '.azw3', '.prc'];
+        // Tipo y creador de la cabecera PDB (offset 60): Mobipocket/Kindle y PalmDOC
+        this.TIPOS_PDB = ['BOOKMOBI', 'TEXtREAd'];
         this.COMPRESION_NINGUNA = 1;
         this.COMPRESION_PALMDOC = 2;
         this.COMPRESION_HUFF = 17480;
+        // Nombre, atributos, fechas, tipo/creador... y el número de registros
+        this.LONGITUD_CABECERA_PDB = 78;
+        // Campo "text encoding" de la cabecera MOBI → etiqueta de TextDecoder
+        this.CODIFICACIONES = {
+            1252: 'windows-1252',
+            65001: 'utf-8'
+        };
+        // Registros EXTH de texto → campo en que se guardan; los de EXTH_LISTAS pueden repetirse
+        this.EXTH_TEXTOS = {
+            101: 'editorial',
+            103: 'descripcion',
+            106: 'fechaPublicacion',
+            109: 'derechos',
+            503: 'tituloActualizado',
+            524: 'idioma'
+        };
+        this.EXTH_LISTAS = {
+            100: 'autores',
+            104: 'isbn',
+            105: 'materias',
+            108: 'colaboradores',
+            113: 'asin',
+            504: 'asin'
+        };
     }
 
     /**
@@ -22,6 +48,13 @@ class AnalizadorMobi extends AnalizadorLibro {
         return this.FORMATOS_SOPORTADOS.includes(extension);
     }
 
+    /**
+     * @inheritdoc
+     */
+    puedeAnalizarContenido(bytes) {
+        return this.TIPOS_PDB.some(tipo => this.coincideFirma(bytes, 60, tipo));
+    }
+
     /**
      * @inheritdoc
      */
@@ -31,39 +64,101 @@ class AnalizadorMobi extends AnalizadorLibro {
 
     /**
      * @inheritdoc
+     * Descomprime el texto y extrae las imágenes:
+     * { cabeceraPdb, cabeceraMobi, html, kf8, entradasNcx, imagenes: [{ indice, tipoMime, bytes }] }
+     * En los libros KF8 html es null y kf8 trae los documentos ya ensamblados:
+     * { partes, flujos, enlaces: { 'fid:off': { parte, ancla } } }
      */
-    async analizar(datosArchivo) {
+    async preparar(datosArchivo, alProgresar = () => {}) {
         try {
             const vista = new DataView(datosArchivo);
             const cabeceraPdb = this._leerCabeceraPdb(vista);
             const registros = this._leerRegistros(vista, cabeceraPdb);
-            const cabeceraMobi = this._leerCabeceraMobi(vista, registros[0].offset);
+            const cabeceraMobi6 = this._leerCabeceraMobi(vista, registros[0].offset);
+            const cabeceraMobi = this._leerCabeceraKf8(vista, registros, cabeceraMobi6) || cabeceraMobi6;
+            this._comprobarDrm(cabeceraMobi6, cabeceraMobi);
+
+            const texto = await this._extraerContenido(vista, registros, cabeceraMobi, alProgresar);
+            const imagenes = await this._extraerImagenes(vista, registros, cabeceraMobi, alProgresar);
+            const entradasNcx = this._leerNcx(vista, registros, cabeceraMobi);
+
+            if (cabeceraMobi.version >= 8) {
+                const kf8 = this._ensamblarKf8(vista, registros, cabeceraMobi, texto, entradasNcx);
+                return { cabeceraPdb, cabeceraMobi, html: null, kf8, entradasNcx, imagenes };
+            }
+
+            // Se decodifica el texto completo: un carácter multibyte puede quedar partido entre dos registros.
+            // Las anclas se insertan antes de decodificar: los filepos son offsets en bytes
+            const posicionesNcx = entradasNcx.map(entrada => entrada.posicion).filter(posicion => posicion !== null);
+            const html = this._decodificarTexto(
+                this._insertarAnclasFilepos(texto, posicionesNcx), cabeceraMobi.codificacion);
 
-            const contenidoHtml = await this._extraerContenido(vista, registros, cabeceraMobi);
-            const capitulos = this._dividirEnCapitulos(contenidoHtml);
+            return { cabeceraPdb, cabeceraMobi, html, kf8: null, entradasNcx, imagenes };
+        } catch (error) {
+            throw this.crearErrorAnalisis('MOBI', error);
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async construir(datosPreparados, alProgresar = () => {}) {
+        try {
+            const { cabeceraPdb, cabeceraMobi, html, kf8, entradasNcx, imagenes } = datosPreparados;
+
+            const recursos = new CacheRecursos();
+            const referenciasImagenes = this._registrarImagenes(imagenes, recursos);
+            let capitulos;
+            let estilos = '';
+            let indice;
+
+            if (kf8) {
+                const resolutor = new ResolutorRecursosKf8(referenciasImagenes, kf8.flujos, recursos);
+                ({ capitulos, estilos } = await this._construirCapitulosKf8(kf8, entradasNcx, resolutor, alProgresar));
+                indice = this._construirIndiceNcx(entradasNcx, (entrada) => {
+                    const destino = entrada.fid !== null ? kf8.enlaces[`${entrada.fid}:${entrada.desplazamiento}`] : null;
+                    return destino ? { capituloId: `cap-${destino.parte}`, ancla: destino.ancla } : null;
+                });
+            } else {
+                capitulos = this._dividirEnCapitulos(html, entradasNcx);
+                await this._reescribirEnlacesFilepos(capitulos, alProgresar);
+                this._reescribirImagenes(capitulos, referenciasImagenes);
+
+                const capituloPorAncla = this._mapearAnclasFilepos(capitulos);
+                indice = this._construirIndiceNcx(entradasNcx, (entrada) => {
+                    const ancla = `filepos${entrada.posicion}`;
+                    return capituloPorAncla.has(ancla) ? { capituloId: capituloPorAncla.get(ancla), ancla } : null;
+                });
+            }
+
+            const portada = cabeceraMobi.offsetPortada !== null
+                ? referenciasImagenes.get(cabeceraMobi.offsetPortada) || null
+                : null;
 
             return new LibroAnalizado({
                 titulo: cabeceraMobi.titulo || cabeceraPdb.nombre,
                 autor: cabeceraMobi.autor || 'Autor desconocido',
                 capitulos,
-                metadatos: {
-                    titulo: cabeceraMobi.titulo,
-                    autor: cabeceraMobi.autor,
-                    idioma: cabeceraMobi.idioma || 'es'
-                },
-                estilos: ''
+                metadatos: this._construirMetadatos(cabeceraMobi),
+                estilos,
+                indice,
+                recursos,
+                portada
             });
         } catch (error) {
-            throw new Error(`Error al analizar MOBI: ${error.message}`);
+            throw this.crearErrorAnalisis('MOBI', error);
         }
     }
 
     /**
      * Lee la cabecera PDB del archivo
+     * @throws {ArchivoCorrupto} Si el archivo no llega a tener la cabecera completa
      * @private
      */
     _leerCabeceraPdb(vista) {
-        const decodificador = new TextDecoder('utf-8');
+        if (vista.byteLength < this.LONGITUD_CABECERA_PDB) {
+            throw new ArchivoCorrupto('MOBI', 'es demasiado corto para contener la cabecera PDB');
+        }
 
         const nombre = this._leerCadena(vista, 0, 32);
         const numRegistros = vista.getUint16(76, false);
@@ -76,26 +171,74 @@ class AnalizadorMobi extends AnalizadorLibro {
 
     /**
      * Lee un string desde un DataView
+     * @param {string|null} [codificacion] - La declarada en la cabecera MOBI (null = desconocida)
      * @private
      */
-    _leerCadena(vista, offset, longitud) {
+    _leerCadena(vista, offset, longitud, codificacion = null) {
         const bytes = new Uint8Array(vista.buffer, offset, longitud);
-        const decodificador = new TextDecoder('utf-8');
-        return decodificador.decode(bytes);
+        return this._decodificarTexto(bytes, codificacion);
+    }
+
+    /**
+     * Decodifica texto del libro con la codificación declarada, salvo que los
+     * bytes la contradigan: si no son UTF-8 válido se leen como CP1252, y si un
+     * libro "CP1252" trae secuencias UTF-8 válidas, como UTF-8
+     * @param {Uint8Array} bytes
+     * @param {string|null} codificacion - 'utf-8', 'windows-1252' o null si no se sabe
+     * @returns {string}
+     * @private
+     */
+    _decodificarTexto(bytes, codificacion) {
+        let utf8Valido = true;
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (e) {
+            utf8Valido = false;
+        }
+
+        // En UTF-8 válido, cualquier byte alto forma parte de un carácter multibyte
+        const conMultibyte = utf8Valido && bytes.some(byte => byte >= 0x80);
+
+        let etiqueta;
+        if (codificacion === 'windows-1252') {
+            etiqueta = conMultibyte ? 'utf-8' : 'windows-1252';
+        } else {
+            etiqueta = utf8Valido ? 'utf-8' : 'windows-1252';
+        }
+
+        return new TextDecoder(etiqueta).decode(bytes);
     }
 
     /**
      * Lee la lista de registros del PDB
+     * @throws {ArchivoCorrupto} Si la tabla está truncada o sus offsets se salen del archivo
      * @private
      */
     _leerRegistros(vista, cabecera) {
         const registros = [];
-        const inicioLista = 78;
+        const inicioLista = this.LONGITUD_CABECERA_PDB;
+        const finLista = inicioLista + cabecera.numRegistros * 8;
+
+        if (cabecera.numRegistros === 0 || finLista > vista.byteLength) {
+            throw new ArchivoCorrupto('MOBI', 'la tabla de registros está incompleta');
+        }
 
+        let offsetAnterior = finLista;
         for (let i = 0; i < cabecera.numRegistros; i++) {
             const offsetRegistro = inicioLista + (i * 8);
+            const offset = vista.getUint32(offsetRegistro, false);
+
+            // Un archivo truncado deja registros que apuntan más allá de su final
+            if (offset > vista.byteLength) {
+                throw new ArchivoCorrupto('MOBI', `faltan datos a partir del registro ${i} de ${cabecera.numRegistros}`);
+            }
+            if (offset < offsetAnterior) {
+                throw new ArchivoCorrupto('MOBI', `el registro ${i} se solapa con el anterior`);
+            }
+            offsetAnterior = offset;
+
             registros.push({
-                offset: vista.getUint32(offsetRegistro, false),
+                offset,
                 atributos: vista.getUint8(offsetRegistro + 4)
             });
         }
@@ -103,55 +246,138 @@ class AnalizadorMobi extends AnalizadorLibro {
         return registros;
     }
 
+    /**
+     * Rechaza los libros cifrados: el campo de cifrado de la cabecera MOBI vale
+     * 1 (Mobipocket antiguo) o 2 (Mobipocket/Kindle) en los libros con DRM
+     * @param {...Object} cabeceras - La MOBI6 y, en los combinados, la KF8
+     * @throws {LibroProtegido}
+     * @private
+     */
+    _comprobarDrm(...cabeceras) {
+        const cifrado = cabeceras.map(cabecera => cabecera.cifrado).find(tipo => tipo !== 0);
+        if (cifrado !== undefined) {
+            throw new LibroProtegido(cifrado === 1 ? 'Mobipocket' : 'Kindle');
+        }
+    }
+
     /**
      * Lee la cabecera MOBI del primer registro
+     * @param {number} [inicio] - Registro donde está la cabecera: los índices de
+     *   registro que guarda son relativos a él (la parte KF8 de un libro combinado)
      * @private
      */
-    _leerCabeceraMobi(vista, offsetRegistro0) {
+    _leerCabeceraMobi(vista, offsetRegistro0, inicio = 0) {
         const compresion = vista.getUint16(offsetRegistro0, false);
         const longitudTexto = vista.getUint32(offsetRegistro0 + 4, false);
         const numRegistrosTexto = vista.getUint16(offsetRegistro0 + 8, false);
         const tamanoRegistro = vista.getUint16(offsetRegistro0 + 10, false);
+        // En PalmDOC (TEXtREAd) estos bytes son la posición de lectura, no el cifrado
+        let cifrado = 0;
 
         let titulo = '';
         let autor = '';
         let idioma = 'es';
+        let exth = this._crearExthVacio();
+        let primerRegistroImagen = null;
+        let offsetPortada = null;
+        let primerRegistroHuff = null;
+        let numRegistrosHuff = 0;
+        let flagsDatosExtra = 0;
+        let version = 0;
+        let limiteKf8 = null;
+        let indiceFdst = null;
+        let indiceFragmentos = null;
+        let indiceEsqueletos = null;
+        let indiceNcx = null;
+
+        const leerIndiceRegistro = (offset) => {
+            const valor = vista.getUint32(offsetRegistro0 + offset, false);
+            return valor === 0xFFFFFFFF ? null : inicio + valor;
+        };
 
         const identificador = this._leerCadena(vista, offsetRegistro0 + 16, 4);
+        let codificacion = null;
 
         if (identificador === 'MOBI') {
             const longitudCabecera = vista.getUint32(offsetRegistro0 + 20, false);
+            cifrado = vista.getUint16(offsetRegistro0 + 12, false);
+            codificacion = this.CODIFICACIONES[vista.getUint32(offsetRegistro0 + 28, false)] || null;
             const offsetTitulo = vista.getUint32(offsetRegistro0 + 84, false);
             const longitudTitulo = vista.getUint32(offsetRegistro0 + 88, false);
 
             if (offsetTitulo && longitudTitulo) {
-                titulo = this._leerCadena(vista, offsetRegistro0 + offsetTitulo, longitudTitulo);
+                titulo = this._leerCadena(vista, offsetRegistro0 + offsetTitulo, longitudTitulo, codificacion);
+            }
+
+            version = vista.getUint32(offsetRegistro0 + 36, false);
+            // Las cabeceras cortas o anteriores a la versión 5 no tienen extra_data_flags
+            if (longitudCabecera >= 0xE4 && version >= 5) {
+                flagsDatosExtra = vista.getUint16(offsetRegistro0 + 0xF2, false);
+            }
+
+            primerRegistroImagen = leerIndiceRegistro(108);
+
+            // Registro HUFF seguido de los CDIC (sólo en la compresión HUFF/CDIC)
+            if (compresion === this.COMPRESION_HUFF) {
+                primerRegistroHuff = leerIndiceRegistro(112);
+                numRegistrosHuff = vista.getUint32(offsetRegistro0 + 116, false);
+            }
+
+            if (longitudCabecera >= 0xE8) indiceNcx = leerIndiceRegistro(0xF4);
+
+            // KF8: tabla de flujos e índices de fragmentos y esqueletos
+            if (version >= 8 && longitudCabecera >= 0xF0) {
+                indiceFdst = leerIndiceRegistro(0xC0);
+                indiceFragmentos = leerIndiceRegistro(0xF8);
+                indiceEsqueletos = leerIndiceRegistro(0xFC);
             }
 
             const offsetExth = offsetRegistro0 + 16 + longitudCabecera;
-            const exthInfo = this._leerExth(vista, offsetExth);
+            exth = this._leerExth(vista, offsetExth, codificacion);
 
-            if (exthInfo.autor) autor = exthInfo.autor;
-            if (exthInfo.idioma) idioma = exthInfo.idioma;
+            if (exth.tituloActualizado) titulo = exth.tituloActualizado;
+            const [primerAutor] = this._extraerPersonas(exth.autores, 'aut');
+            if (primerAutor) autor = primerAutor.nombre;
+            if (exth.idioma) idioma = exth.idioma;
+            // Sin portada declarada se usa la miniatura
+            offsetPortada = exth.offsetPortada !== null ? exth.offsetPortada : exth.offsetMiniatura;
+            limiteKf8 = exth.limiteKf8;
         }
 
         return {
             compresion,
+            cifrado,
+            codificacion,
             longitudTexto,
             numRegistrosTexto,
+            primerRegistroTexto: inicio + 1,
             tamanoRegistro,
+            version,
             titulo: titulo.replace(/\0/g, '').trim(),
             autor,
-            idioma
+            idioma,
+            primerRegistroImagen,
+            offsetPortada,
+            primerRegistroHuff,
+            numRegistrosHuff,
+            flagsDatosExtra,
+            limiteKf8,
+            indiceFdst,
+            indiceFragmentos,
+            indiceEsqueletos,
+            indiceNcx,
+            exth
         };
     }
 
     /**
      * Lee el header EXTH para metadatos adicionales
+     * @returns {Object} Los campos de EXTH_TEXTOS y EXTH_LISTAS (vacíos si no están),
+     *   offsetPortada, offsetMiniatura y limiteKf8
      * @private
      */
-    _leerExth(vista, offset) {
-        const resultado = { autor: '', idioma: '' };
+    _leerExth(vista, offset, codificacion) {
+        const resultado = this._crearExthVacio();
 
         try {
             const identificador = this._leerCadena(vista, offset, 4);
@@ -163,10 +389,18 @@ class AnalizadorMobi extends AnalizadorLibro {
             for (let i = 0; i < numRegistros; i++) {
                 const tipo = vista.getUint32(posActual, false);
                 const longitud = vista.getUint32(posActual + 4, false);
-                const valor = this._leerCadena(vista, posActual + 8, longitud - 8);
+                const valor = this._leerCadena(vista, posActual + 8, longitud - 8, codificacion)
+                    .replace(/\0/g, '')
+                    .trim();
 
-                if (tipo === 100) resultado.autor = valor.replace(/\0/g, '').trim();
-                if (tipo === 524) resultado.idioma = valor.replace(/\0/g, '').trim();
+                if (tipo in this.EXTH_TEXTOS && valor) resultado[this.EXTH_TEXTOS[tipo]] = valor;
+                if (tipo in this.EXTH_LISTAS && valor && !resultado[this.EXTH_LISTAS[tipo]].includes(valor)) {
+                    resultado[this.EXTH_LISTAS[tipo]].push(valor);
+                }
+                if (tipo === 201) resultado.offsetPortada = vista.getUint32(posActual + 8, false);
+                if (tipo === 202) resultado.offsetMiniatura = vista.getUint32(posActual + 8, false);
+                // Registro donde empieza la parte KF8 de un libro combinado (MOBI6 + KF8)
+                if (tipo === 121) resultado.limiteKf8 = vista.getUint32(posActual + 8, false);
 
                 posActual += longitud;
             }
@@ -178,30 +412,682 @@ class AnalizadorMobi extends AnalizadorLibro {
     }
 
     /**
-     * Extrae el contenido HTML del MOBI
      * @private
      */
-    async _extraerContenido(vista, registros, cabecera) {
+    _crearExthVacio() {
+        const exth = { offsetPortada: null, offsetMiniatura: null, limiteKf8: null };
+        Object.values(this.EXTH_TEXTOS).forEach(campo => { exth[campo] = ''; });
+        Object.values(this.EXTH_LISTAS).forEach(campo => { exth[campo] = []; });
+        return exth;
+    }
+
+    /**
+     * Reúne los metadatos de la cabecera y de EXTH con la misma forma que los de un EPUB
+     * @private
+     */
+    _construirMetadatos(cabecera) {
+        const { exth } = cabecera;
+
+        const identificadores = [
+            ...exth.isbn.map(valor => ({ valor: valor.replace(/^urn:isbn:/i, ''), esquema: 'ISBN' })),
+            ...exth.asin.map(valor => ({ valor, esquema: 'ASIN' }))
+        ].map((identificador, posicion) => ({ ...identificador, principal: posicion === 0 }));
+
+        return {
+            titulo: cabecera.titulo,
+            subtitulo: '',
+            autor: cabecera.autor,
+            autores: this._extraerPersonas(exth.autores, 'aut'),
+            colaboradores: this._extraerPersonas(exth.colaboradores, 'ctb'),
+            idioma: cabecera.idioma || 'es',
+            descripcion: exth.descripcion,
+            editorial: exth.editorial,
+            identificadores,
+            fechaPublicacion: exth.fechaPublicacion,
+            materias: exth.materias,
+            derechos: exth.derechos,
+            serie: null
+        };
+    }
+
+    /**
+     * Convierte los nombres de EXTH en personas: un registro puede traer varios
+     * separados por ";", y "Apellido, Nombre" se muestra como "Nombre Apellido"
+     * @returns {Array<{nombre: string, rol: string, ordenarComo: string}>}
+     * @private
+     */
+    _extraerPersonas(valores, rol) {
+        return valores
+            .flatMap(valor => valor.split(';'))
+            .map(nombre => nombre.trim())
+            .filter(nombre => nombre)
+            .map(nombre => {
+                const invertido = nombre.match(/^([^,]+),\s*([^,]+)$/);
+                return invertido
+                    ? { nombre: `${invertido[2]} ${invertido[1]}`, rol, ordenarComo: nombre }
+                    : { nombre, rol, ordenarComo: '' };
+            });
+    }
+
+    /**
+     * Localiza la cabecera KF8 del libro: la del registro 0 si es de la versión 8,
+     * o, en los libros combinados, la que sigue al registro BOUNDARY que indica EXTH 121
+     * @returns {Object|null} null si el libro sólo tiene la parte MOBI6
+     * @private
+     */
+    _leerCabeceraKf8(vista, registros, cabeceraMobi) {
+        if (cabeceraMobi.version >= 8) return cabeceraMobi;
+
+        const limite = cabeceraMobi.limiteKf8;
+        if (limite === null || limite < 1 || limite >= registros.length) return null;
+        if (this._leerFirma(this._obtenerBytesRegistro(vista, registros, limite - 1), 8) !== 'BOUNDARY') return null;
+
+        const cabecera = this._leerCabeceraMobi(vista, registros[limite].offset, limite);
+        if (cabecera.version < 8) return null;
+
+        // Las imágenes pueden estar sólo en la parte MOBI6, compartidas por ambas
+        if (cabecera.primerRegistroImagen === null || cabecera.primerRegistroImagen >= registros.length) {
+            cabecera.primerRegistroImagen = cabeceraMobi.primerRegistroImagen;
+        }
+
+        return cabecera;
+    }
+
+    /**
+     * Obtiene los bytes de un registro del PDB
+     * @private
+     */
+    _obtenerBytesRegistro(vista, registros, indice) {
+        const inicio = registros[indice].offset;
+        const fin = indice < registros.length - 1 ? registros[indice + 1].offset : vista.byteLength;
+        return new Uint8Array(vista.buffer, inicio, fin - inicio);
+    }
+
+    /**
+     * Lee la firma ASCII con la que empieza un registro
+     * @private
+     */
+    _leerFirma(bytes, longitud = 4) {
+        return String.fromCharCode(...bytes.subarray(0, longitud));
+    }
+
+    /**
+     * Detecta el tipo de imagen por sus bytes iniciales (magic bytes)
+     * @returns {string|null} Tipo MIME o null si no es una imagen conocida
+     * @private
+     */
+    _detectarTipoImagen(bytes) {
+        if (bytes.length < 4) return null;
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'image/png';
+        if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38) return 'image/gif';
+        if (bytes[0] === 0x42 && bytes[1] === 0x4D) return 'image/bmp';
+        return null;
+    }
+
+    /**
+     * Detecta el tipo de una fuente por sus bytes iniciales
+     * @private
+     */
+    _detectarTipoFuente(bytes) {
+        const firma = this._leerFirma(bytes);
+        if (firma === 'OTTO') return 'font/otf';
+        if (firma === 'wOFF') return 'font/woff';
+        if (firma === 'wOF2') return 'font/woff2';
+        return 'font/ttf';
+    }
+
+    /**
+     * Copia los recursos (imágenes y fuentes KF8) que siguen al primer registro de
+     * imagen, hasta el límite de la parte KF8; el índice de cada uno es relativo a
+     * ese registro, como los de EXTH 201 (portada), recindex y kindle:embed
+     * @returns {Promise<Array<{indice, tipoMime, bytes}>>}
+     * @private
+     */
+    async _extraerImagenes(vista, registros, cabecera, alProgresar) {
+        const imagenes = [];
+        if (cabecera.primerRegistroImagen === null) return imagenes;
+
+        const total = Math.max(0, registros.length - cabecera.primerRegistroImagen);
+
+        for (let indice = 0; indice < total; indice++) {
+            const bytes = this._obtenerBytesRegistro(vista, registros, cabecera.primerRegistroImagen + indice);
+            if (this._leerFirma(bytes, 8) === 'BOUNDARY') break;
+
+            if (this._leerFirma(bytes) === 'FONT') {
+                // Una fuente dañada no impide leer el libro: se queda la del lector
+                const fuente = await this._extraerFuente(bytes).catch(() => null);
+                if (fuente) imagenes.push({ indice, ...fuente });
+            } else {
+                const tipoMime = this._detectarTipoImagen(bytes);
+
+                // Copia propia: no retiene el archivo completo ni lo arrastra al transferirla
+                if (tipoMime) imagenes.push({ indice, tipoMime, bytes: bytes.slice() });
+            }
+
+            await alProgresar({ fase: 'imagenes', actual: indice + 1, total });
+        }
+
+        return imagenes;
+    }
+
+    /**
+     * Extrae la fuente de un registro FONT de KF8: tras la cabecera van los datos,
+     * comprimidos con zlib (flag 1) y con el principio ofuscado con XOR (flag 2)
+     * @returns {Promise<{tipoMime: string, bytes: Uint8Array}>}
+     * @private
+     */
+    async _extraerFuente(bytes) {
+        const vista = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const flags = vista.getUint32(8, false);
+        const inicioDatos = vista.getUint32(12, false);
+        const longitudClave = vista.getUint32(16, false);
+        const inicioClave = vista.getUint32(20, false);
+
+        let datos = bytes.slice(inicioDatos);
+
+        if ((flags & 2) && longitudClave > 0) {
+            const clave = bytes.subarray(inicioClave, inicioClave + longitudClave);
+            const limite = Math.min(1040, datos.length);
+            for (let i = 0; i < limite; i++) datos[i] ^= clave[i % clave.length];
+        }
+
+        if (flags & 1) {
+            const descompresion = new DecompressionStream('deflate');
+            const escritor = descompresion.writable.getWriter();
+            // Si los datos están dañados fallan las tres promesas: se esperan juntas para no dejar rechazos sin atender
+            const [, , descomprimidos] = await Promise.all([
+                escritor.write(datos),
+                escritor.close(),
+                new Response(descompresion.readable).arrayBuffer()
+            ]);
+            datos = new Uint8Array(descomprimidos);
+        }
+
+        return { tipoMime: this._detectarTipoFuente(datos), bytes: datos };
+    }
+
+    /**
+     * Registra las imágenes en la caché de recursos
+     * @returns {Map<number, string>} Índice de imagen → referencia de caché
+     * @private
+     */
+    _registrarImagenes(imagenes, recursos) {
+        const referencias = new Map();
+
+        for (const { indice, tipoMime, bytes } of imagenes) {
+            referencias.set(indice, recursos.registrar(() => new Blob([bytes], { type: tipoMime })));
+        }
+
+        return referencias;
+    }
+
+    /**
+     * Sustituye los <img recindex="00012"> por referencias diferidas a la caché
+     * (data-recurso-src, que el visor resuelve al mostrar el capítulo).
+     * recindex empieza en 1: la imagen 1 es el primer registro de imagen
+     * @private
+     */
+    _reescribirImagenes(capitulos, referenciasImagenes) {
+        // hirecindex/lorecindex: versiones en alta y baja resolución de la misma imagen
+        const atributosIndice = ['hirecindex', 'recindex', 'lorecindex'];
+
+        for (const capitulo of capitulos) {
+            if (!/recindex\s*=/i.test(capitulo.contenidoHtml)) continue;
+
+            const doc = new DOMParser().parseFromString(capitulo.contenidoHtml, 'text/html');
+
+            for (const imagen of doc.querySelectorAll('img[recindex], img[hirecindex], img[lorecindex]')) {
+                const referencia = atributosIndice
+                    .filter(atributo => imagen.hasAttribute(atributo))
+                    .map(atributo => referenciasImagenes.get(parseInt(imagen.getAttribute(atributo), 10) - 1))
+                    .find(candidata => candidata);
+
+                atributosIndice.forEach(atributo => imagen.removeAttribute(atributo));
+                if (referencia) imagen.setAttribute('data-recurso-src', referencia);
+            }
+
+            capitulo.contenidoHtml = doc.body.innerHTML;
+        }
+    }
+
+    /**
+     * Extrae el texto del libro descomprimido, sin decodificar
+     * @returns {Promise<Uint8Array>}
+     * @private
+     */
+    async _extraerContenido(vista, registros, cabecera, alProgresar) {
+        const descomprimir = this._crearDescompresor(vista, registros, cabecera);
         const contenidoPartes = [];
-        const numRegistros = Math.min(cabecera.numRegistrosTexto, registros.length - 1);
+        const numRegistros = Math.min(cabecera.numRegistrosTexto, registros.length - cabecera.primerRegistroTexto);
+        let longitudTotal = 0;
 
         for (let i = 1; i <= numRegistros; i++) {
-            const inicio = registros[i].offset;
-            const fin = i < registros.length - 1 ? registros[i + 1].offset : vista.byteLength;
-            const datosRegistro = new Uint8Array(vista.buffer, inicio, fin - inicio);
+            const datosRegistro = this._obtenerBytesRegistro(vista, registros, cabecera.primerRegistroTexto + i - 1);
+            const contenido = descomprimir(this._quitarEntradasFinales(datosRegistro, cabecera.flagsDatosExtra));
 
-            let contenido;
-            if (cabecera.compresion === this.COMPRESION_PALMDOC) {
-                contenido = this._descomprimirPalmDoc(datosRegistro);
-            } else {
-                contenido = datosRegistro;
+            contenidoPartes.push(contenido);
+            longitudTotal += contenido.length;
+
+            await alProgresar({ fase: 'descomprimiendo', actual: i, total: numRegistros });
+        }
+
+        return this._unirBytes(contenidoPartes, longitudTotal);
+    }
+
+    /**
+     * Quita de un registro de texto las entradas que extra_data_flags añade al final:
+     * una por cada bit activo a partir del segundo (TBS, índices), con su tamaño al
+     * final codificado en bloques de 7 bits, y, si está el primer bit, los bytes
+     * de un carácter multibyte que continúa en el registro siguiente
+     * @private
+     */
+    _quitarEntradasFinales(datos, flags) {
+        if (!flags) return datos;
+
+        let tamano = datos.length;
+
+        for (let flagsEntradas = flags >> 1; flagsEntradas && tamano > 0; flagsEntradas >>= 1) {
+            if (flagsEntradas & 1) tamano -= this._leerTamanoEntradaFinal(datos, tamano);
+        }
+
+        if ((flags & 1) && tamano > 0) {
+            tamano -= (datos[tamano - 1] & 0x03) + 1;
+        }
+
+        return datos.subarray(0, Math.max(0, tamano));
+    }
+
+    /**
+     * Lee hacia atrás el tamaño de una entrada final: bytes de 7 bits, el
+     * primero (el último del registro) marcado con el bit alto
+     * @private
+     */
+    _leerTamanoEntradaFinal(datos, fin) {
+        let tamano = 0;
+        let desplazamiento = 0;
+
+        for (let posicion = fin - 1; posicion >= 0; posicion--) {
+            const byte = datos[posicion];
+            tamano |= (byte & 0x7F) << desplazamiento;
+            desplazamiento += 7;
+
+            if ((byte & 0x80) || desplazamiento >= 28) break;
+        }
+
+        return tamano;
+    }
+
+    /**
+     * Elige la función que descomprime cada registro de texto según la cabecera
+     * @returns {Function} Uint8Array → Uint8Array
+     * @private
+     */
+    _crearDescompresor(vista, registros, cabecera) {
+        switch (cabecera.compresion) {
+            case this.COMPRESION_NINGUNA:
+                return (datos) => datos;
+            case this.COMPRESION_PALMDOC:
+                return (datos) => this._descomprimirPalmDoc(datos);
+            case this.COMPRESION_HUFF:
+                return this._crearDescompresorHuff(vista, registros, cabecera);
+            default:
+                throw new Error(`Compresión MOBI no soportada (${cabecera.compresion})`);
+        }
+    }
+
+    /**
+     * Prepara la descompresión HUFF/CDIC con los registros que indica la cabecera
+     * @private
+     */
+    _crearDescompresorHuff(vista, registros, cabecera) {
+        const { primerRegistroHuff, numRegistrosHuff } = cabecera;
+
+        if (primerRegistroHuff === null || numRegistrosHuff < 2 ||
+            primerRegistroHuff + numRegistrosHuff > registros.length) {
+            throw new Error('Faltan los registros HUFF/CDIC del libro');
+        }
+
+        const registroHuff = this._obtenerBytesRegistro(vista, registros, primerRegistroHuff);
+        const registrosCdic = [];
+        for (let i = 1; i < numRegistrosHuff; i++) {
+            registrosCdic.push(this._obtenerBytesRegistro(vista, registros, primerRegistroHuff + i));
+        }
+
+        const descompresor = new DescompresorHuffCdic(registroHuff, registrosCdic);
+        return (datos) => descompresor.descomprimir(datos);
+    }
+
+    /**
+     * Concatena varios Uint8Array en uno solo
+     * @private
+     */
+    _unirBytes(partes, longitudTotal) {
+        const resultado = new Uint8Array(longitudTotal);
+        let posicion = 0;
+
+        for (const parte of partes) {
+            resultado.set(parte, posicion);
+            posicion += parte.length;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Inserta <a id="fileposN"></a> en cada offset referenciado por un
+     * enlace filepos, para poder navegar a él una vez decodificado el HTML
+     * @param {number[]} [posicionesAdicionales] - Otros offsets que necesitan ancla (entradas del NCX)
+     * @private
+     */
+    _insertarAnclasFilepos(bytes, posicionesAdicionales = []) {
+        // windows-1252 es de un byte por carácter: índice del texto = offset en bytes
+        const textoBytes = new TextDecoder('windows-1252').decode(bytes);
+        const posiciones = new Set(posicionesAdicionales.filter(posicion => posicion < bytes.length));
+
+        for (const coincidencia of textoBytes.matchAll(/filepos\s*=\s*["']?(\d+)/gi)) {
+            const posicion = parseInt(coincidencia[1], 10);
+            if (posicion < bytes.length) posiciones.add(posicion);
+        }
+
+        if (posiciones.size === 0) return bytes;
+
+        const codificador = new TextEncoder();
+        const partes = [];
+        let longitudTotal = 0;
+        let anterior = 0;
+
+        for (const posicion of Array.from(posiciones).sort((a, b) => a - b)) {
+            // Si el offset cae dentro de una etiqueta, el ancla va justo antes de ella
+            const aperturaEtiqueta = textoBytes.lastIndexOf('<', posicion - 1);
+            const cierreEtiqueta = textoBytes.lastIndexOf('>', posicion - 1);
+            const destino = Math.max(anterior,
+                aperturaEtiqueta > cierreEtiqueta ? aperturaEtiqueta : posicion);
+
+            const ancla = codificador.encode(`<a id="filepos${posicion}"></a>`);
+            partes.push(bytes.subarray(anterior, destino), ancla);
+            longitudTotal += (destino - anterior) + ancla.length;
+            anterior = destino;
+        }
+
+        partes.push(bytes.subarray(anterior));
+        longitudTotal += bytes.length - anterior;
+
+        return this._unirBytes(partes, longitudTotal);
+    }
+
+    /**
+     * Reescribe los enlaces <a filepos="N"> para que apunten al capítulo
+     * que contiene el ancla correspondiente
+     * @private
+     */
+    async _reescribirEnlacesFilepos(capitulos, alProgresar) {
+        const capituloPorAncla = this._mapearAnclasFilepos(capitulos);
+
+        for (const [posicion, capitulo] of capitulos.entries()) {
+            await alProgresar({ fase: 'capitulos', actual: posicion + 1, total: capitulos.length });
+            if (!/filepos\s*=/i.test(capitulo.contenidoHtml)) continue;
+
+            const doc = new DOMParser().parseFromString(capitulo.contenidoHtml, 'text/html');
+
+            for (const enlace of doc.querySelectorAll('a[filepos]')) {
+                const ancla = `filepos${parseInt(enlace.getAttribute('filepos'), 10)}`;
+                const capituloId = capituloPorAncla.get(ancla);
+
+                enlace.removeAttribute('filepos');
+                if (!capituloId) continue;
+
+                enlace.setAttribute('href', `#capitulo-${capituloId}`);
+                enlace.setAttribute('data-capitulo', capituloId);
+                enlace.setAttribute('data-ancla', ancla);
+
+                if (this._pareceReferenciaNota(enlace)) {
+                    enlace.setAttribute('data-nota', '');
+                }
+            }
+
+            capitulo.contenidoHtml = doc.body.innerHTML;
+        }
+    }
+
+    /**
+     * Crea un lector de índices INDX sobre los registros del libro
+     * @private
+     */
+    _crearLectorIndice(vista, registros) {
+        return new LectorIndiceMobi((indice) => {
+            if (indice >= registros.length) throw new Error('Índice MOBI incompleto');
+            return this._obtenerBytesRegistro(vista, registros, indice);
+        });
+    }
+
+    /**
+     * Lee la tabla de contenidos del índice NCX: sus entradas en orden, con el
+     * nivel y la entrada padre. El destino es un offset del texto (filepos) en
+     * MOBI6 y un fragmento más un desplazamiento (como kindle:pos:fid) en KF8
+     * @returns {Array<{titulo, nivel, padre, posicion, fid, desplazamiento}>}
+     * @private
+     */
+    _leerNcx(vista, registros, cabecera) {
+        if (cabecera.indiceNcx === null) return [];
+
+        try {
+            const { entradas, cadenas } = this._crearLectorIndice(vista, registros).leer(cabecera.indiceNcx);
+
+            return entradas.map(({ etiquetas }) => {
+                const [posicion = null] = etiquetas[1] || [];
+                const [offsetTitulo = null] = etiquetas[3] || [];
+                const [nivel = 0] = etiquetas[4] || [];
+                const [fid = null, desplazamiento = 0] = etiquetas[6] || [];
+                const [padre = null] = etiquetas[21] || [];
+
+                return { titulo: cadenas.get(offsetTitulo) || '', nivel, padre, posicion, fid, desplazamiento };
+            });
+        } catch (e) {
+            // NCX opcional: sin él los capítulos salen de la guía o de los encabezados
+            return [];
+        }
+    }
+
+    /**
+     * Convierte las entradas del NCX en el índice jerárquico del libro
+     * @param {Function} resolverDestino - Entrada → { capituloId, ancla } o null
+     * @private
+     */
+    _construirIndiceNcx(entradasNcx, resolverDestino) {
+        const nodos = entradasNcx.map(entrada => ({
+            titulo: entrada.titulo.replace(/\s+/g, ' ').trim(),
+            ...(resolverDestino(entrada) || { capituloId: null, ancla: null }),
+            hijos: []
+        }));
+        const raiz = [];
+
+        entradasNcx.forEach((entrada, i) => {
+            // El padre siempre precede a sus hijos: así no puede haber ciclos
+            const padre = entrada.padre !== null && entrada.padre < i ? nodos[entrada.padre] : null;
+            (padre ? padre.hijos : raiz).push(nodos[i]);
+        });
+
+        return raiz;
+    }
+
+    /**
+     * Reconstruye los documentos KF8 y resuelve de antemano los destinos de los
+     * enlaces kindle:pos:fid y de las entradas del NCX, que son posiciones en
+     * bytes del texto ensamblado
+     * @returns {{partes: string[], flujos: string[], enlaces: Object<string, {parte: number, ancla: string|null}>}}
+     * @private
+     */
+    _ensamblarKf8(vista, registros, cabecera, texto, entradasNcx) {
+        const lector = this._crearLectorIndice(vista, registros);
+        const leerIndice = (indice) => indice === null ? [] : lector.leer(indice).entradas;
+
+        const ensamblador = new EnsambladorKf8(texto, {
+            fdst: cabecera.indiceFdst !== null && cabecera.indiceFdst < registros.length
+                ? this._obtenerBytesRegistro(vista, registros, cabecera.indiceFdst)
+                : null,
+            esqueletos: leerIndice(cabecera.indiceEsqueletos),
+            fragmentos: leerIndice(cabecera.indiceFragmentos)
+        });
+
+        const { partes, flujos } = ensamblador.ensamblar();
+        const decodificar = (bytes) => this._decodificarTexto(bytes, cabecera.codificacion);
+        const documentos = partes.map(decodificar);
+        const enlaces = {};
+        const resolver = (fid, desplazamiento) => {
+            const clave = `${fid}:${desplazamiento}`;
+            if (!(clave in enlaces)) enlaces[clave] = ensamblador.buscarDestino(fid, desplazamiento);
+        };
+
+        for (const documento of documentos) {
+            for (const [, fid, desplazamiento] of documento.matchAll(/kindle:pos:fid:([0-9a-v]+):off:([0-9a-v]+)/gi)) {
+                resolver(parseInt(fid, 32), parseInt(desplazamiento, 32));
+            }
+        }
+
+        for (const entrada of entradasNcx) {
+            if (entrada.fid !== null) resolver(entrada.fid, entrada.desplazamiento);
+        }
+
+        return { partes: documentos, flujos: flujos.map(decodificar), enlaces };
+    }
+
+    /**
+     * Convierte cada documento KF8 en un capítulo y reúne las hojas de estilo
+     * que enlazan (flujos CSS) o llevan en la cabecera. El título es el de la
+     * entrada del NCX de menor nivel que apunta al documento, si la hay
+     * @returns {Promise<{capitulos: Capitulo[], estilos: string}>}
+     * @private
+     */
+    async _construirCapitulosKf8({ partes, enlaces }, entradasNcx, resolutor, alProgresar) {
+        const capitulos = [];
+        const estilos = [];
+        const hojasIncluidas = new Set();
+        const titulosNcx = new Map();
+
+        for (const entrada of entradasNcx) {
+            const destino = entrada.fid !== null ? enlaces[`${entrada.fid}:${entrada.desplazamiento}`] : null;
+            const anterior = destino ? titulosNcx.get(destino.parte) : null;
+
+            if (destino && entrada.titulo.trim() && (!anterior || entrada.nivel < anterior.nivel)) {
+                titulosNcx.set(destino.parte, { titulo: entrada.titulo.replace(/\s+/g, ' ').trim(), nivel: entrada.nivel });
+            }
+        }
+
+        for (const [orden, parte] of partes.entries()) {
+            await alProgresar({ fase: 'capitulos', actual: orden + 1, total: partes.length });
+
+            const doc = new DOMParser().parseFromString(parte, 'text/html');
+
+            for (const enlace of doc.querySelectorAll('link[href]')) {
+                const href = enlace.getAttribute('href').trim();
+                if (hojasIncluidas.has(href)) continue;
+
+                const css = resolutor.obtenerHojaEstilos(href);
+                if (css !== null) {
+                    estilos.push(css);
+                    hojasIncluidas.add(href);
+                }
+            }
+
+            resolutor.reescribirHtml(doc);
+            if (doc.head) {
+                estilos.push(...Array.from(doc.head.querySelectorAll('style'), estilo => estilo.textContent));
+            }
+
+            this._reescribirEnlacesKf8(doc, enlaces);
+
+            const clasesRaiz = [doc.documentElement, doc.body]
+                .filter(elemento => elemento)
+                .flatMap(elemento => Array.from(elemento.classList))
+                .filter(clase => /^[\w-]+$/.test(clase));
+
+            capitulos.push(new Capitulo({
+                id: `cap-${orden}`,
+                titulo: titulosNcx.has(orden) ? titulosNcx.get(orden).titulo : this._extraerTituloKf8(doc, orden + 1),
+                contenidoHtml: doc.body ? doc.body.innerHTML : parte,
+                orden,
+                clasesRaiz: Array.from(new Set(clasesRaiz))
+            }));
+        }
+
+        return { capitulos, estilos: estilos.join('\n') };
+    }
+
+    /**
+     * Reescribe los enlaces de un documento KF8:
+     * - kindle:pos:fid → sección del visor + data-capitulo/data-ancla
+     * - externos (http, https, mailto) → se marcan para abrirse en otra pestaña
+     * @private
+     */
+    _reescribirEnlacesKf8(doc, enlaces) {
+        for (const enlace of doc.querySelectorAll('a[href]')) {
+            const href = enlace.getAttribute('href').trim();
+
+            if (/^(https?:|mailto:)/i.test(href)) {
+                enlace.setAttribute('target', '_blank');
+                enlace.setAttribute('rel', 'noopener noreferrer');
+                enlace.setAttribute('data-enlace-externo', '');
+                continue;
+            }
+
+            const posicion = href.match(/^kindle:pos:fid:([0-9a-v]+):off:([0-9a-v]+)/i);
+            if (!posicion) continue;
+
+            const destino = enlaces[`${parseInt(posicion[1], 32)}:${parseInt(posicion[2], 32)}`];
+            if (!destino) {
+                enlace.removeAttribute('href');
+                enlace.setAttribute('data-enlace-roto', href);
+                continue;
+            }
+
+            const capituloId = `cap-${destino.parte}`;
+            enlace.setAttribute('href', `#capitulo-${capituloId}`);
+            enlace.setAttribute('data-capitulo', capituloId);
+            if (destino.ancla) enlace.setAttribute('data-ancla', destino.ancla);
+
+            if (this._pareceReferenciaNota(enlace)) {
+                enlace.setAttribute('data-nota', '');
             }
+        }
+    }
 
-            const decodificador = new TextDecoder('utf-8');
-            contenidoPartes.push(decodificador.decode(contenido));
+    /**
+     * Toma como título de un documento KF8 su primer encabezado o su <title>
+     * @private
+     */
+    _extraerTituloKf8(doc, numeroCapitulo) {
+        const encabezado = doc.querySelector('h1, h2, h3');
+        const titulo = (encabezado && encabezado.textContent.trim()) || (doc.title || '').trim();
+        return titulo || `Capítulo ${numeroCapitulo}`;
+    }
+
+    /**
+     * Localiza el capítulo en que quedó cada ancla filepos
+     * @returns {Map<string, string>} Ancla → id del capítulo
+     * @private
+     */
+    _mapearAnclasFilepos(capitulos) {
+        const capituloPorAncla = new Map();
+
+        for (const capitulo of capitulos) {
+            for (const coincidencia of capitulo.contenidoHtml.matchAll(/id="(filepos\d+)"/g)) {
+                capituloPorAncla.set(coincidencia[1], capitulo.id);
+            }
         }
 
-        return contenidoPartes.join('');
+        return capituloPorAncla;
+    }
+
+    /**
+     * MOBI no marca semánticamente las notas: se consideran referencias a nota
+     * los enlaces con texto corto tipo "12", "[3]", "*" o dentro de <sup>
+     * @private
+     */
+    _pareceReferenciaNota(enlace) {
+        const texto = enlace.textContent.trim();
+        if (enlace.closest('sup') || enlace.querySelector('sup')) return texto.length <= 6;
+        return /^[\[(]?\s*(\d{1,4}|[*†‡§]{1,3}|[ivxlc]{1,6})\s*[\])]?$/i.test(texto);
     }
 
     /**
@@ -246,50 +1132,165 @@ class AnalizadorMobi extends AnalizadorLibro {
     }
 
     /**
-     * Divide el contenido HTML en capítulos
+     * Divide el contenido HTML en capítulos. Los cortes salen, por orden de
+     * preferencia, del índice NCX, de la tabla de contenidos a la que apunta la
+     * guía (<reference type="toc">) o de los encabezados y saltos de página
+     * @param {Array} [entradasNcx] - Ver _leerNcx
      * @private
      */
-    _dividirEnCapitulos(html) {
-        const capitulos = [];
+    _dividirEnCapitulos(html, entradasNcx = []) {
         const doc = new DOMParser().parseFromString(html, 'text/html');
         const body = doc.body || doc.documentElement;
 
+        // El parser HTML no trata <mbp:pagebreak/> como vacía: lo que le sigue quedaría dentro
+        for (const salto of Array.from(body.querySelectorAll('mbp\\:pagebreak')).reverse()) {
+            salto.after(...salto.childNodes);
+        }
+
+        let divisiones = this._localizarDivisiones(body, this._obtenerDivisionesNcx(entradasNcx));
+        if (divisiones.size === 0) {
+            divisiones = this._localizarDivisiones(body, this._obtenerDivisionesGuia(doc));
+        }
+        if (divisiones.size > 0) {
+            return this._agruparEnCapitulos(body, html, nodo => divisiones.has(nodo) ? divisiones.get(nodo) : null);
+        }
+
         const marcadores = body.querySelectorAll('h1, h2, mbp\\:pagebreak, [class*="chapter"]');
 
         if (marcadores.length === 0) {
-            capitulos.push(new Capitulo({
+            return [new Capitulo({
                 id: 'cap-1',
                 titulo: 'Contenido',
                 contenidoHtml: body.innerHTML,
                 orden: 0
+            })];
+        }
+
+        return this._agruparEnCapitulos(body, html, (nodo) => {
+            const esDelimitador = nodo.nodeType === 1 &&
+                (nodo.tagName === 'H1' || nodo.tagName === 'H2' ||
+                    nodo.tagName === 'MBP:PAGEBREAK' ||
+                    (nodo.className && nodo.className.includes('chapter')));
+
+            return esDelimitador ? nodo.textContent?.trim() || '' : null;
+        });
+    }
+
+    /**
+     * Cortes a partir del NCX: las entradas del primer nivel o, si sólo hay una
+     * raíz (el título del libro, una sección), las de debajo
+     * @returns {Array<{ancla: string, titulo: string}>}
+     * @private
+     */
+    _obtenerDivisionesNcx(entradasNcx) {
+        const hijosDe = (padre) => entradasNcx.filter(entrada => entrada.padre === padre);
+        let nivel = hijosDe(null);
+
+        while (nivel.length === 1 && hijosDe(entradasNcx.indexOf(nivel[0])).length > 0) {
+            nivel = hijosDe(entradasNcx.indexOf(nivel[0]));
+        }
+
+        return nivel
+            .filter(entrada => entrada.posicion !== null)
+            .map(entrada => ({
+                ancla: `filepos${entrada.posicion}`,
+                titulo: entrada.titulo.replace(/\s+/g, ' ').trim()
             }));
-            return capitulos;
+    }
+
+    /**
+     * Cortes a partir de la tabla de contenidos del propio libro: los enlaces
+     * filepos que siguen a su ancla, hasta el siguiente salto de página
+     * @returns {Array<{ancla: string, titulo: string}>}
+     * @private
+     */
+    _obtenerDivisionesGuia(doc) {
+        const referencia = doc.querySelector('reference[type="toc" i][filepos]');
+        const inicio = referencia &&
+            doc.getElementById(`filepos${parseInt(referencia.getAttribute('filepos'), 10)}`);
+        if (!inicio) return [];
+
+        const divisiones = [];
+        const recorrido = doc.createTreeWalker(doc.body, NodeFilter.SHOW_ELEMENT);
+        recorrido.currentNode = inicio;
+
+        for (let nodo = recorrido.nextNode(); nodo; nodo = recorrido.nextNode()) {
+            if (nodo.tagName === 'MBP:PAGEBREAK' && divisiones.length > 0) break;
+
+            if (nodo.tagName === 'A' && nodo.hasAttribute('filepos')) {
+                divisiones.push({
+                    ancla: `filepos${parseInt(nodo.getAttribute('filepos'), 10)}`,
+                    titulo: nodo.textContent.replace(/\s+/g, ' ').trim()
+                });
+            }
+        }
+
+        return divisiones;
+    }
+
+    /**
+     * Sitúa cada corte en el hijo directo del body que contiene su ancla
+     * @returns {Map<Node, string>} Nodo donde empieza el capítulo → título
+     * @private
+     */
+    _localizarDivisiones(body, divisiones) {
+        const inicios = new Map();
+
+        for (const { ancla, titulo } of divisiones) {
+            let nodo = body.ownerDocument.getElementById(ancla);
+            if (!nodo || !body.contains(nodo)) continue;
+
+            while (nodo.parentNode !== body) nodo = nodo.parentNode;
+            if (!inicios.has(nodo)) inicios.set(nodo, titulo);
         }
 
+        return inicios;
+    }
+
+    /**
+     * Indica si un nodo muestra algo: texto o contenido multimedia
+     * @private
+     */
+    _tieneContenidoVisible(nodo) {
+        if (nodo.nodeType === 3) return nodo.textContent.trim() !== '';
+        if (nodo.nodeType !== 1) return false;
+
+        const multimedia = 'img, svg, image, video, audio, table, hr';
+        return nodo.textContent.trim() !== '' || nodo.matches(multimedia) || nodo.querySelector(multimedia) !== null;
+    }
+
+    /**
+     * Reparte los hijos del body en capítulos, empezando uno nuevo en cada nodo
+     * para el que obtenerTitulo no devuelve null
+     * @param {Function} obtenerTitulo - Nodo → título del capítulo que abre, '' o null
+     * @private
+     */
+    _agruparEnCapitulos(body, html, obtenerTitulo) {
+        const capitulos = [];
         let contenidoActual = '';
+        let conContenido = false;
         let tituloActual = 'Inicio';
         let orden = 0;
 
         const nodos = Array.from(body.childNodes);
 
         for (const nodo of nodos) {
-            const esDelimitador = nodo.nodeType === 1 &&
-                (nodo.tagName === 'H1' || nodo.tagName === 'H2' ||
-                    nodo.tagName === 'MBP:PAGEBREAK' ||
-                    (nodo.className && nodo.className.includes('chapter')));
+            const titulo = obtenerTitulo(nodo);
 
-            if (esDelimitador) {
-                if (contenidoActual.trim()) {
-                    capitulos.push(new Capitulo({
-                        id: `cap-${orden}`,
-                        titulo: tituloActual,
-                        contenidoHtml: contenidoActual,
-                        orden
-                    }));
-                    orden++;
-                }
+            if (titulo !== null && conContenido) {
+                capitulos.push(new Capitulo({
+                    id: `cap-${orden}`,
+                    titulo: tituloActual,
+                    contenidoHtml: contenidoActual,
+                    orden
+                }));
+                orden++;
                 contenidoActual = '';
-                tituloActual = nodo.textContent?.trim() || `Capítulo ${orden + 1}`;
+                conContenido = false;
+                tituloActual = titulo || `Capítulo ${orden + 1}`;
+            } else if (titulo !== null && (titulo || tituloActual === 'Inicio')) {
+                // Lo acumulado no se ve (un salto de página, anclas): pasa al capítulo que empieza aquí
+                tituloActual = titulo || `Capítulo ${orden + 1}`;
             }
 
             if (nodo.nodeType === 1) {
@@ -297,6 +1298,7 @@ class AnalizadorMobi extends AnalizadorLibro {
             } else if (nodo.nodeType === 3) {
                 contenidoActual += nodo.textContent;
             }
+            conContenido = conContenido || this._tieneContenidoVisible(nodo);
         }
 
         if (contenidoActual.trim()) {
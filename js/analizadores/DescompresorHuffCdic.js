@@ -0,0 +1,176 @@
+/**
+ * Descompresor HUFF/CDIC de MOBI (SRP)
+ * Responsabilidad única: descomprimir los registros de texto de los libros
+ * Kindle comprimidos con Huffman/CDIC (compresión 17480)
+ *
+ * El registro HUFF trae dos tablas de códigos: una indexada por los 8 primeros
+ * bits del código y otra con el código mínimo y máximo de cada longitud. Los
+ * registros CDIC forman el diccionario de frases; una frase puede estar a su
+ * vez comprimida y se descomprime (una sola vez) la primera vez que se usa.
+ */
+class DescompresorHuffCdic {
+    /**
+     * @param {Uint8Array} registroHuff
+     * @param {Uint8Array[]} registrosCdic - En orden
+     */
+    constructor(registroHuff, registrosCdic) {
+        this.tablaCorta = [];
+        this.codigosMinimos = [0];
+        this.codigosMaximos = [0];
+        // Frase → { bytes, descomprimida }
+        this.diccionario = [];
+
+        this._leerHuff(registroHuff);
+        registrosCdic.forEach(registro => this._leerCdic(registro));
+    }
+
+    /**
+     * Descomprime un registro de texto
+     * @param {Uint8Array} datos
+     * @returns {Uint8Array}
+     */
+    descomprimir(datos) {
+        return this._descomprimir(datos, new Set());
+    }
+
+    /**
+     * Lee las tablas de códigos del registro HUFF
+     * @private
+     */
+    _leerHuff(registro) {
+        const vista = new DataView(registro.buffer, registro.byteOffset, registro.byteLength);
+        if (this._leerFirma(registro) !== 'HUFF') throw new Error('Registro HUFF no válido');
+
+        const offsetTablaCorta = vista.getUint32(8, false);
+        const offsetTablaLarga = vista.getUint32(12, false);
+
+        for (let i = 0; i < 256; i++) {
+            const valor = vista.getUint32(offsetTablaCorta + i * 4, false);
+            const longitud = valor & 0x1F;
+            const terminal = Boolean(valor & 0x80);
+            // El máximo se guarda sin los bits de relleno: se alinea a 32 bits
+            const maximo = ((valor >>> 8) + 1) * 2 ** (32 - longitud) - 1;
+
+            if (longitud === 0) throw new Error('Tabla HUFF no válida');
+            this.tablaCorta.push({ longitud, terminal, maximo });
+        }
+
+        for (let longitud = 1; longitud <= 32; longitud++) {
+            const minimo = vista.getUint32(offsetTablaLarga + (longitud - 1) * 8, false);
+            const maximo = vista.getUint32(offsetTablaLarga + (longitud - 1) * 8 + 4, false);
+
+            this.codigosMinimos.push(minimo * 2 ** (32 - longitud));
+            this.codigosMaximos.push((maximo + 1) * 2 ** (32 - longitud) - 1);
+        }
+    }
+
+    /**
+     * Añade al diccionario las frases de un registro CDIC
+     * @private
+     */
+    _leerCdic(registro) {
+        const vista = new DataView(registro.buffer, registro.byteOffset, registro.byteLength);
+        if (this._leerFirma(registro) !== 'CDIC') throw new Error('Registro CDIC no válido');
+
+        const longitudCabecera = vista.getUint32(4, false);
+        const numFrases = vista.getUint32(8, false);
+        const bits = vista.getUint32(12, false);
+        // Cada registro guarda como mucho 2^bits frases; el último, las que falten
+        const cantidad = Math.min(2 ** bits, numFrases - this.diccionario.length);
+
+        for (let i = 0; i < cantidad; i++) {
+            const inicio = longitudCabecera + vista.getUint16(longitudCabecera + i * 2, false);
+            const cabeceraFrase = vista.getUint16(inicio, false);
+
+            this.diccionario.push({
+                bytes: registro.subarray(inicio + 2, inicio + 2 + (cabeceraFrase & 0x7FFF)),
+                descomprimida: Boolean(cabeceraFrase & 0x8000)
+            });
+        }
+    }
+
+    /**
+     * Decodifica los códigos de un bloque de bits
+     * @param {Uint8Array} datos
+     * @param {Set<number>} enCurso - Frases que se están descomprimiendo (evita ciclos)
+     * @private
+     */
+    _descomprimir(datos, enCurso) {
+        // Relleno para poder leer siempre 32 bits a partir de cualquier posición
+        const bytes = new Uint8Array(datos.length + 5);
+        bytes.set(datos);
+
+        const partes = [];
+        let longitudTotal = 0;
+        let bitsRestantes = datos.length * 8;
+        let posicionBits = 0;
+
+        while (true) {
+            const codigo = this._leerCodigo(bytes, posicionBits);
+            let { longitud, terminal, maximo } = this.tablaCorta[codigo >>> 24];
+
+            if (!terminal) {
+                while (longitud < 32 && codigo < this.codigosMinimos[longitud]) longitud++;
+                maximo = this.codigosMaximos[longitud];
+            }
+
+            bitsRestantes -= longitud;
+            if (bitsRestantes < 0) break;
+            posicionBits += longitud;
+
+            const indice = Math.floor((maximo - codigo) / 2 ** (32 - longitud));
+            const frase = this._obtenerFrase(indice, enCurso);
+
+            partes.push(frase);
+            longitudTotal += frase.length;
+        }
+
+        const resultado = new Uint8Array(longitudTotal);
+        let posicion = 0;
+        for (const parte of partes) {
+            resultado.set(parte, posicion);
+            posicion += parte.length;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Obtiene una frase del diccionario descomprimiéndola si hace falta
+     * @private
+     */
+    _obtenerFrase(indice, enCurso) {
+        const entrada = this.diccionario[indice];
+        if (!entrada) throw new Error('Código HUFF fuera del diccionario CDIC');
+
+        if (!entrada.descomprimida) {
+            if (enCurso.has(indice)) throw new Error('Diccionario CDIC circular');
+
+            enCurso.add(indice);
+            entrada.bytes = this._descomprimir(entrada.bytes, enCurso);
+            entrada.descomprimida = true;
+            enCurso.delete(indice);
+        }
+
+        return entrada.bytes;
+    }
+
+    /**
+     * Lee 32 bits a partir de una posición en bits (sin signo)
+     * @private
+     */
+    _leerCodigo(bytes, posicionBits) {
+        const i = posicionBits >>> 3;
+        const desfase = posicionBits & 7;
+        const palabra = (bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3];
+
+        return ((palabra << desfase) | (bytes[i + 4] >>> (8 - desfase))) >>> 0;
+    }
+
+    /**
+     * @private
+     */
+    _leerFirma(registro) {
+        return String.fromCharCode(...registro.subarray(0, 4));
+    }
+}
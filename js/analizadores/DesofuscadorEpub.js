@@ -0,0 +1,179 @@
+/**
+ * Desofuscador de recursos de un EPUB (SRP)
+ * Responsabilidad única: interpretar META-INF/encryption.xml, deshacer la
+ * ofuscación de fuentes (algoritmos IDPF y Adobe) y señalar los recursos
+ * cifrados con DRM, que no se pueden leer
+ *
+ * La ofuscación sólo altera los primeros bytes del archivo (1040 en IDPF,
+ * 1024 en Adobe) con un XOR contra una clave derivada del identificador del libro.
+ */
+class DesofuscadorEpub {
+    constructor() {
+        this.NS_DC = 'http://purl.org/dc/elements/1.1/';
+        this.ALGORITMO_IDPF = 'http://www.idpf.org/2008/embedding';
+        this.ALGORITMO_ADOBE = 'http://ns.adobe.com/pdf/enc#RC';
+        this.BYTES_OFUSCADOS = {
+            [this.ALGORITMO_IDPF]: 1040,
+            [this.ALGORITMO_ADOBE]: 1024
+        };
+
+        this.algoritmosPorRuta = new Map();
+        this.identificadorUnico = '';
+        this.identificadores = [];
+        // Algoritmo → Promise<Uint8Array|null>, calculada una sola vez
+        this.claves = new Map();
+    }
+
+    /**
+     * Lee encryption.xml y los identificadores del libro
+     * @param {JSZip} zip
+     * @param {Document} opf
+     */
+    async cargar(zip, opf) {
+        this._leerIdentificadores(opf);
+
+        const archivo = zip.file('META-INF/encryption.xml');
+        if (!archivo) return;
+
+        const cifrado = new DOMParser().parseFromString(await archivo.async('text'), 'application/xml');
+
+        for (const datos of cifrado.getElementsByTagNameNS('*', 'EncryptedData')) {
+            const metodo = datos.getElementsByTagNameNS('*', 'EncryptionMethod')[0];
+            const referencia = datos.getElementsByTagNameNS('*', 'CipherReference')[0];
+            const uri = referencia ? referencia.getAttribute('URI') : '';
+            if (!uri) continue;
+
+            this.algoritmosPorRuta.set(
+                this._normalizarRuta(uri),
+                metodo ? (metodo.getAttribute('Algorithm') || '').trim() : ''
+            );
+        }
+    }
+
+    /**
+     * Indica si un recurso está ofuscado con un algoritmo reversible
+     * @param {string} ruta - Ruta dentro del ZIP
+     * @returns {boolean}
+     */
+    estaOfuscado(ruta) {
+        return this.algoritmosPorRuta.get(ruta) in this.BYTES_OFUSCADOS;
+    }
+
+    /**
+     * Indica si un recurso está cifrado con DRM (cualquier otro algoritmo)
+     * @param {string} ruta - Ruta dentro del ZIP
+     * @returns {boolean}
+     */
+    estaProtegido(ruta) {
+        return this.algoritmosPorRuta.has(ruta) && !this.estaOfuscado(ruta);
+    }
+
+    /**
+     * Obtiene las rutas de todos los recursos cifrados con DRM
+     * @returns {string[]}
+     */
+    obtenerProtegidos() {
+        return Array.from(this.algoritmosPorRuta.keys()).filter(ruta => this.estaProtegido(ruta));
+    }
+
+    /**
+     * Deshace la ofuscación de un recurso (los no ofuscados se devuelven tal cual)
+     * @param {string} ruta - Ruta dentro del ZIP
+     * @param {Uint8Array} bytes - Contenido ya descomprimido
+     * @returns {Promise<Uint8Array>}
+     */
+    async desofuscar(ruta, bytes) {
+        if (!this.estaOfuscado(ruta)) return bytes;
+
+        const algoritmo = this.algoritmosPorRuta.get(ruta);
+        const clave = await this._obtenerClave(algoritmo);
+        if (!clave) {
+            console.warn('No se pudo obtener la clave para desofuscar:', ruta);
+            return bytes;
+        }
+
+        const resultado = new Uint8Array(bytes);
+        const longitud = Math.min(resultado.length, this.BYTES_OFUSCADOS[algoritmo]);
+
+        for (let i = 0; i < longitud; i++) {
+            resultado[i] ^= clave[i % clave.length];
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Obtiene (calculándola la primera vez) la clave de un algoritmo
+     * @private
+     */
+    _obtenerClave(algoritmo) {
+        if (!this.claves.has(algoritmo)) {
+            this.claves.set(algoritmo, algoritmo === this.ALGORITMO_IDPF
+                ? this._calcularClaveIdpf()
+                : Promise.resolve(this._calcularClaveAdobe()));
+        }
+        return this.claves.get(algoritmo);
+    }
+
+    /**
+     * Clave IDPF: SHA-1 del identificador único sin espacios en blanco
+     * @returns {Promise<Uint8Array|null>}
+     * @private
+     */
+    async _calcularClaveIdpf() {
+        const identificador = this.identificadorUnico.replace(/[ \u0009\u000d\u000a]/g, '');
+        const subtle = window.crypto && window.crypto.subtle;
+        if (!identificador || !subtle) return null;
+
+        const resumen = await subtle.digest('SHA-1', new TextEncoder().encode(identificador));
+        return new Uint8Array(resumen);
+    }
+
+    /**
+     * Clave Adobe: los 16 bytes del primer identificador UUID (empezando por el único)
+     * @returns {Uint8Array|null}
+     * @private
+     */
+    _calcularClaveAdobe() {
+        for (const identificador of this.identificadores) {
+            const hex = identificador.replace(/^urn:uuid:/i, '').replace(/[-:]/g, '');
+            if (/^[0-9a-f]{32}$/i.test(hex)) {
+                return Uint8Array.from(hex.match(/../g), par => parseInt(par, 16));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lee los dc:identifier tal como aparecen, con el único (unique-identifier) primero
+     * @private
+     */
+    _leerIdentificadores(opf) {
+        const idPrincipal = opf.documentElement.getAttribute('unique-identifier');
+        const elementos = Array.from(opf.getElementsByTagNameNS(this.NS_DC, 'identifier'));
+        const principal = elementos.find(e => idPrincipal && e.getAttribute('id') === idPrincipal) || elementos[0];
+
+        this.identificadorUnico = principal ? principal.textContent.trim() : '';
+        this.identificadores = elementos
+            .sort((a, b) => (b === principal) - (a === principal))
+            .map(elemento => elemento.textContent.trim())
+            .filter(valor => valor);
+    }
+
+    /**
+     * Convierte la URI de encryption.xml (relativa a la raíz del contenedor) en ruta del ZIP
+     * @private
+     */
+    _normalizarRuta(uri) {
+        return uri.split('#')[0].split('/')
+            .filter(parte => parte && parte !== '.')
+            .map(parte => {
+                try {
+                    return decodeURIComponent(parte);
+                } catch (e) {
+                    return parte;
+                }
+            })
+            .join('/');
+    }
+}
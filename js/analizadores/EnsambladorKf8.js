@@ -0,0 +1,157 @@
+/**
+ * Ensamblador de libros KF8/AZW3 (SRP)
+ * Responsabilidad única: reconstruir los documentos XHTML de un KF8 a partir
+ * de su texto descomprimido y localizar los destinos de kindle:pos:fid
+ *
+ * El texto KF8 está partido en flujos (tabla FDST): el primero es el marcado
+ * y los demás, CSS o SVG. En el primer flujo cada documento se guarda como un
+ * esqueleto (la estructura sin contenido) seguido de sus fragmentos, que hay que
+ * volver a insertar en el esqueleto en las posiciones que da el índice de fragmentos.
+ * Todo se hace sobre bytes: las posiciones son offsets en bytes del documento ensamblado.
+ */
+class EnsambladorKf8 {
+    /**
+     * @param {Uint8Array} texto - Texto KF8 descomprimido
+     * @param {Object} tablas
+     * @param {Uint8Array|null} tablas.fdst - Registro FDST (null = un solo flujo)
+     * @param {Array} tablas.esqueletos - Entradas del índice de esqueletos (LectorIndiceMobi)
+     * @param {Array} tablas.fragmentos - Entradas del índice de fragmentos
+     */
+    constructor(texto, { fdst, esqueletos, fragmentos }) {
+        this.texto = texto;
+        this.fdst = fdst;
+        this.esqueletos = esqueletos;
+        this.fragmentos = fragmentos;
+        this.partes = [];
+        // Tramo del documento ensamblado que ocupa cada parte: { inicio, fin }
+        this.tramosPartes = [];
+        this.textosLatin1 = new Map();
+    }
+
+    /**
+     * Reconstruye los documentos y separa los flujos
+     * @returns {{partes: Uint8Array[], flujos: Uint8Array[]}} El flujo 0 (el marcado) va vacío
+     */
+    ensamblar() {
+        const flujos = this._leerFlujos();
+        const marcado = flujos[0];
+        flujos[0] = new Uint8Array(0);
+
+        if (this.esqueletos.length === 0) {
+            this.partes = [marcado];
+            this.tramosPartes = [{ inicio: 0, fin: marcado.length }];
+            return { partes: this.partes, flujos };
+        }
+
+        let siguienteFragmento = 0;
+
+        for (const esqueleto of this.esqueletos) {
+            const [numFragmentos = 0] = esqueleto.etiquetas[1] || [];
+            const [inicio = 0, longitud = 0] = esqueleto.etiquetas[6] || [];
+
+            let parte = marcado.slice(inicio, inicio + longitud);
+            let base = inicio + longitud;
+
+            for (let i = 0; i < numFragmentos && siguienteFragmento < this.fragmentos.length; i++) {
+                const fragmento = this.fragmentos[siguienteFragmento++];
+                const [, longitudFragmento = 0] = fragmento.etiquetas[6] || [];
+                // El nombre de la entrada es la posición de inserción en el documento ensamblado
+                const insercion = parseInt(fragmento.nombre, 10) - inicio;
+
+                parte = this._insertar(parte, insercion, marcado.subarray(base, base + longitudFragmento));
+                base += longitudFragmento;
+            }
+
+            this.partes.push(parte);
+            this.tramosPartes.push({ inicio, fin: base });
+        }
+
+        return { partes: this.partes, flujos };
+    }
+
+    /**
+     * Localiza el destino de un enlace kindle:pos:fid:XXXX:off:YYYYYYYYYY:
+     * la parte que contiene la posición y el último id anterior a ella
+     * @param {number} fid - Índice del fragmento
+     * @param {number} desplazamiento - Offset dentro del fragmento
+     * @returns {{parte: number, ancla: string|null}|null}
+     */
+    buscarDestino(fid, desplazamiento) {
+        const fragmento = this.fragmentos[fid];
+        if (!fragmento) return null;
+
+        const posicion = parseInt(fragmento.nombre, 10) + desplazamiento;
+
+        const parte = this.tramosPartes.findIndex(tramo => posicion >= tramo.inicio && posicion < tramo.fin);
+        if (parte === -1) return null;
+
+        return { parte, ancla: this._buscarIdAnterior(parte, posicion - this.tramosPartes[parte].inicio) };
+    }
+
+    /**
+     * Separa los flujos según la tabla FDST
+     * @private
+     */
+    _leerFlujos() {
+        if (!this.fdst || String.fromCharCode(...this.fdst.subarray(0, 4)) !== 'FDST') {
+            return [this.texto];
+        }
+
+        const vista = new DataView(this.fdst.buffer, this.fdst.byteOffset, this.fdst.byteLength);
+        const numFlujos = vista.getUint32(8, false);
+        const flujos = [];
+
+        for (let i = 0; i < numFlujos; i++) {
+            const inicio = vista.getUint32(12 + i * 8, false);
+            const fin = vista.getUint32(16 + i * 8, false);
+            flujos.push(this.texto.subarray(inicio, fin));
+        }
+
+        return flujos.length > 0 ? flujos : [this.texto];
+    }
+
+    /**
+     * Busca el último atributo id (o name) que aparece antes de una posición de
+     * una parte; si la posición cae dentro de una etiqueta, cuenta la etiqueta entera
+     * @private
+     */
+    _buscarIdAnterior(parte, posicion) {
+        // windows-1252 es de un byte por carácter: índice del texto = offset en bytes
+        if (!this.textosLatin1.has(parte)) {
+            this.textosLatin1.set(parte, new TextDecoder('windows-1252').decode(this.partes[parte]));
+        }
+        const texto = this.textosLatin1.get(parte);
+
+        let limite = posicion;
+        const cierre = texto.indexOf('>', posicion);
+        const apertura = texto.indexOf('<', posicion);
+        if (cierre !== -1 && (apertura === posicion || apertura === -1 || cierre < apertura)) {
+            limite = cierre + 1;
+        }
+
+        let ultima = null;
+        for (const coincidencia of texto.slice(0, limite).matchAll(/<[^>]+\s(?:id|name)\s*=\s*['"]([^'"]+)['"]/gi)) {
+            ultima = coincidencia;
+        }
+        if (!ultima) return null;
+
+        // El id se decodifica desde sus bytes: puede no ser ASCII
+        const fin = ultima.index + ultima[0].length - 1;
+        return new TextDecoder('utf-8').decode(this.partes[parte].subarray(fin - ultima[1].length, fin));
+    }
+
+    /**
+     * Inserta unos bytes en una posición
+     * @private
+     */
+    _insertar(bytes, posicion, trozo) {
+        const destino = Math.max(0, Math.min(posicion, bytes.length));
+        const resultado = new Uint8Array(bytes.length + trozo.length);
+
+        resultado.set(bytes.subarray(0, destino), 0);
+        resultado.set(trozo, destino);
+        resultado.set(bytes.subarray(destino), destino + trozo.length);
+
+        return resultado;
+    }
+}
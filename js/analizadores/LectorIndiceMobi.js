@@ -0,0 +1,225 @@
+/**
+ * Lector de índices INDX de MOBI/KF8 (SRP)
+ * Responsabilidad única: decodificar un índice INDX (esqueletos y fragmentos
+ * de KF8, tabla de contenidos NCX) en una lista de entradas con sus etiquetas
+ *
+ * Un índice es un registro de cabecera con la tabla TAGX (qué etiquetas puede
+ * llevar cada entrada y cómo se codifican), seguido de los registros con las
+ * entradas y de los registros CNCX con las cadenas a las que éstas apuntan.
+ */
+class LectorIndiceMobi {
+    /**
+     * @param {Function} obtenerRegistro - Índice de registro del PDB → Uint8Array
+     */
+    constructor(obtenerRegistro) {
+        this.obtenerRegistro = obtenerRegistro;
+        this.CODIFICACIONES = {
+            1252: 'windows-1252',
+            65001: 'utf-8'
+        };
+    }
+
+    /**
+     * Lee un índice completo
+     * @param {number} indiceRegistro - Registro de cabecera del índice
+     * @returns {{entradas: Array<{nombre: string, etiquetas: Object<number, number[]>}>, cadenas: Map<number, string>}}
+     */
+    leer(indiceRegistro) {
+        const registro = this.obtenerRegistro(indiceRegistro);
+        const cabecera = this._leerCabecera(registro);
+        const decodificador = new TextDecoder(this.CODIFICACIONES[cabecera.codificacion] || 'utf-8');
+        const { bytesControl, etiquetas } = this._leerTagx(registro, cabecera.longitud);
+
+        const cadenas = this._leerCncx(indiceRegistro + cabecera.numEntradas + 1, cabecera.numCncx, decodificador);
+        const entradas = [];
+
+        for (let i = 1; i <= cabecera.numEntradas; i++) {
+            entradas.push(...this._leerEntradas(this.obtenerRegistro(indiceRegistro + i), bytesControl, etiquetas, decodificador));
+        }
+
+        return { entradas, cadenas };
+    }
+
+    /**
+     * Lee los campos de la cabecera INDX que se usan
+     * @private
+     */
+    _leerCabecera(registro) {
+        const vista = new DataView(registro.buffer, registro.byteOffset, registro.byteLength);
+        if (String.fromCharCode(...registro.subarray(0, 4)) !== 'INDX') {
+            throw new Error('Índice INDX no válido');
+        }
+
+        return {
+            longitud: vista.getUint32(4, false),
+            inicioIdxt: vista.getUint32(20, false),
+            // En la cabecera del índice: registros de entradas; en éstos: entradas
+            numEntradas: vista.getUint32(24, false),
+            codificacion: vista.getUint32(28, false),
+            numCncx: vista.getUint32(52, false)
+        };
+    }
+
+    /**
+     * Lee la tabla TAGX: por cada etiqueta, cuántos valores lleva y su máscara
+     * en los bytes de control
+     * @private
+     */
+    _leerTagx(registro, inicio) {
+        const vista = new DataView(registro.buffer, registro.byteOffset, registro.byteLength);
+        if (String.fromCharCode(...registro.subarray(inicio, inicio + 4)) !== 'TAGX') {
+            throw new Error('Tabla TAGX no encontrada');
+        }
+
+        const longitud = vista.getUint32(inicio + 4, false);
+        const bytesControl = vista.getUint32(inicio + 8, false);
+        const etiquetas = [];
+
+        for (let posicion = inicio + 12; posicion < inicio + longitud; posicion += 4) {
+            etiquetas.push({
+                etiqueta: registro[posicion],
+                valoresPorEntrada: registro[posicion + 1],
+                mascara: registro[posicion + 2],
+                finDeByteControl: registro[posicion + 3] === 1
+            });
+        }
+
+        return { bytesControl, etiquetas };
+    }
+
+    /**
+     * Lee las entradas de un registro de índice (posiciones en su tabla IDXT)
+     * @private
+     */
+    _leerEntradas(registro, bytesControl, etiquetas, decodificador) {
+        const vista = new DataView(registro.buffer, registro.byteOffset, registro.byteLength);
+        const { inicioIdxt, numEntradas } = this._leerCabecera(registro);
+
+        const posiciones = [];
+        for (let i = 0; i < numEntradas; i++) {
+            posiciones.push(vista.getUint16(inicioIdxt + 4 + i * 2, false));
+        }
+        // La última entrada acaba donde empieza la tabla IDXT
+        posiciones.push(inicioIdxt);
+
+        const entradas = [];
+        for (let i = 0; i < numEntradas; i++) {
+            const entrada = registro.subarray(posiciones[i], posiciones[i + 1]);
+            const longitudNombre = entrada[0];
+
+            entradas.push({
+                nombre: decodificador.decode(entrada.subarray(1, 1 + longitudNombre)),
+                etiquetas: this._leerEtiquetas(entrada.subarray(1 + longitudNombre), bytesControl, etiquetas)
+            });
+        }
+
+        return entradas;
+    }
+
+    /**
+     * Decodifica los valores de las etiquetas de una entrada a partir de sus
+     * bytes de control
+     * @private
+     */
+    _leerEtiquetas(datos, bytesControl, etiquetas) {
+        const presentes = [];
+        let byteControl = 0;
+        let posicion = bytesControl;
+
+        for (const { etiqueta, valoresPorEntrada, mascara, finDeByteControl } of etiquetas) {
+            if (finDeByteControl) {
+                byteControl++;
+                continue;
+            }
+
+            let valor = datos[byteControl] & mascara;
+            if (valor === 0) continue;
+
+            if (valor === mascara && this._contarBits(mascara) > 1) {
+                // Máscara llena de varios bits: sigue la longitud en bytes de los valores
+                const [longitud, consumidos] = this._leerEnteroVariable(datos, posicion);
+                posicion += consumidos;
+                presentes.push({ etiqueta, bytes: longitud });
+            } else {
+                for (let bits = mascara; (bits & 1) === 0; bits >>= 1) valor >>= 1;
+                presentes.push({ etiqueta, cantidad: valor * valoresPorEntrada });
+            }
+        }
+
+        const resultado = {};
+        for (const { etiqueta, cantidad, bytes } of presentes) {
+            const valores = [];
+
+            if (cantidad !== undefined) {
+                for (let i = 0; i < cantidad; i++) {
+                    const [valor, consumidos] = this._leerEnteroVariable(datos, posicion);
+                    posicion += consumidos;
+                    valores.push(valor);
+                }
+            } else {
+                for (let leidos = 0; leidos < bytes;) {
+                    const [valor, consumidos] = this._leerEnteroVariable(datos, posicion);
+                    posicion += consumidos;
+                    leidos += consumidos;
+                    valores.push(valor);
+                }
+            }
+
+            resultado[etiqueta] = valores;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Lee las cadenas de los registros CNCX, indexadas por su posición
+     * (registro × 0x10000 + desplazamiento), que es como las citan las etiquetas
+     * @private
+     */
+    _leerCncx(primerRegistro, numRegistros, decodificador) {
+        const cadenas = new Map();
+
+        for (let i = 0; i < numRegistros; i++) {
+            const registro = this.obtenerRegistro(primerRegistro + i);
+            let posicion = 0;
+
+            while (posicion < registro.length) {
+                const [longitud, consumidos] = this._leerEnteroVariable(registro, posicion);
+                if (longitud > 0) {
+                    const inicio = posicion + consumidos;
+                    cadenas.set(i * 0x10000 + posicion, decodificador.decode(registro.subarray(inicio, inicio + longitud)));
+                }
+                posicion += consumidos + longitud;
+            }
+        }
+
+        return cadenas;
+    }
+
+    /**
+     * Lee un entero de 7 bits por byte; el último byte lleva el bit alto
+     * @returns {[number, number]} Valor y bytes consumidos
+     * @private
+     */
+    _leerEnteroVariable(datos, posicion) {
+        let valor = 0;
+        let consumidos = 0;
+
+        while (consumidos < 4 && posicion + consumidos < datos.length) {
+            const byte = datos[posicion + consumidos++];
+            valor = (valor * 128) + (byte & 0x7F);
+            if (byte & 0x80) break;
+        }
+
+        return [valor, consumidos];
+    }
+
+    /**
+     * @private
+     */
+    _contarBits(valor) {
+        let bits = 0;
+        for (; valor; valor >>= 1) bits += valor & 1;
+        return bits;
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * Resolutor de recursos de un EPUB (SRP)
+ * Responsabilidad única: convertir las referencias a archivos internos del EPUB
+ * (imágenes, fuentes, CSS, audio...) en referencias de la caché de recursos
+ *
+ * Cada item se registra en la caché con su media-type declarado en el manifest
+ * y sólo se extrae del ZIP cuando el visor lo necesita (desofuscado si hace falta).
+ * Los recursos cifrados con DRM se tratan como inexistentes.
+ * Las referencias se resuelven relativas al archivo (XHTML o CSS) donde aparecen.
+ */
+class ResolutorRecursosEpub {
+    /**
+     * @param {JSZip} zip - Contenido descomprimido del EPUB
+     * @param {Document} opf - Documento OPF ya parseado
+     * @param {string} rutaOpf - Ruta del OPF dentro del ZIP
+     * @param {CacheRecursos} cache - Caché donde se registran los recursos
+     * @param {DesofuscadorEpub} [desofuscador] - Descrito en META-INF/encryption.xml
+     */
+    constructor(zip, opf, rutaOpf, cache, desofuscador = null) {
+        this.zip = zip;
+        this.cache = cache;
+        this.desofuscador = desofuscador;
+        this.itemsPorRuta = new Map();
+        this.itemsPorId = new Map();
+        this.referenciasPorRuta = new Map();
+
+        // Atributos que cargarían el recurso al insertarse en el DOM: se difieren
+        // a data-recurso-* hasta que el visor hidrata el capítulo
+        this.ATRIBUTOS_DIFERIDOS = [
+            ['img, source, video, audio, track', 'src'],
+            ['video', 'poster'],
+            ['image, use', 'href'],
+            ['image, use', 'xlink:href']
+        ];
+
+        this.TIPOS_POR_EXTENSION = {
+            'jpg': 'image/jpeg',
+            'jpeg': 'image/jpeg',
+            'png': 'image/png',
+            'gif': 'image/gif',
+            'svg': 'image/svg+xml',
+            'webp': 'image/webp',
+            'css': 'text/css',
+            'ttf': 'font/ttf',
+            'otf': 'font/otf',
+            'woff': 'font/woff',
+            'woff2': 'font/woff2',
+            'mp3': 'audio/mpeg',
+            'm4a': 'audio/mp4',
+            'mp4': 'video/mp4'
+        };
+
+        this._leerManifest(opf, rutaOpf);
+    }
+
+    /**
+     * Indexa los items del manifest por ruta completa y por id
+     * @private
+     */
+    _leerManifest(opf, rutaOpf) {
+        const directorio = this.obtenerDirectorio(rutaOpf);
+
+        for (const elemento of opf.querySelectorAll('manifest item')) {
+            const href = elemento.getAttribute('href');
+            if (!href) continue;
+
+            const item = {
+                id: elemento.getAttribute('id'),
+                ruta: this.resolverRuta(directorio, href),
+                tipoMime: elemento.getAttribute('media-type') || '',
+                propiedades: (elemento.getAttribute('properties') || '').split(/\s+/).filter(p => p)
+            };
+
+            this.itemsPorRuta.set(item.ruta, item);
+            if (item.id) this.itemsPorId.set(item.id, item);
+        }
+    }
+
+    /**
+     * Resuelve una ruta relativa (descarta el fragmento y normaliza '.' y '..')
+     * @param {string} directorio - Directorio base, terminado en '/'
+     * @param {string} rutaRelativa
+     * @returns {string} Ruta dentro del ZIP
+     */
+    resolverRuta(directorio, rutaRelativa) {
+        const sinFragmento = rutaRelativa.split('#')[0].split('?')[0];
+        const partes = sinFragmento.startsWith('/') ? [] : directorio.split('/').filter(p => p);
+
+        for (const parte of sinFragmento.split('/')) {
+            if (parte === '..') {
+                partes.pop();
+            } else if (parte && parte !== '.') {
+                partes.push(this.decodificarSegmento(parte));
+            }
+        }
+        return partes.join('/');
+    }
+
+    /**
+     * Decodifica un segmento de ruta escapado (%20, etc.)
+     * @param {string} segmento
+     * @returns {string}
+     */
+    decodificarSegmento(segmento) {
+        try {
+            return decodeURIComponent(segmento);
+        } catch (e) {
+            return segmento;
+        }
+    }
+
+    /**
+     * Obtiene el directorio de una ruta dentro del ZIP
+     * @param {string} ruta
+     * @returns {string} Directorio terminado en '/' (o cadena vacía)
+     */
+    obtenerDirectorio(ruta) {
+        return ruta.includes('/') ? ruta.substring(0, ruta.lastIndexOf('/') + 1) : '';
+    }
+
+    /**
+     * Obtiene el item del manifest de una ruta
+     * @param {string} ruta
+     * @returns {Object|null} { id, ruta, tipoMime, propiedades }
+     */
+    obtenerItem(ruta) {
+        return this.itemsPorRuta.get(ruta) || null;
+    }
+
+    /**
+     * Obtiene el item del manifest con un id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    obtenerItemPorId(id) {
+        return this.itemsPorId.get(id) || null;
+    }
+
+    /**
+     * Obtiene todos los items del manifest
+     * @returns {Object[]}
+     */
+    obtenerItems() {
+        return Array.from(this.itemsPorRuta.values());
+    }
+
+    /**
+     * Obtiene el tipo MIME de un recurso: el declarado en el manifest
+     * o, si no figura en él, el deducido de la extensión
+     * @param {string} ruta
+     * @returns {string}
+     */
+    obtenerTipoMime(ruta) {
+        const item = this.obtenerItem(ruta);
+        if (item && item.tipoMime) return item.tipoMime;
+
+        const extension = ruta.split('.').pop().toLowerCase();
+        return this.TIPOS_POR_EXTENSION[extension] || 'application/octet-stream';
+    }
+
+    /**
+     * Indica si un archivo del EPUB está cifrado con DRM y no se puede leer
+     * @param {string} ruta - Ruta completa dentro del ZIP
+     * @returns {boolean}
+     */
+    estaProtegido(ruta) {
+        return Boolean(this.desofuscador) && this.desofuscador.estaProtegido(ruta);
+    }
+
+    /**
+     * Obtiene la referencia de caché ("recurso:<clave>") de un recurso del EPUB
+     * @param {string} ruta - Ruta completa dentro del ZIP
+     * @returns {string|null} null si el archivo no existe o está cifrado con DRM
+     */
+    obtenerReferencia(ruta) {
+        if (!this.referenciasPorRuta.has(ruta)) {
+            const archivo = this.estaProtegido(ruta) ? null : this.zip.file(ruta);
+            this.referenciasPorRuta.set(ruta, archivo
+                ? this.cache.registrar(() => this._cargarBlob(archivo, ruta))
+                : null);
+        }
+        return this.referenciasPorRuta.get(ruta);
+    }
+
+    /**
+     * Extrae un recurso del ZIP como Blob (las fuentes ofuscadas se desofuscan
+     * y las hojas CSS se reescriben antes)
+     * @private
+     */
+    async _cargarBlob(archivo, ruta) {
+        const tipoMime = this.obtenerTipoMime(ruta);
+        let contenido;
+
+        if (this.desofuscador && this.desofuscador.estaOfuscado(ruta)) {
+            contenido = await this.desofuscador.desofuscar(ruta, await archivo.async('uint8array'));
+        } else if (tipoMime === 'text/css') {
+            const css = this.reescribirCss(await archivo.async('text'), this.obtenerDirectorio(ruta));
+            contenido = await this.cache.resolverReferencias(css);
+        } else {
+            contenido = await archivo.async('uint8array');
+        }
+
+        return new Blob([contenido], { type: tipoMime });
+    }
+
+    /**
+     * Reescribe todas las referencias a recursos de un documento XHTML
+     * @param {Document} doc - Documento del capítulo
+     * @param {string} directorio - Directorio del capítulo dentro del ZIP
+     */
+    reescribirHtml(doc, directorio) {
+        for (const [selector, atributo] of this.ATRIBUTOS_DIFERIDOS) {
+            for (const elemento of doc.querySelectorAll(selector)) {
+                const valor = elemento.getAttribute(atributo);
+                const referencia = valor ? this._resolverReferencia(valor, directorio) : null;
+                if (referencia) this._diferirAtributo(elemento, atributo, referencia);
+            }
+        }
+
+        for (const elemento of doc.querySelectorAll('img[srcset], source[srcset]')) {
+            const srcset = this._reescribirSrcset(elemento.getAttribute('srcset'), directorio);
+            this._diferirAtributo(elemento, 'srcset', srcset);
+        }
+
+        for (const elemento of doc.querySelectorAll('[style]')) {
+            elemento.setAttribute('style', this.reescribirCss(elemento.getAttribute('style'), directorio));
+        }
+
+        for (const estilo of doc.querySelectorAll('style')) {
+            estilo.textContent = this.reescribirCss(estilo.textContent, directorio);
+        }
+    }
+
+    /**
+     * Mueve un atributo a data-recurso-* para que no se cargue al renderizar
+     * @private
+     */
+    _diferirAtributo(elemento, atributo, valor) {
+        elemento.removeAttribute(atributo);
+        elemento.setAttribute(`data-recurso-${atributo.replace(':', '-')}`, valor);
+    }
+
+    /**
+     * Reescribe las referencias url(...) de una hoja de estilos
+     * @param {string} css
+     * @param {string} directorio - Directorio de la hoja dentro del ZIP
+     * @returns {string}
+     */
+    reescribirCss(css, directorio) {
+        return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (original, comilla, referencia) => {
+            const resuelta = this._resolverReferencia(referencia.trim(), directorio);
+            return resuelta ? `url("${resuelta}")` : original;
+        });
+    }
+
+    /**
+     * Reescribe cada candidato de un atributo srcset
+     * @private
+     */
+    _reescribirSrcset(srcset, directorio) {
+        const candidatos = [];
+
+        for (const candidato of srcset.split(',')) {
+            const [referencia, ...descriptores] = candidato.trim().split(/\s+/);
+            if (!referencia) continue;
+
+            const resuelta = this._resolverReferencia(referencia, directorio);
+            candidatos.push([resuelta || referencia, ...descriptores].join(' '));
+        }
+
+        return candidatos.join(', ');
+    }
+
+    /**
+     * Convierte una referencia relativa en referencia de caché (conservando el fragmento)
+     * @returns {string|null} null si la referencia es externa o no existe
+     * @private
+     */
+    _resolverReferencia(referencia, directorio) {
+        if (!referencia || referencia.startsWith('#') || referencia.startsWith('//') ||
+            /^[a-z][a-z0-9+.-]*:/i.test(referencia)) {
+            return null;
+        }
+
+        const resuelta = this.obtenerReferencia(this.resolverRuta(directorio, referencia));
+        if (!resuelta) return null;
+
+        const posicionFragmento = referencia.indexOf('#');
+        return posicionFragmento !== -1 ? resuelta + referencia.substring(posicionFragmento) : resuelta;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Resolutor de recursos de un KF8 (SRP)
+ * Responsabilidad única: convertir las referencias kindle:embed y kindle:flow
+ * de los documentos y hojas de estilo KF8 en referencias de la caché de recursos
+ *
+ * kindle:embed:XXXX apunta a un registro de recurso (imagen o fuente), en base 32
+ * y empezando en 1; kindle:flow:XXXX, a uno de los flujos de la tabla FDST (CSS, SVG).
+ */
+class ResolutorRecursosKf8 {
+    /**
+     * @param {Map<number, string>} referenciasRecursos - Índice de recurso → referencia de caché
+     * @param {string[]} flujos - Flujos del libro ya decodificados
+     * @param {CacheRecursos} cache - Caché donde se registran los flujos usados como recurso
+     */
+    constructor(referenciasRecursos, flujos, cache) {
+        this.referenciasRecursos = referenciasRecursos;
+        this.flujos = flujos;
+        this.cache = cache;
+        this.referenciasFlujos = new Map();
+
+        // Atributos que cargarían el recurso al insertarse en el DOM: se difieren
+        // a data-recurso-* hasta que el visor hidrata el capítulo
+        this.ATRIBUTOS_DIFERIDOS = [
+            ['img, source, video, audio, track', 'src'],
+            ['video', 'poster'],
+            ['image, use', 'href'],
+            ['image, use', 'xlink:href']
+        ];
+    }
+
+    /**
+     * Obtiene la hoja de estilos a la que apunta un <link>, con sus url() ya resueltas
+     * @param {string} href
+     * @returns {string|null} null si no es un flujo CSS del libro
+     */
+    obtenerHojaEstilos(href) {
+        const flujo = this._leerReferenciaFlujo(href);
+        if (!flujo || (flujo.tipoMime && flujo.tipoMime !== 'text/css')) return null;
+
+        const css = this.flujos[flujo.indice];
+        return typeof css === 'string' ? this.reescribirCss(css) : null;
+    }
+
+    /**
+     * Reescribe todas las referencias a recursos de un documento
+     * @param {Document} doc
+     */
+    reescribirHtml(doc) {
+        for (const [selector, atributo] of this.ATRIBUTOS_DIFERIDOS) {
+            for (const elemento of doc.querySelectorAll(selector)) {
+                const valor = elemento.getAttribute(atributo);
+                const referencia = valor ? this.resolver(valor) : null;
+                if (referencia) this._diferirAtributo(elemento, atributo, referencia);
+            }
+        }
+
+        for (const elemento of doc.querySelectorAll('[style]')) {
+            elemento.setAttribute('style', this.reescribirCss(elemento.getAttribute('style')));
+        }
+
+        for (const estilo of doc.querySelectorAll('style')) {
+            estilo.textContent = this.reescribirCss(estilo.textContent);
+        }
+    }
+
+    /**
+     * Reescribe las referencias url(...) de una hoja de estilos
+     * @param {string} css
+     * @returns {string}
+     */
+    reescribirCss(css) {
+        return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (original, comilla, referencia) => {
+            const resuelta = this.resolver(referencia.trim());
+            return resuelta ? `url("${resuelta}")` : original;
+        });
+    }
+
+    /**
+     * Convierte una referencia kindle:embed o kindle:flow en referencia de caché
+     * @param {string} referencia
+     * @returns {string|null} null si no es una referencia KF8 o el recurso no existe
+     */
+    resolver(referencia) {
+        const embebido = referencia.match(/^kindle:embed:([0-9a-v]+)/i);
+        if (embebido) {
+            return this.referenciasRecursos.get(parseInt(embebido[1], 32) - 1) || null;
+        }
+
+        const flujo = this._leerReferenciaFlujo(referencia);
+        return flujo ? this._registrarFlujo(flujo) : null;
+    }
+
+    /**
+     * @returns {{indice: number, tipoMime: string|null}|null}
+     * @private
+     */
+    _leerReferenciaFlujo(referencia) {
+        const coincidencia = referencia.trim().match(/^kindle:flow:([0-9a-v]+)(?:\?mime=([^&#]+))?/i);
+        if (!coincidencia) return null;
+
+        return {
+            indice: parseInt(coincidencia[1], 32),
+            tipoMime: coincidencia[2] ? decodeURIComponent(coincidencia[2]).toLowerCase() : null
+        };
+    }
+
+    /**
+     * Registra un flujo (normalmente una imagen SVG) en la caché, una sola vez
+     * @private
+     */
+    _registrarFlujo({ indice, tipoMime }) {
+        const contenido = this.flujos[indice];
+        if (typeof contenido !== 'string' || !contenido) return null;
+
+        if (!this.referenciasFlujos.has(indice)) {
+            const tipo = tipoMime || 'image/svg+xml';
+            const texto = tipo === 'text/css' ? this.reescribirCss(contenido) : contenido;
+            this.referenciasFlujos.set(indice, this.cache.registrar(() => new Blob([texto], { type: tipo })));
+        }
+
+        return this.referenciasFlujos.get(indice);
+    }
+
+    /**
+     * Mueve un atributo a data-recurso-* para que no se cargue al renderizar
+     * @private
+     */
+    _diferirAtributo(elemento, atributo, valor) {
+        elemento.removeAttribute(atributo);
+        elemento.setAttribute(`data-recurso-${atributo.replace(':', '-')}`, valor);
+    }
+}
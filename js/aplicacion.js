@@ -11,6 +11,28 @@ class AplicacionLector {
         this.controladorVisor = null;
         this.panelAbierto = false;
 
+        // Códigos de rol MARC (opf:role) más habituales en libros
+        this.NOMBRES_ROL = {
+            aut: 'Autor',
+            trl: 'Traductor',
+            edt: 'Editor',
+            ill: 'Ilustrador',
+            nrt: 'Narrador',
+            aui: 'Prólogo',
+            aft: 'Epílogo',
+            com: 'Compilador',
+            ctb: 'Colaborador',
+            cov: 'Cubierta',
+            pht: 'Fotografía'
+        };
+
+        // Fases que informan los analizadores durante la carga
+        this.FASES_CARGA = {
+            descomprimiendo: 'Descomprimiendo',
+            imagenes: 'Extrayendo imágenes',
+            capitulos: 'Procesando capítulos'
+        };
+
         this._inicializarElementos();
         this._configurarEventos();
         this._aplicarEstilosIniciales();
@@ -30,11 +52,28 @@ class AplicacionLector {
             btnExportar: document.getElementById('btn-exportar'),
             btnIndice: document.getElementById('btn-indice'),
             btnConfiguracion: document.getElementById('btn-configuracion'),
+            btnVolver: document.getElementById('btn-volver'),
+            btnNarracion: document.getElementById('btn-narracion'),
+            reproductorNarracion: document.getElementById('reproductor-narracion'),
+            btnReproducirNarracion: document.getElementById('btn-reproducir-narracion'),
+            controlVelocidadNarracion: document.getElementById('control-velocidad-narracion'),
+            btnCerrarNarracion: document.getElementById('btn-cerrar-narracion'),
             panelLateral: document.getElementById('panel-lateral'),
             overlay: document.getElementById('overlay'),
             pantallaCarga: document.getElementById('pantalla-carga'),
+            mensajeCarga: document.getElementById('mensaje-carga'),
+            progresoCarga: document.getElementById('progreso-carga'),
+            btnCancelarCarga: document.getElementById('btn-cancelar-carga'),
             mensajeError: document.getElementById('mensaje-error'),
             infoLibro: document.getElementById('info-libro'),
+            dialogoDetalles: document.getElementById('dialogo-detalles'),
+            detallesLibro: document.getElementById('detalles-libro'),
+            btnCerrarDetalles: document.getElementById('btn-cerrar-detalles'),
+            dialogoError: document.getElementById('dialogo-error'),
+            errorTitulo: document.getElementById('error-titulo'),
+            errorMensaje: document.getElementById('error-mensaje'),
+            errorExplicacion: document.getElementById('error-explicacion'),
+            btnCerrarError: document.getElementById('btn-cerrar-error'),
             barraProgreso: document.getElementById('barra-progreso'),
             progresoRelleno: document.getElementById('progreso-relleno'),
             estilosLector: document.getElementById('estilos-lector'),
@@ -43,9 +82,17 @@ class AplicacionLector {
             controlFuente: document.getElementById('control-fuente'),
             controlAlturaLinea: document.getElementById('control-altura-linea'),
             controlAncho: document.getElementById('control-ancho'),
+            controlFuenteCjk: document.getElementById('control-fuente-cjk'),
+            controlTamanoRuby: document.getElementById('control-tamano-ruby'),
+            controlOcultarNotas: document.getElementById('control-ocultar-notas'),
+            controlContenidoEstricto: document.getElementById('control-contenido-estricto'),
+            seccionPaginasFijas: document.getElementById('seccion-paginas-fijas'),
+            controlZoomPaginas: document.getElementById('control-zoom-paginas'),
+            controlPaginasDobles: document.getElementById('control-paginas-dobles'),
             valorTamano: document.getElementById('valor-tamano'),
             valorAlturaLinea: document.getElementById('valor-altura-linea'),
             valorAncho: document.getElementById('valor-ancho'),
+            valorTamanoRuby: document.getElementById('valor-tamano-ruby'),
             selectorTemas: document.getElementById('selector-temas'),
             btnRestablecer: document.getElementById('btn-restablecer'),
             controlModoBionica: document.getElementById('control-modo-bionica'),
@@ -68,7 +115,11 @@ class AplicacionLector {
         this._configurarEventosEstilos();
         this._configurarEventosBionica();
         this._configurarEventosScroll();
+        this._configurarEventosNavegacion();
+        this._configurarEventosDetalles();
+        this._configurarEventosError();
         this._configurarEventosExportar();
+        this._configurarEventosNarracion();
     }
 
     /**
@@ -76,14 +127,17 @@ class AplicacionLector {
      * @private
      */
     _configurarEventosArchivo() {
-        const { zonaDrop, selectorArchivo, btnAbrir } = this.elementos;
+        const { zonaDrop, selectorArchivo, btnAbrir, btnCancelarCarga } = this.elementos;
 
         btnAbrir.addEventListener('click', () => selectorArchivo.click());
         zonaDrop.addEventListener('click', () => selectorArchivo.click());
+        btnCancelarCarga.addEventListener('click', () => this.gestorArchivos.cancelarCarga());
 
         selectorArchivo.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
                 this._procesarArchivo(e.target.files[0]);
+                // Permite volver a elegir el mismo archivo tras cancelar su carga
+                e.target.value = '';
             }
         });
 
@@ -111,11 +165,33 @@ class AplicacionLector {
      * @private
      */
     _configurarEventosPanel() {
-        const { btnIndice, btnConfiguracion, overlay } = this.elementos;
+        const { btnIndice, btnConfiguracion, overlay, listaCapitulos } = this.elementos;
 
         btnIndice.addEventListener('click', () => this._togglePanel());
         btnConfiguracion.addEventListener('click', () => this._togglePanel());
         overlay.addEventListener('click', () => this._cerrarPanel());
+
+        listaCapitulos.addEventListener('click', (e) => {
+            const alternador = e.target.closest('.alternar-entrada');
+            if (alternador) {
+                this._alternarEntradaIndice(alternador.closest('li'));
+                return;
+            }
+
+            const enlace = e.target.closest('.enlace-entrada');
+            if (enlace && this.controladorVisor) {
+                const indice = parseInt(enlace.dataset.indice);
+                if (indice < 0) {
+                    // Encabezados sin destino propio: sólo despliegan sus subsecciones
+                    this._alternarEntradaIndice(enlace.closest('li'));
+                    return;
+                }
+
+                this.controladorVisor.irACapitulo(indice, enlace.dataset.ancla || null);
+                this._actualizarCapituloActivo(indice);
+                this._cerrarPanel();
+            }
+        });
     }
 
     /**
@@ -124,11 +200,13 @@ class AplicacionLector {
      */
     _configurarEventosEstilos() {
         const {
-            controlTamano, controlFuente, controlAlturaLinea,
-            controlAncho, selectorTemas, btnRestablecer
+            controlTamano, controlFuente, controlAlturaLinea, controlAncho,
+            controlFuenteCjk, controlTamanoRuby, controlOcultarNotas, controlContenidoEstricto,
+            controlZoomPaginas, controlPaginasDobles, selectorTemas, btnRestablecer
         } = this.elementos;
 
         this._poblarSelectorFuentes();
+        this._poblarSelectorFuentesCjk();
 
         controlTamano.addEventListener('input', (e) => {
             this.controladorEstilos.cambiarTamanoFuente(parseInt(e.target.value));
@@ -146,6 +224,30 @@ class AplicacionLector {
             this.controladorEstilos.cambiarAnchoMaximo(parseInt(e.target.value));
         });
 
+        controlFuenteCjk.addEventListener('change', (e) => {
+            this.controladorEstilos.cambiarFuenteCjk(e.target.value);
+        });
+
+        controlTamanoRuby.addEventListener('input', (e) => {
+            this.controladorEstilos.cambiarTamanoRuby(parseInt(e.target.value));
+        });
+
+        controlOcultarNotas.addEventListener('change', (e) => {
+            this.controladorEstilos.cambiarOcultarNotas(e.target.checked);
+        });
+
+        controlContenidoEstricto.addEventListener('change', (e) => {
+            this.controladorEstilos.cambiarContenidoEstricto(e.target.checked);
+        });
+
+        controlZoomPaginas.addEventListener('change', (e) => {
+            this.controladorEstilos.cambiarZoomPaginasFijas(e.target.value);
+        });
+
+        controlPaginasDobles.addEventListener('change', (e) => {
+            this.controladorEstilos.cambiarPaginasDobles(e.target.checked);
+        });
+
         selectorTemas.addEventListener('click', (e) => {
             const opcion = e.target.closest('.tema-opcion');
             if (opcion) {
@@ -163,6 +265,8 @@ class AplicacionLector {
         this.controladorEstilos.alCambiar((config, css) => {
             this._aplicarCss(css);
             this._sincronizarControles();
+            this._configurarPaginasFijas(config);
+            this.gestorArchivos.establecerModoEstricto(config.contenidoEstricto);
         });
     }
 
@@ -325,7 +429,7 @@ class AplicacionLector {
     _configurarEventosScroll() {
         let ultimoScroll = 0;
 
-        window.addEventListener('scroll', () => {
+        const alDesplazar = () => {
             const ahora = Date.now();
             if (ahora - ultimoScroll < 50) return;
             ultimoScroll = ahora;
@@ -333,26 +437,195 @@ class AplicacionLector {
             this._actualizarProgreso();
 
             if (this.controladorVisor) {
-                const nuevoCapitulo = this.controladorVisor.actualizarCapituloActual(window.scrollY);
+                const desplazamiento = this.controladorVisor.obtenerDesplazamiento();
+                const nuevoCapitulo = this.controladorVisor.actualizarCapituloActual(desplazamiento);
                 if (nuevoCapitulo !== null) {
                     this._actualizarCapituloActivo(nuevoCapitulo);
                 }
             }
+        };
+
+        // En escritura vertical el que se desplaza es el visor, no la página
+        window.addEventListener('scroll', alDesplazar);
+        this.elementos.contenedorVisor.addEventListener('scroll', alDesplazar);
+    }
+
+    /**
+     * Eventos de navegación por enlaces internos del libro
+     * @private
+     */
+    _configurarEventosNavegacion() {
+        this.elementos.btnVolver.addEventListener('click', () => {
+            if (this.controladorVisor) {
+                this.controladorVisor.volverAtras();
+            }
+        });
+
+        // Flechas: capítulo siguiente/anterior según el sentido de lectura del libro
+        document.addEventListener('keydown', (e) => {
+            if (!this.controladorVisor || !this.controladorVisor.libroActual) return;
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+            if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable]')) return;
+
+            const haciaDelante = (e.key === 'ArrowRight') === (this.controladorVisor.obtenerDireccion() === 'ltr');
+
+            if (haciaDelante) {
+                this.controladorVisor.siguienteCapitulo();
+            } else {
+                this.controladorVisor.anteriorCapitulo();
+            }
+            this._actualizarCapituloActivo(this.controladorVisor.capituloActual);
         });
     }
 
+    /**
+     * Eventos del diálogo de detalles del libro
+     * @private
+     */
+    _configurarEventosDetalles() {
+        const { infoLibro, dialogoDetalles, btnCerrarDetalles } = this.elementos;
+
+        infoLibro.addEventListener('click', () => this._mostrarDetallesLibro());
+        infoLibro.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this._mostrarDetallesLibro();
+            }
+        });
+
+        btnCerrarDetalles.addEventListener('click', () => this._cerrarDetallesLibro());
+        dialogoDetalles.addEventListener('click', (e) => {
+            if (e.target === dialogoDetalles) this._cerrarDetallesLibro();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this._cerrarDetallesLibro();
+        });
+    }
+
+    /**
+     * Eventos del diálogo de error al abrir un libro
+     * @private
+     */
+    _configurarEventosError() {
+        const { dialogoError, btnCerrarError } = this.elementos;
+
+        btnCerrarError.addEventListener('click', () => this._cerrarDialogoError());
+        dialogoError.addEventListener('click', (e) => {
+            if (e.target === dialogoError) this._cerrarDialogoError();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this._cerrarDialogoError();
+        });
+    }
+
+    /**
+     * Muestra el diálogo con portada y metadatos del libro actual
+     * @private
+     */
+    async _mostrarDetallesLibro() {
+        if (!this.controladorVisor) return;
+
+        const info = this.controladorVisor.obtenerInfoLibro();
+        if (!info) return;
+
+        const metadatos = info.metadatos || {};
+        const urlPortada = await this.controladorVisor.obtenerUrlPortada();
+        const identificadores = (metadatos.identificadores || [])
+            .map(id => id.esquema ? `${id.esquema}: ${id.valor}` : id.valor);
+        const personas = [...(metadatos.autores || []), ...(metadatos.colaboradores || [])];
+        const serie = metadatos.serie
+            ? metadatos.serie.nombre + (metadatos.serie.posicion ? ` (nº ${metadatos.serie.posicion})` : '')
+            : '';
+
+        const campos = [
+            ...(personas.length
+                ? this._agruparPersonasPorRol(personas)
+                : [['Autor', info.autor]]),
+            ['Serie', serie],
+            ['Editorial', metadatos.editorial],
+            ['Publicación', metadatos.fechaPublicacion],
+            ['Idioma', metadatos.idioma],
+            ['Materias', (metadatos.materias || []).join(', ')],
+            ['Identificadores', identificadores.join('\n')],
+            ['Derechos', metadatos.derechos],
+            ['Capítulos', String(info.totalCapitulos)]
+        ].filter(([, valor]) => valor);
+
+        const descripcion = this._extraerTextoPlano(metadatos.descripcion || '');
+
+        this.elementos.detallesLibro.innerHTML = `
+            <div class="detalles-cabecera">
+                ${urlPortada
+                    ? `<img class="detalles-portada" src="${urlPortada}" alt="Portada">`
+                    : '<div class="detalles-portada detalles-sin-portada">📖</div>'}
+                <div class="detalles-resumen">
+                    <h2 id="detalles-titulo">${this._escaparHtml(info.titulo)}</h2>
+                    ${metadatos.subtitulo
+                        ? `<p class="detalles-subtitulo">${this._escaparHtml(metadatos.subtitulo)}</p>`
+                        : ''}
+                    <dl class="detalles-campos">
+                        ${campos.map(([etiqueta, valor]) => `
+                            <dt>${etiqueta}</dt>
+                            <dd>${this._escaparHtml(valor)}</dd>
+                        `).join('')}
+                    </dl>
+                </div>
+            </div>
+            ${descripcion ? `<p class="detalles-descripcion">${this._escaparHtml(descripcion)}</p>` : ''}
+        `;
+
+        this.elementos.dialogoDetalles.classList.add('visible');
+    }
+
+    /**
+     * Agrupa autores y colaboradores por rol ("Autor", "Traductor"...)
+     * @returns {Array<[string, string]>} Pares etiqueta / nombres
+     * @private
+     */
+    _agruparPersonasPorRol(personas) {
+        const grupos = new Map();
+
+        for (const { nombre, rol } of personas) {
+            const etiqueta = this.NOMBRES_ROL[rol || 'aut'] || rol;
+            if (!grupos.has(etiqueta)) grupos.set(etiqueta, []);
+            grupos.get(etiqueta).push(nombre);
+        }
+
+        return Array.from(grupos, ([etiqueta, nombres]) => [etiqueta, nombres.join(', ')]);
+    }
+
+    /**
+     * Cierra el diálogo de detalles del libro
+     * @private
+     */
+    _cerrarDetallesLibro() {
+        this.elementos.dialogoDetalles.classList.remove('visible');
+    }
+
+    /**
+     * Obtiene el texto plano de un fragmento que puede contener HTML
+     * @private
+     */
+    _extraerTextoPlano(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return (doc.body.textContent || '').trim();
+    }
+
     /**
      * Procesa un archivo seleccionado
      * @private
      */
     async _procesarArchivo(archivo) {
-        this._mostrarCarga(true);
+        this._mostrarCarga(true, true);
 
         try {
-            const libro = await this.gestorArchivos.cargarArchivo(archivo);
+            const libro = await this.gestorArchivos.cargarArchivo(archivo, (progreso) => this._mostrarProgresoCarga(progreso));
             this._mostrarVisor(libro);
         } catch (error) {
-            this._mostrarError(error.message);
+            if (!(error instanceof AnalisisCancelado)) {
+                this._mostrarError(error);
+            }
         } finally {
             this._mostrarCarga(false);
         }
@@ -372,39 +645,133 @@ class AplicacionLector {
         btnConfiguracion.classList.remove('oculto');
         barraProgreso.classList.remove('oculto');
 
+        if (this.controladorVisor) {
+            this.controladorVisor.descargarLibro();
+        }
+
         this.controladorVisor = new ControladorVisor(contenedorVisor);
         this.controladorVisor.establecerControladorBionica(this.controladorBionica);
+        this.controladorVisor.alCambiarHistorial((puedeVolver) => {
+            this.elementos.btnVolver.classList.toggle('oculto', !puedeVolver);
+        });
+        this.controladorVisor.alCambiarEstadoNarracion((reproduciendo) => this._actualizarReproductorNarracion(reproduciendo));
+        this.controladorVisor.cambiarVelocidadNarracion(this.elementos.controlVelocidadNarracion.value);
+        this._configurarPaginasFijas(this.controladorEstilos.obtenerConfiguracion());
         this.controladorVisor.cargarLibro(libro);
+        this.elementos.seccionPaginasFijas.classList.toggle('oculto', !this.controladorVisor.tienePaginasFijas());
+        this.elementos.btnNarracion.classList.toggle('oculto', !this.controladorVisor.tieneNarracion());
+        this.elementos.reproductorNarracion.classList.add('oculto');
+        this.elementos.btnVolver.classList.add('oculto');
+        document.body.classList.toggle('lectura-rtl', this.controladorVisor.obtenerDireccion() === 'rtl');
 
         infoLibro.textContent = `${libro.titulo} — ${libro.autor}`;
 
         this._generarIndiceCapitulos();
         this._aplicarCss(this.controladorEstilos.generarCss());
+
+        if (libro.recursosProtegidos && libro.recursosProtegidos.length > 0) {
+            this._mostrarError(
+                `${libro.recursosProtegidos.length} recurso(s) del libro están protegidos con DRM y no se mostrarán`
+            );
+        }
+    }
+
+    /**
+     * Eventos del reproductor de narración sincronizada
+     * @private
+     */
+    _configurarEventosNarracion() {
+        const { btnNarracion, reproductorNarracion, btnReproducirNarracion, controlVelocidadNarracion, btnCerrarNarracion } = this.elementos;
+
+        btnNarracion.addEventListener('click', () => {
+            if (!this.controladorVisor) return;
+
+            reproductorNarracion.classList.remove('oculto');
+            this.controladorVisor.alternarNarracion();
+        });
+
+        btnReproducirNarracion.addEventListener('click', () => {
+            if (this.controladorVisor) this.controladorVisor.alternarNarracion();
+        });
+
+        controlVelocidadNarracion.addEventListener('change', (e) => {
+            if (this.controladorVisor) this.controladorVisor.cambiarVelocidadNarracion(e.target.value);
+        });
+
+        btnCerrarNarracion.addEventListener('click', () => {
+            if (this.controladorVisor) this.controladorVisor.detenerNarracion();
+            reproductorNarracion.classList.add('oculto');
+        });
+    }
+
+    /**
+     * Refleja en los botones si la narración está sonando
+     * @private
+     */
+    _actualizarReproductorNarracion(reproduciendo) {
+        const { btnNarracion, btnReproducirNarracion } = this.elementos;
+        const titulo = reproduciendo ? 'Pausar narración' : 'Escuchar narración';
+
+        btnReproducirNarracion.textContent = reproduciendo ? '⏸️' : '▶️';
+        btnReproducirNarracion.title = reproduciendo ? 'Pausar' : 'Reproducir';
+        btnNarracion.title = titulo;
+        btnNarracion.classList.toggle('activo', reproduciendo);
     }
 
     /**
-     * Genera la lista de capítulos en el panel
+     * Traslada al visor el zoom y los pliegos de las páginas de maquetación fija
+     * @private
+     */
+    _configurarPaginasFijas(config) {
+        if (!this.controladorVisor) return;
+
+        this.controladorVisor.configurarPaginasFijas({
+            zoom: config.zoomPaginasFijas,
+            paginasDobles: config.paginasDobles
+        });
+    }
+
+    /**
+     * Genera el índice de capítulos (multinivel y plegable) en el panel
      * @private
      */
     _generarIndiceCapitulos() {
         const { listaCapitulos } = this.elementos;
-        const capitulos = this.controladorVisor.obtenerIndiceCapitulos();
+        const entradas = this.controladorVisor.obtenerIndiceCapitulos();
 
-        listaCapitulos.innerHTML = capitulos.map((cap, indice) => `
-            <li data-indice="${indice}" ${indice === 0 ? 'class="activo"' : ''}>
-                ${this._escaparHtml(cap.titulo)}
-            </li>
-        `).join('');
+        listaCapitulos.innerHTML = this._generarHtmlEntradasIndice(entradas, 0);
+        this._actualizarCapituloActivo(this.controladorVisor.capituloActual);
+    }
 
-        listaCapitulos.addEventListener('click', (e) => {
-            const li = e.target.closest('li');
-            if (li) {
-                const indice = parseInt(li.dataset.indice);
-                this.controladorVisor.irACapitulo(indice);
-                this._actualizarCapituloActivo(indice);
-                this._cerrarPanel();
-            }
-        });
+    /**
+     * Genera recursivamente el HTML de un nivel del índice
+     * @private
+     */
+    _generarHtmlEntradasIndice(entradas, nivel) {
+        return entradas.map(entrada => {
+            const tieneHijos = entrada.hijos.length > 0;
+            const ancla = entrada.ancla
+                ? ` data-ancla="${this._escaparHtml(entrada.ancla).replace(/"/g, '&quot;')}"`
+                : '';
+            const alternador = tieneHijos
+                ? '<button class="alternar-entrada" aria-expanded="false" title="Mostrar subsecciones">▸</button>'
+                : '<span class="alternar-entrada-vacio"></span>';
+            const sublista = tieneHijos
+                ? `<ul class="sublista-capitulos">${this._generarHtmlEntradasIndice(entrada.hijos, nivel + 1)}</ul>`
+                : '';
+
+            return `
+                <li class="entrada-indice${tieneHijos ? ' con-hijos' : ''}" data-nivel="${nivel}">
+                    <div class="fila-entrada">
+                        ${alternador}
+                        <span class="enlace-entrada${entrada.indice < 0 ? ' deshabilitado' : ''}" data-indice="${entrada.indice}"${ancla}>
+                            ${this._escaparHtml(entrada.titulo)}
+                        </span>
+                    </div>
+                    ${sublista}
+                </li>
+            `;
+        }).join('');
     }
 
     /**
@@ -412,20 +779,50 @@ class AplicacionLector {
      * @private
      */
     _actualizarCapituloActivo(indice) {
-        const items = this.elementos.listaCapitulos.querySelectorAll('li');
-        items.forEach((item, i) => {
-            item.classList.toggle('activo', i === indice);
+        const enlaces = this.elementos.listaCapitulos.querySelectorAll('.enlace-entrada');
+        let marcado = false;
+
+        enlaces.forEach(enlace => {
+            const esActivo = !marcado && parseInt(enlace.dataset.indice) === indice;
+            enlace.classList.toggle('activo', esActivo);
+            if (esActivo) {
+                marcado = true;
+                this._expandirAncestrosEntrada(enlace);
+            }
         });
     }
 
+    /**
+     * Pliega o despliega las subsecciones de una entrada del índice
+     * @private
+     */
+    _alternarEntradaIndice(li) {
+        if (!li.classList.contains('con-hijos')) return;
+
+        const expandido = li.classList.toggle('expandido');
+        li.querySelector('.alternar-entrada').setAttribute('aria-expanded', expandido);
+    }
+
+    /**
+     * Despliega los niveles del índice que contienen una entrada
+     * @private
+     */
+    _expandirAncestrosEntrada(enlace) {
+        let li = enlace.closest('li').parentElement.closest('li.con-hijos');
+        while (li) {
+            li.classList.add('expandido');
+            li.querySelector('.alternar-entrada').setAttribute('aria-expanded', 'true');
+            li = li.parentElement.closest('li.con-hijos');
+        }
+    }
+
     /**
      * Actualiza la barra de progreso
      * @private
      */
     _actualizarProgreso() {
-        const scrollTotal = document.documentElement.scrollHeight - window.innerHeight;
-        const porcentaje = scrollTotal > 0 ? (window.scrollY / scrollTotal) * 100 : 0;
-        this.elementos.progresoRelleno.style.width = `${Math.min(100, porcentaje)}%`;
+        const porcentaje = this.controladorVisor ? this.controladorVisor.obtenerProgreso() : 0;
+        this.elementos.progresoRelleno.style.width = `${porcentaje}%`;
     }
 
     /**
@@ -436,6 +833,7 @@ class AplicacionLector {
         const config = this.controladorEstilos.obtenerConfiguracion();
         this._sincronizarControles();
         this._actualizarSelectorTemas(config.tema);
+        this.gestorArchivos.establecerModoEstricto(config.contenidoEstricto);
     }
 
     /**
@@ -445,7 +843,9 @@ class AplicacionLector {
     _sincronizarControles() {
         const config = this.controladorEstilos.obtenerConfiguracion();
         const { controlTamano, controlFuente, controlAlturaLinea, controlAncho,
-            valorTamano, valorAlturaLinea, valorAncho } = this.elementos;
+            controlFuenteCjk, controlTamanoRuby, controlOcultarNotas, controlContenidoEstricto,
+            controlZoomPaginas, controlPaginasDobles,
+            valorTamano, valorAlturaLinea, valorAncho, valorTamanoRuby } = this.elementos;
 
         controlTamano.value = config.tamanoFuente;
         valorTamano.textContent = `${config.tamanoFuente}px`;
@@ -458,6 +858,17 @@ class AplicacionLector {
         controlAncho.value = config.anchoMaximo;
         valorAncho.textContent = `${config.anchoMaximo}px`;
 
+        controlFuenteCjk.value = config.fuenteCjk;
+
+        controlTamanoRuby.value = config.tamanoRuby;
+        valorTamanoRuby.textContent = `${config.tamanoRuby}%`;
+
+        controlOcultarNotas.checked = config.ocultarNotas;
+        controlContenidoEstricto.checked = config.contenidoEstricto;
+
+        controlZoomPaginas.value = config.zoomPaginasFijas;
+        controlPaginasDobles.checked = config.paginasDobles;
+
         this._actualizarSelectorTemas(config.tema);
     }
 
@@ -476,6 +887,21 @@ class AplicacionLector {
         `).join('');
     }
 
+    /**
+     * Puebla el selector de fuentes CJK
+     * @private
+     */
+    _poblarSelectorFuentesCjk() {
+        const fuentes = this.controladorEstilos.obtenerFuentesCjkDisponibles();
+        const config = this.controladorEstilos.obtenerConfiguracion();
+
+        this.elementos.controlFuenteCjk.innerHTML = fuentes.map(f => `
+            <option value="${f.valor}" ${f.valor === config.fuenteCjk ? 'selected' : ''}>
+                ${f.nombre}
+            </option>
+        `).join('');
+    }
+
     /**
      * Actualiza el selector de temas
      * @private
@@ -517,19 +943,47 @@ class AplicacionLector {
 
     /**
      * Muestra/oculta pantalla de carga
+     * @param {boolean} visible
+     * @param {boolean} [cancelable] - Muestra el botón "Cancelar" (carga de libros)
      * @private
      */
-    _mostrarCarga(visible) {
-        this.elementos.pantallaCarga.classList.toggle('visible', visible);
+    _mostrarCarga(visible, cancelable = false) {
+        const { pantallaCarga, mensajeCarga, progresoCarga, btnCancelarCarga } = this.elementos;
+
+        pantallaCarga.classList.toggle('visible', visible);
+        mensajeCarga.textContent = 'Cargando libro...';
+        progresoCarga.classList.add('oculto');
+        btnCancelarCarga.classList.toggle('oculto', !cancelable);
     }
 
     /**
-     * Muestra un mensaje de error
+     * Muestra el avance de la carga ("Procesando capítulos: 3 de 120")
      * @private
      */
-    _mostrarError(mensaje) {
+    _mostrarProgresoCarga({ fase, actual, total }) {
+        const { mensajeCarga, progresoCarga } = this.elementos;
+        const descripcion = this.FASES_CARGA[fase] || 'Cargando libro';
+
+        mensajeCarga.textContent = `${descripcion}: ${actual} de ${total}`;
+        progresoCarga.classList.remove('oculto');
+        progresoCarga.value = total > 0 ? actual / total : 0;
+    }
+
+    /**
+     * Muestra un mensaje de error: los ErrorLibro (DRM, archivo dañado, formato
+     * no soportado) en un diálogo con su explicación, que queda hasta que se cierra;
+     * el resto, en un aviso de unos segundos
+     * @param {string|Error} error
+     * @private
+     */
+    _mostrarError(error) {
+        if (error instanceof ErrorLibro) {
+            this._mostrarDialogoError(error);
+            return;
+        }
+
         const { mensajeError } = this.elementos;
-        mensajeError.textContent = mensaje;
+        mensajeError.textContent = error instanceof Error ? error.message : error;
         mensajeError.classList.add('visible');
 
         setTimeout(() => {
@@ -537,6 +991,27 @@ class AplicacionLector {
         }, 5000);
     }
 
+    /**
+     * @param {ErrorLibro} error
+     * @private
+     */
+    _mostrarDialogoError(error) {
+        const { dialogoError, errorTitulo, errorMensaje, errorExplicacion, btnCerrarError } = this.elementos;
+
+        errorTitulo.textContent = error.titulo;
+        errorMensaje.textContent = error.message;
+        errorExplicacion.textContent = error.explicacion;
+        dialogoError.classList.add('visible');
+        btnCerrarError.focus();
+    }
+
+    /**
+     * @private
+     */
+    _cerrarDialogoError() {
+        this.elementos.dialogoError.classList.remove('visible');
+    }
+
     /**
      * Configura el evento del botón de exportar
      * @private
@@ -12,7 +12,13 @@ class ControladorEstilos {
             colorFondo: '#fefefe',
             anchoMaximo: 800,
             margenHorizontal: 20,
-            tema: 'claro'
+            tema: 'claro',
+            ocultarNotas: false,
+            fuenteCjk: 'mincho',
+            tamanoRuby: 50,
+            zoomPaginasFijas: 'pagina',
+            paginasDobles: true,
+            contenidoEstricto: false
         };
 
         this.FUENTES_DISPONIBLES = [
@@ -27,6 +33,21 @@ class ControladorEstilos {
             { valor: 'OpenDyslexic', nombre: 'OpenDyslexic' }
         ];
 
+        // Fuentes de respaldo para chino, japonés y coreano: las fuentes latinas
+        // no tienen esos glifos y el navegador pasa a la siguiente de la lista
+        this.FUENTES_CJK = [
+            {
+                valor: 'mincho',
+                nombre: 'Mincho / Song (serif)',
+                familias: "'Hiragino Mincho ProN', 'Yu Mincho', 'Noto Serif CJK JP', 'Source Han Serif', 'Songti SC', SimSun, 'Noto Serif KR', serif"
+            },
+            {
+                valor: 'gothic',
+                nombre: 'Gothic / Hei (sans-serif)',
+                familias: "'Hiragino Sans', 'Yu Gothic', 'Noto Sans CJK JP', 'Source Han Sans', 'PingFang SC', 'Microsoft YaHei', 'Noto Sans KR', sans-serif"
+            }
+        ];
+
         this.TEMAS = {
             claro: {
                 colorTexto: '#2c3e50',
@@ -52,7 +73,9 @@ class ControladorEstilos {
             alturaLineaMinima: 1.2,
             alturaLineaMaxima: 2.5,
             anchoMaximoMinimo: 400,
-            anchoMaximoMaximo: 1200
+            anchoMaximoMaximo: 1200,
+            tamanoRubyMinimo: 30,
+            tamanoRubyMaximo: 80
         };
 
         this.configuracionActual = { ...this.CONFIGURACION_POR_DEFECTO };
@@ -77,6 +100,14 @@ class ControladorEstilos {
         return [...this.FUENTES_DISPONIBLES];
     }
 
+    /**
+     * Obtiene las fuentes CJK disponibles
+     * @returns {Array}
+     */
+    obtenerFuentesCjkDisponibles() {
+        return this.FUENTES_CJK.map(({ valor, nombre }) => ({ valor, nombre }));
+    }
+
     /**
      * Obtiene los temas disponibles
      * @returns {Object}
@@ -174,6 +205,75 @@ class ControladorEstilos {
         }
     }
 
+    /**
+     * Oculta o muestra los bloques de notas en el scroll continuo
+     * (siguen disponibles en el popover de cada llamada a nota)
+     * @param {boolean} ocultar
+     */
+    cambiarOcultarNotas(ocultar) {
+        this.configuracionActual.ocultarNotas = Boolean(ocultar);
+        this._notificarCambio();
+        this._guardarConfiguracion();
+    }
+
+    /**
+     * Cambia la fuente usada para chino, japonés y coreano
+     * @param {string} valor - 'mincho' o 'gothic'
+     */
+    cambiarFuenteCjk(valor) {
+        if (this.FUENTES_CJK.some(f => f.valor === valor)) {
+            this.configuracionActual.fuenteCjk = valor;
+            this._notificarCambio();
+            this._guardarConfiguracion();
+        }
+    }
+
+    /**
+     * Cambia el tamaño del ruby (furigana) respecto al texto base
+     * @param {number} porcentaje
+     */
+    cambiarTamanoRuby(porcentaje) {
+        this.configuracionActual.tamanoRuby = this._validarRango(
+            porcentaje,
+            this.LIMITES.tamanoRubyMinimo,
+            this.LIMITES.tamanoRubyMaximo
+        );
+        this._notificarCambio();
+        this._guardarConfiguracion();
+    }
+
+    /**
+     * Cambia el zoom de las páginas de maquetación fija
+     * @param {string} zoom - 'pagina' (página entera a la vista) o 'ancho' (ajustada al ancho)
+     */
+    cambiarZoomPaginasFijas(zoom) {
+        if (zoom === 'pagina' || zoom === 'ancho') {
+            this.configuracionActual.zoomPaginasFijas = zoom;
+            this._notificarCambio();
+            this._guardarConfiguracion();
+        }
+    }
+
+    /**
+     * Activa o desactiva los pliegos (doble página) en maquetación fija
+     * @param {boolean} activar
+     */
+    cambiarPaginasDobles(activar) {
+        this.configuracionActual.paginasDobles = Boolean(activar);
+        this._notificarCambio();
+        this._guardarConfiguracion();
+    }
+
+    /**
+     * Activa o desactiva el modo estricto del contenido (sin recursos remotos)
+     * @param {boolean} activar
+     */
+    cambiarContenidoEstricto(activar) {
+        this.configuracionActual.contenidoEstricto = Boolean(activar);
+        this._notificarCambio();
+        this._guardarConfiguracion();
+    }
+
     /**
      * Restablece la configuración por defecto
      */
@@ -189,37 +289,52 @@ class ControladorEstilos {
      */
     generarCss() {
         const config = this.configuracionActual;
+        const fuenteCjk = this.FUENTES_CJK.find(f => f.valor === config.fuenteCjk) || this.FUENTES_CJK[0];
 
+        // Propiedades lógicas (inline/block): valen igual para escritura horizontal y vertical
         return `
             .visor-contenido {
-                font-family: ${config.familiaFuente}, serif;
+                font-family: ${config.familiaFuente}, ${fuenteCjk.familias};
                 font-size: ${config.tamanoFuente}px;
                 line-height: ${config.alturaLinea};
                 color: ${config.colorTexto};
                 background-color: ${config.colorFondo};
-                max-width: ${config.anchoMaximo}px;
-                margin: 0 auto;
-                padding: 20px ${config.margenHorizontal}px;
+                max-inline-size: ${config.anchoMaximo}px;
+                margin-inline: auto;
+                padding-block: 20px;
+                padding-inline: ${config.margenHorizontal}px;
             }
 
             .visor-contenido p {
-                margin-bottom: 1em;
+                margin-block-end: 1em;
                 text-align: justify;
             }
 
+            .visor-contenido:lang(ja) p,
+            .visor-contenido:lang(zh) p,
+            .visor-contenido:lang(ko) p {
+                text-justify: inter-character;
+                line-break: strict;
+            }
+
+            .visor-contenido rt {
+                font-size: ${config.tamanoRuby}%;
+            }
+
             .visor-contenido h1,
             .visor-contenido h2,
             .visor-contenido h3 {
-                margin-top: 1.5em;
-                margin-bottom: 0.5em;
+                margin-block-start: 1.5em;
+                margin-block-end: 0.5em;
                 line-height: 1.3;
             }
 
             .visor-contenido img {
-                max-width: 100%;
-                height: auto;
+                max-inline-size: 100%;
+                block-size: auto;
                 display: block;
-                margin: 1em auto;
+                margin-block: 1em;
+                margin-inline: auto;
             }
 
             .visor-contenido a {
@@ -231,6 +346,13 @@ class ControladorEstilos {
                 background-color: ${config.colorFondo};
                 transition: background-color 0.3s ease;
             }
+
+            .popover-nota {
+                color: ${config.colorTexto};
+                background-color: ${config.colorFondo};
+                font-family: ${config.familiaFuente}, ${fuenteCjk.familias};
+            }
+            ${config.ocultarNotas ? '.visor-contenido .nota-libro { display: none; }' : ''}
         `;
     }
 
@@ -0,0 +1,250 @@
+/**
+ * Controlador de narración sincronizada (SRP)
+ * Responsabilidad única: reproducir los media overlays (SMIL) de EPUB3
+ * fragmento a fragmento y avisar de cuál se está narrando en cada momento
+ *
+ * No conoce el DOM del visor: éste resalta y desplaza según los avisos.
+ */
+class ControladorNarracion {
+    constructor() {
+        this.VELOCIDAD_MINIMA = 0.5;
+        this.VELOCIDAD_MAXIMA = 3;
+        // Margen (s) bajo el que dos tramos del mismo audio se consideran seguidos
+        this.TOLERANCIA_CONTIGUO = 0.3;
+
+        this.audio = new Audio();
+        this.audio.preload = 'auto';
+        this.fragmentos = [];
+        this.recursos = null;
+        this.indiceActual = -1;
+        this.audioCargado = null;
+        this.velocidad = 1;
+        // Mientras se cambia de audio se ignoran timeupdate/ended del anterior
+        this.cambiandoAudio = false;
+        this.observadoresFragmento = [];
+        this.observadoresEstado = [];
+
+        this.audio.addEventListener('timeupdate', () => this._comprobarFinFragmento());
+        this.audio.addEventListener('ended', () => {
+            if (!this.cambiandoAudio) this._avanzar();
+        });
+        this.audio.addEventListener('play', () => this._notificarEstado());
+        this.audio.addEventListener('pause', () => this._notificarEstado());
+    }
+
+    /**
+     * Prepara la narración de un libro
+     * @param {Array<{capituloId, ancla, audio, inicio, fin}>} fragmentos - En orden de lectura
+     * @param {CacheRecursos} recursos - Caché de donde salen los audios
+     */
+    cargar(fragmentos, recursos) {
+        this.detener();
+        this.fragmentos = fragmentos || [];
+        this.recursos = recursos;
+    }
+
+    /**
+     * Indica si el libro cargado tiene narración
+     * @returns {boolean}
+     */
+    tieneNarracion() {
+        return this.fragmentos.length > 0 && Boolean(this.recursos);
+    }
+
+    /**
+     * Obtiene todos los fragmentos narrables
+     * @returns {Object[]}
+     */
+    obtenerFragmentos() {
+        return this.fragmentos;
+    }
+
+    /**
+     * Obtiene el fragmento que se está narrando (o en pausa)
+     * @returns {Object|null}
+     */
+    obtenerFragmentoActual() {
+        return this.fragmentos[this.indiceActual] || null;
+    }
+
+    /**
+     * Indica si está sonando
+     * @returns {boolean}
+     */
+    estaReproduciendo() {
+        return this.indiceActual !== -1 && !this.audio.paused;
+    }
+
+    /**
+     * Empieza a narrar desde un fragmento
+     * @param {number} indice
+     */
+    async reproducir(indice) {
+        const fragmento = this.fragmentos[indice];
+        if (!fragmento || !this.recursos) {
+            this.detener();
+            return;
+        }
+
+        this.indiceActual = indice;
+        this.cambiandoAudio = true;
+
+        try {
+            if (this.audioCargado !== fragmento.audio) {
+                const url = await this.recursos.obtenerUrl(fragmento.audio);
+                // Otra llamada pudo cambiar de fragmento mientras se cargaba el audio
+                if (this.indiceActual !== indice) return;
+                if (!url) {
+                    console.warn('No se pudo cargar el audio de la narración:', fragmento.audio);
+                    this.detener();
+                    return;
+                }
+
+                this.audio.src = url;
+                this.audioCargado = fragmento.audio;
+            }
+
+            this.audio.currentTime = fragmento.inicio;
+            this.audio.playbackRate = this.velocidad;
+            this._notificarFragmento();
+
+            await this.audio.play();
+        } catch (e) {
+            console.warn('No se pudo reproducir la narración:', e);
+            this._notificarEstado();
+        } finally {
+            if (this.indiceActual === indice || this.indiceActual === -1) this.cambiandoAudio = false;
+        }
+    }
+
+    /**
+     * Continúa la narración donde se pausó
+     */
+    async reanudar() {
+        if (this.indiceActual === -1) {
+            await this.reproducir(0);
+            return;
+        }
+
+        try {
+            await this.audio.play();
+        } catch (e) {
+            console.warn('No se pudo reanudar la narración:', e);
+        }
+    }
+
+    /**
+     * Pausa la narración conservando el fragmento actual
+     */
+    pausar() {
+        this.audio.pause();
+    }
+
+    /**
+     * Detiene la narración y olvida el fragmento actual
+     */
+    detener() {
+        const habiaFragmento = this.indiceActual !== -1;
+
+        this.audio.pause();
+        this.indiceActual = -1;
+
+        if (this.audioCargado) {
+            this.audio.removeAttribute('src');
+            this.audio.load();
+            this.audioCargado = null;
+        }
+
+        if (habiaFragmento) this._notificarFragmento();
+        this._notificarEstado();
+    }
+
+    /**
+     * Cambia la velocidad de lectura
+     * @param {number} velocidad - 1 = normal
+     */
+    cambiarVelocidad(velocidad) {
+        const valor = parseFloat(velocidad);
+        if (isNaN(valor)) return;
+
+        this.velocidad = Math.max(this.VELOCIDAD_MINIMA, Math.min(this.VELOCIDAD_MAXIMA, valor));
+        this.audio.playbackRate = this.velocidad;
+    }
+
+    /**
+     * Pasa al siguiente fragmento cuando el audio llega al final del actual
+     * @private
+     */
+    _comprobarFinFragmento() {
+        const fragmento = this.obtenerFragmentoActual();
+        if (!fragmento || fragmento.fin === null || this.cambiandoAudio) return;
+
+        if (this.audio.currentTime >= fragmento.fin) {
+            this._avanzar();
+        }
+    }
+
+    /**
+     * Avanza al siguiente fragmento; si sigue en el mismo audio sin hueco,
+     * no se salta para que la voz no dé tirones
+     * @private
+     */
+    _avanzar() {
+        const actual = this.obtenerFragmentoActual();
+        const siguiente = this.fragmentos[this.indiceActual + 1];
+        if (!actual) return;
+
+        if (!siguiente) {
+            this.detener();
+            return;
+        }
+
+        const contiguo = siguiente.audio === actual.audio && actual.fin !== null &&
+            Math.abs(siguiente.inicio - actual.fin) <= this.TOLERANCIA_CONTIGUO && !this.audio.ended;
+
+        if (contiguo) {
+            this.indiceActual++;
+            this._notificarFragmento();
+        } else {
+            this.reproducir(this.indiceActual + 1);
+        }
+    }
+
+    /**
+     * Registra un observador del fragmento narrado
+     * @param {Function} callback - Recibe el fragmento actual o null
+     */
+    alCambiarFragmento(callback) {
+        this.observadoresFragmento.push(callback);
+    }
+
+    /**
+     * Registra un observador de reproducción/pausa
+     * @param {Function} callback - Recibe true si está sonando
+     */
+    alCambiarEstado(callback) {
+        this.observadoresEstado.push(callback);
+    }
+
+    /**
+     * Notifica el fragmento actual
+     * @private
+     */
+    _notificarFragmento() {
+        const fragmento = this.obtenerFragmentoActual();
+        for (const observador of this.observadoresFragmento) {
+            observador(fragmento);
+        }
+    }
+
+    /**
+     * Notifica si está sonando
+     * @private
+     */
+    _notificarEstado() {
+        const reproduciendo = this.estaReproduciendo();
+        for (const observador of this.observadoresEstado) {
+            observador(reproduciendo);
+        }
+    }
+}
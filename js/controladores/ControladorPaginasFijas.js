@@ -0,0 +1,231 @@
+/**
+ * Controlador de páginas de maquetación fija (SRP)
+ * Responsabilidad única: mostrar las páginas pre-paginated de EPUB3 (cómics,
+ * álbumes ilustrados, recetarios...) cada una en un marco aislado del tamaño de
+ * su viewport, escalado a la pantalla y agrupado en pliegos de dos páginas
+ *
+ * Cada página se carga en un iframe sandbox sin scripts: su CSS (posiciones
+ * absolutas incluidas) no afecta al lector y el del lector no la descoloca.
+ */
+class ControladorPaginasFijas {
+    constructor() {
+        // Viewport supuesto cuando la página no declara ninguno
+        this.VIEWPORT_POR_DEFECTO = { ancho: 1000, alto: 1400 };
+        // Espacio vertical que ocupan la cabecera y los márgenes del visor
+        this.MARGEN_VERTICAL = 80;
+
+        this.configuracion = {
+            zoom: 'pagina',
+            paginasDobles: true
+        };
+        this.pliegosLibro = 'auto';
+    }
+
+    /**
+     * Cambia el ajuste de zoom y el uso de pliegos
+     * @param {Object} opciones - { zoom: 'pagina' | 'ancho', paginasDobles: boolean }
+     */
+    configurar(opciones) {
+        this.configuracion = { ...this.configuracion, ...opciones };
+    }
+
+    /**
+     * Establece la disposición de pliegos del libro (rendition:spread)
+     * @param {string} pliegos - 'auto', 'none', 'landscape' o 'both'
+     */
+    establecerPliegosLibro(pliegos) {
+        this.pliegosLibro = pliegos || 'auto';
+    }
+
+    /**
+     * Agrupa páginas fijas consecutivas en pliegos respetando page-spread-*
+     * @param {Capitulo[]} paginas - Páginas en orden de lectura
+     * @param {string} direccion - 'ltr' o 'rtl'
+     * @returns {Array<{paginas: Capitulo[], centrado: boolean}>}
+     */
+    agruparEnPliegos(paginas, direccion) {
+        // En ltr el pliego empieza por la página izquierda; en rtl, por la derecha
+        const primerLado = direccion === 'rtl' ? 'derecha' : 'izquierda';
+        const segundoLado = direccion === 'rtl' ? 'izquierda' : 'derecha';
+        const pliegos = [];
+        let pendiente = null;
+
+        const cerrarPendiente = () => {
+            if (pendiente) pliegos.push({ paginas: [pendiente], centrado: false });
+            pendiente = null;
+        };
+
+        for (const pagina of paginas) {
+            if (pagina.lado === 'centro' || pagina.lineal === false) {
+                cerrarPendiente();
+                pliegos.push({ paginas: [pagina], centrado: true });
+                continue;
+            }
+
+            const lado = pagina.lado || (pendiente ? segundoLado : primerLado);
+
+            if (lado === primerLado) {
+                cerrarPendiente();
+                pendiente = pagina;
+            } else if (pendiente) {
+                pliegos.push({ paginas: [pendiente, pagina], centrado: false });
+                pendiente = null;
+            } else {
+                pliegos.push({ paginas: [pagina], centrado: false });
+            }
+        }
+
+        cerrarPendiente();
+        return pliegos;
+    }
+
+    /**
+     * Genera el HTML de un pliego; los marcos se rellenan después con cargarPagina()
+     * @param {{paginas: Capitulo[], centrado: boolean}} pliego
+     * @param {string} direccion - 'ltr' o 'rtl'
+     * @returns {string}
+     */
+    generarHtmlPliego(pliego, direccion) {
+        const paginas = pliego.paginas.map(pagina => {
+            const { ancho, alto } = pagina.viewport || this.VIEWPORT_POR_DEFECTO;
+            const noLineal = pagina.lineal === false ? ' data-no-lineal="true" hidden' : '';
+
+            return `
+                <section class="capitulo pagina-fija" id="capitulo-${pagina.id}" data-orden="${pagina.orden}"
+                    data-ancho="${ancho}" data-alto="${alto}"${noLineal}>
+                    <div class="marco-pagina">
+                        <iframe sandbox="allow-same-origin" tabindex="-1" title="Página ${pagina.orden + 1}"
+                            width="${ancho}" height="${alto}"></iframe>
+                    </div>
+                </section>
+            `;
+        }).join('');
+
+        const clases = ['pliego', direccion === 'rtl' ? 'rtl' : ''].filter(c => c).join(' ');
+        return `<div class="${clases}"${pliego.centrado ? ' data-centrado="true"' : ''}>${paginas}</div>`;
+    }
+
+    /**
+     * Carga el contenido de una página en su marco
+     * @param {HTMLElement} seccion - Sección .pagina-fija
+     * @param {Object} pagina - { contenido, estilos, clases, idioma } con las URLs ya resueltas
+     * @param {Function} [alCargar] - Recibe el documento del marco una vez cargado
+     */
+    cargarPagina(seccion, { contenido, estilos, clases, idioma }, alCargar) {
+        const marco = seccion.querySelector('iframe');
+        if (!marco) return;
+
+        const ancho = seccion.dataset.ancho;
+        const alto = seccion.dataset.alto;
+
+        if (alCargar) {
+            marco.addEventListener('load', () => {
+                if (marco.contentDocument) alCargar(marco.contentDocument);
+            }, { once: true });
+        }
+
+        marco.srcdoc = `<!DOCTYPE html>
+<html lang="${this._escaparAtributo(idioma || '')}">
+<head>
+<meta charset="utf-8">
+<style>html, body { margin: 0; padding: 0; width: ${ancho}px; height: ${alto}px; overflow: hidden; }
+.narracion-activa { background-color: rgba(255, 213, 79, 0.45); }</style>
+<style>${estilos || ''}</style>
+</head>
+<body class="${this._escaparAtributo((clases || []).join(' '))}">${contenido}</body>
+</html>`;
+    }
+
+    /**
+     * Vacía el marco de una página, que vuelve a cargarse con cargarPagina()
+     * @param {HTMLElement} seccion - Sección .pagina-fija
+     */
+    descargarPagina(seccion) {
+        const marco = seccion.querySelector('iframe');
+        if (marco) marco.removeAttribute('srcdoc');
+    }
+
+    /**
+     * Escala todos los pliegos al espacio disponible según el zoom
+     * y decide si se muestran a doble página
+     * @param {HTMLElement} raiz - Elemento que contiene los pliegos
+     */
+    ajustar(raiz) {
+        const dobles = this._mostrarDobles();
+        const altoDisponible = Math.max(200, window.innerHeight - this.MARGEN_VERTICAL);
+
+        for (const pliego of raiz.querySelectorAll('.pliego')) {
+            const paginas = Array.from(pliego.querySelectorAll('.pagina-fija'));
+            if (paginas.length === 0) continue;
+
+            const esDoble = dobles && pliego.dataset.centrado !== 'true';
+            pliego.classList.toggle('doble', esDoble);
+
+            const medidas = paginas.map(p => ({ ancho: parseFloat(p.dataset.ancho), alto: parseFloat(p.dataset.alto) }));
+            const anchoDisponible = pliego.clientWidth || window.innerWidth;
+
+            if (esDoble) {
+                // Una página suelta ocupa su mitad del pliego, como si tuviera compañera
+                const anchoPliego = medidas.length === 2 ? medidas[0].ancho + medidas[1].ancho : medidas[0].ancho * 2;
+                const altoPliego = Math.max(...medidas.map(m => m.alto));
+                const escala = this._calcularEscala(anchoDisponible / anchoPliego, altoDisponible / altoPliego);
+                paginas.forEach((pagina, i) => this._escalarPagina(pagina, medidas[i], escala));
+            } else {
+                paginas.forEach((pagina, i) => {
+                    const escala = this._calcularEscala(
+                        anchoDisponible / medidas[i].ancho,
+                        altoDisponible / medidas[i].alto
+                    );
+                    this._escalarPagina(pagina, medidas[i], escala);
+                });
+            }
+        }
+    }
+
+    /**
+     * Indica si toca mostrar las páginas de dos en dos
+     * @private
+     */
+    _mostrarDobles() {
+        if (!this.configuracion.paginasDobles || this.pliegosLibro === 'none') return false;
+        if (this.pliegosLibro === 'both') return true;
+
+        // 'auto' y 'landscape': sólo con la pantalla en horizontal
+        return window.innerWidth > window.innerHeight;
+    }
+
+    /**
+     * Escala de un pliego o página según el zoom elegido
+     * @private
+     */
+    _calcularEscala(escalaAncho, escalaAlto) {
+        return this.configuracion.zoom === 'ancho' ? escalaAncho : Math.min(escalaAncho, escalaAlto);
+    }
+
+    /**
+     * Aplica la escala a una página: el marco conserva su tamaño de viewport
+     * y el contenedor ocupa el tamaño ya escalado
+     * @private
+     */
+    _escalarPagina(seccion, { ancho, alto }, escala) {
+        const marco = seccion.querySelector('.marco-pagina');
+        const iframe = seccion.querySelector('iframe');
+
+        marco.style.width = `${Math.floor(ancho * escala)}px`;
+        marco.style.height = `${Math.floor(alto * escala)}px`;
+        iframe.style.width = `${ancho}px`;
+        iframe.style.height = `${alto}px`;
+        iframe.style.transform = `scale(${escala})`;
+    }
+
+    /**
+     * Escapa un valor para usarlo dentro de un atributo HTML
+     * @private
+     */
+    _escaparAtributo(valor) {
+        return String(valor)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;');
+    }
+}
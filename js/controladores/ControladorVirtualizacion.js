@@ -0,0 +1,259 @@
+/**
+ * Controlador de virtualización del scroll continuo (SRP)
+ * Responsabilidad única: decidir qué capítulos tienen su contenido montado en
+ * el DOM y reservar el espacio de los que no lo tienen
+ *
+ * Sólo se montan los capítulos cercanos a la zona visible. El resto son secciones
+ * vacías del tamaño (en el sentido de lectura) que midieron la última vez o, si
+ * nunca se montaron, de uno estimado por su texto e imágenes. Si un capítulo que
+ * ya quedó atrás cambia de tamaño al montarse, se compensa el desplazamiento para
+ * que el texto en pantalla no salte.
+ *
+ * No sabe qué es un capítulo: el visor le indica cómo montarlo y desmontarlo.
+ */
+class ControladorVirtualizacion {
+    /**
+     * @param {Object} acciones
+     * @param {Function} acciones.montar - Rellena una sección
+     * @param {Function} acciones.desmontar - Vacía una sección
+     * @param {Function} acciones.haQuedadoAtras - Indica si una sección está entera antes de la zona de lectura
+     * @param {Function} acciones.compensar - Avanza el desplazamiento los píxeles indicados
+     * @param {Function} acciones.alCambiarTamanos - Aviso tras montar o desmontar
+     */
+    constructor(acciones) {
+        // Distancia (px) a la zona visible a la que se monta un capítulo
+        this.MARGEN_MONTAJE = 2000;
+        // Píxeles por carácter mientras no se haya medido ningún capítulo
+        this.DENSIDAD_INICIAL = 0.4;
+        // Caracteres equivalentes de cada imagen y del título del capítulo al estimar
+        this.PESO_IMAGEN = 600;
+        this.PESO_TITULO = 200;
+        this.TAMANO_MINIMO = 100;
+
+        this.acciones = acciones;
+        this.secciones = [];
+        this.indices = new Map();
+        this.pesos = new Map();
+        this.medidas = new Map();
+        this.montadas = new Set();
+        this.vertical = false;
+        this.observador = null;
+    }
+
+    /**
+     * Empieza a virtualizar un conjunto de secciones
+     * @param {Array<{seccion: HTMLElement, html: string}>} entradas - En orden de lectura
+     * @param {Object} [opciones]
+     * @param {HTMLElement|null} [opciones.raiz] - Elemento que se desplaza (null = la ventana)
+     * @param {boolean} [opciones.vertical] - Escritura vertical: los capítulos se miden a lo ancho
+     */
+    iniciar(entradas, { raiz = null, vertical = false } = {}) {
+        this.detener();
+        this.vertical = vertical;
+        this.secciones = entradas.map(entrada => entrada.seccion);
+
+        entradas.forEach(({ seccion, html }, indice) => {
+            this.indices.set(seccion, indice);
+            this.pesos.set(seccion, this._calcularPeso(html));
+        });
+
+        if (typeof IntersectionObserver === 'undefined') {
+            this.secciones.forEach(seccion => this._montar(seccion));
+            this.acciones.alCambiarTamanos();
+            return;
+        }
+
+        const densidad = this._calcularDensidad();
+        this.secciones.forEach(seccion => this._reservarTamano(seccion, densidad));
+
+        this.observador = new IntersectionObserver(
+            (cambios) => this._procesarIntersecciones(cambios),
+            { root: raiz, rootMargin: `${this.MARGEN_MONTAJE}px` }
+        );
+        this.secciones.forEach(seccion => this.observador.observe(seccion));
+    }
+
+    /**
+     * Deja de virtualizar (las secciones se quedan como estén)
+     */
+    detener() {
+        if (this.observador) {
+            this.observador.disconnect();
+            this.observador = null;
+        }
+
+        this.secciones = [];
+        this.indices.clear();
+        this.pesos.clear();
+        this.medidas.clear();
+        this.montadas.clear();
+    }
+
+    /**
+     * Indica si una sección tiene su contenido en el DOM
+     * @param {HTMLElement} seccion
+     * @returns {boolean}
+     */
+    estaMontada(seccion) {
+        return this.montadas.has(seccion);
+    }
+
+    /**
+     * Monta una sección ya, esté donde esté (anclas, notas, narración)
+     * @param {HTMLElement} seccion
+     */
+    asegurarMontada(seccion) {
+        if (!this.indices.has(seccion) || this.montadas.has(seccion)) return;
+
+        this._montarCompensando(seccion);
+        this.acciones.alCambiarTamanos();
+    }
+
+    /**
+     * Vuelve a montar las secciones montadas (su contenido ha cambiado)
+     */
+    remontar() {
+        for (const seccion of this.montadas) {
+            this.acciones.desmontar(seccion);
+            this.acciones.montar(seccion);
+        }
+        this.actualizarMedidas();
+    }
+
+    /**
+     * Vuelve a medir tras un cambio de estilos o de tamaño de ventana: las medidas
+     * de las secciones desmontadas ya no valen y se estiman de nuevo
+     */
+    actualizarMedidas() {
+        this.medidas.clear();
+        for (const seccion of this.montadas) this._medir(seccion);
+
+        const densidad = this._calcularDensidad();
+        for (const seccion of this.secciones) {
+            if (!this.montadas.has(seccion)) this._reservarTamano(seccion, densidad);
+        }
+
+        this.acciones.alCambiarTamanos();
+    }
+
+    /**
+     * Monta las secciones que se acercan a la zona visible y desmonta las que se alejan
+     * @private
+     */
+    _procesarIntersecciones(cambios) {
+        // En orden de lectura: tras compensar una, las posiciones de las siguientes ya están al día
+        const ordenados = cambios.slice().sort((a, b) => this.indices.get(a.target) - this.indices.get(b.target));
+        let cambiado = false;
+
+        for (const cambio of ordenados) {
+            const seccion = cambio.target;
+
+            if (cambio.isIntersecting && !this.montadas.has(seccion)) {
+                this._montarCompensando(seccion);
+                cambiado = true;
+            } else if (!cambio.isIntersecting && this.montadas.has(seccion)) {
+                this._desmontar(seccion);
+                cambiado = true;
+            }
+        }
+
+        if (cambiado) this.acciones.alCambiarTamanos();
+    }
+
+    /**
+     * Monta una sección y, si está antes de la zona de lectura, compensa lo que
+     * su tamaño real difiera del reservado
+     * @private
+     */
+    _montarCompensando(seccion) {
+        const atras = !seccion.hidden && this.acciones.haQuedadoAtras(seccion);
+        const reservado = this._medirTamano(seccion);
+
+        this._montar(seccion);
+
+        const diferencia = this._medirTamano(seccion) - reservado;
+        if (atras && diferencia !== 0) this.acciones.compensar(diferencia);
+    }
+
+    /**
+     * @private
+     */
+    _montar(seccion) {
+        seccion.style.blockSize = '';
+        delete seccion.dataset.reservado;
+
+        this.acciones.montar(seccion);
+        this.montadas.add(seccion);
+        this._medir(seccion);
+    }
+
+    /**
+     * Desmonta una sección conservando su tamaño medido
+     * @private
+     */
+    _desmontar(seccion) {
+        this._medir(seccion);
+        this.acciones.desmontar(seccion);
+        this.montadas.delete(seccion);
+        this._reservarTamano(seccion, this._calcularDensidad());
+    }
+
+    /**
+     * Fija el tamaño de una sección desmontada: el medido o, si no lo hay, el estimado
+     * @private
+     */
+    _reservarTamano(seccion, densidad) {
+        const tamano = this.medidas.has(seccion)
+            ? this.medidas.get(seccion)
+            : Math.max(this.TAMANO_MINIMO, Math.round(this.pesos.get(seccion) * densidad));
+
+        seccion.dataset.reservado = 'true';
+        seccion.style.blockSize = `${tamano}px`;
+    }
+
+    /**
+     * Guarda el tamaño de una sección montada (las ocultas no miden nada)
+     * @private
+     */
+    _medir(seccion) {
+        const tamano = this._medirTamano(seccion);
+        if (tamano > 0) this.medidas.set(seccion, tamano);
+    }
+
+    /**
+     * Tamaño de una sección en el sentido de lectura
+     * @private
+     */
+    _medirTamano(seccion) {
+        const rect = seccion.getBoundingClientRect();
+        return this.vertical ? rect.width : rect.height;
+    }
+
+    /**
+     * Píxeles por unidad de peso según los capítulos ya medidos
+     * @private
+     */
+    _calcularDensidad() {
+        let totalMedidas = 0;
+        let totalPesos = 0;
+
+        for (const [seccion, tamano] of this.medidas) {
+            totalMedidas += tamano;
+            totalPesos += this.pesos.get(seccion) || 0;
+        }
+
+        return totalPesos > 0 ? totalMedidas / totalPesos : this.DENSIDAD_INICIAL;
+    }
+
+    /**
+     * Peso de un capítulo para estimar su tamaño: caracteres de texto más
+     * un tanto por imagen y por el título
+     * @private
+     */
+    _calcularPeso(html) {
+        const texto = html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ');
+        const imagenes = (html.match(/<(img|image|svg|video)\b/gi) || []).length;
+
+        return this.PESO_TITULO + texto.length + imagenes * this.PESO_IMAGEN;
+    }
+}
@@ -10,6 +10,42 @@ class ControladorVisor {
         this.posicionesCapitulos = [];
         this.estilosPersonalizados = null;
         this.controladorBionica = null;
+        this.paginasFijas = new ControladorPaginasFijas();
+        this.narracion = new ControladorNarracion();
+        this.encapsuladorCss = new EncapsuladorCss();
+        this.virtualizacion = new ControladorVirtualizacion({
+            montar: (seccion) => this._montarCapitulo(seccion),
+            desmontar: (seccion) => this._desmontarCapitulo(seccion),
+            haQuedadoAtras: (seccion) => this._haQuedadoAtras(seccion.getBoundingClientRect()),
+            compensar: (diferencia) => this.desplazarA(this.obtenerDesplazamiento() + diferencia),
+            alCambiarTamanos: () => this._calcularPosicionesCapitulos()
+        });
+        // Anclas de cada capítulo a las que apunta una llamada a nota (capituloId -> Set)
+        this.anclasNota = new Map();
+        this.elementoNarrado = null;
+        this.historialNavegacion = [];
+        this.observadoresHistorial = [];
+        this._cerrarNotaAlClicFuera = null;
+        this._cerrarNotaConEscape = null;
+        this.observadorHidratacion = null;
+        this.cargasPaginasFijas = 0;
+
+        // Atributos diferidos por los analizadores (data-recurso-*) y su atributo real
+        this.ATRIBUTOS_RECURSO = [
+            ['src', 'src'],
+            ['srcset', 'srcset'],
+            ['poster', 'poster'],
+            ['href', 'href'],
+            ['xlink-href', 'xlink:href']
+        ];
+
+        // En escritura vertical la columna avanza en horizontal: la rueda del ratón
+        // se traduce a desplazamiento horizontal
+        this._manejarRueda = (e) => this._desplazarConRueda(e);
+        // Al cambiar el tamaño de la ventana se reescalan las páginas fijas y se vuelven a medir los capítulos
+        this._manejarRedimension = () => this.actualizarDisposicion();
+
+        this.narracion.alCambiarFragmento(fragmento => this._resaltarFragmento(fragmento));
     }
 
     /**
@@ -25,97 +61,869 @@ class ControladorVisor {
      * @param {LibroAnalizado} libro
      */
     cargarLibro(libro) {
+        this.descargarLibro();
         this.libroActual = libro;
         this.capituloActual = 0;
+        this.contenedor.addEventListener('wheel', this._manejarRueda, { passive: false });
+        window.addEventListener('resize', this._manejarRedimension);
         this._renderizarLibro();
         this._calcularPosicionesCapitulos();
         this._guardarProgreso();
+        this.narracion.cargar(this._obtenerFragmentosNarracion(), libro.recursos);
     }
 
     /**
-     * Renderiza todo el libro con scroll continuo
+     * Descarga el libro actual liberando sus recursos (object URLs, Blobs)
+     */
+    descargarLibro() {
+        this._cerrarNota();
+        this.narracion.detener();
+        this.contenedor.removeEventListener('wheel', this._manejarRueda);
+        window.removeEventListener('resize', this._manejarRedimension);
+        this.virtualizacion.detener();
+
+        if (this.observadorHidratacion) {
+            this.observadorHidratacion.disconnect();
+            this.observadorHidratacion = null;
+        }
+
+        if (this.libroActual && this.libroActual.recursos) {
+            this.libroActual.recursos.liberar();
+        }
+    }
+
+    /**
+     * Renderiza todo el libro con scroll continuo. Los capítulos fluidos se
+     * generan vacíos y se montan al acercarse a la zona visible
      * @private
      */
     _renderizarLibro() {
         if (!this.libroActual) return;
 
+        const capitulos = this.libroActual.capitulos;
         let html = '';
 
-        for (const capitulo of this.libroActual.capitulos) {
-            let contenido = capitulo.contenidoHtml;
-
-            if (this.controladorBionica && this.controladorBionica.estaActivo()) {
-                contenido = this.controladorBionica.aplicar(contenido);
+        for (let i = 0; i < capitulos.length; i++) {
+            if (capitulos[i].maquetacion !== 'fija') {
+                html += this._generarHtmlCapitulo(capitulos[i]);
+                continue;
             }
 
-            html += `
-                <section class="capitulo" id="capitulo-${capitulo.id}" data-orden="${capitulo.orden}">
-                    <h2 class="titulo-capitulo">${this._escaparHtml(capitulo.titulo)}</h2>
-                    <div class="contenido-capitulo" data-contenido-original="${this._codificarBase64(capitulo.contenidoHtml)}">
-                        ${contenido}
-                    </div>
-                </section>
-            `;
+            // Las páginas fijas consecutivas se agrupan en pliegos
+            let fin = i;
+            while (fin + 1 < capitulos.length && capitulos[fin + 1].maquetacion === 'fija') fin++;
+
+            const direccion = this.obtenerDireccion();
+            html += this.paginasFijas.agruparEnPliegos(capitulos.slice(i, fin + 1), direccion)
+                .map(pliego => this.paginasFijas.generarHtmlPliego(pliego, direccion))
+                .join('');
+            i = fin;
         }
 
+        // dir sigue al idioma del texto, no al avance de las páginas: un manga o un
+        // libro japonés en horizontal avanza hacia la izquierda pero sus líneas son LTR.
+        // En vertical el sentido de las líneas ya lo marca writing-mode
+        const modoEscritura = this.obtenerModoEscritura();
+        const dir = modoEscritura === 'horizontal-tb' && this.libroActual.direccionTexto === 'rtl' ? 'rtl' : 'ltr';
+        const idioma = this._escaparHtml((this.libroActual.metadatos && this.libroActual.metadatos.idioma) || '');
+
+        const clases = this.libroActual.maquetacion === 'fija' ? 'visor-contenido maquetacion-fija' : 'visor-contenido';
+
+        this.contenedor.dataset.modoEscritura = modoEscritura;
         this.contenedor.innerHTML = `
-            <article class="visor-contenido">
+            <article class="${clases}" dir="${dir}" lang="${idioma}">
                 ${html}
             </article>
         `;
 
+        this.paginasFijas.establecerPliegosLibro(this.libroActual.pliegos);
+        this.paginasFijas.ajustar(this.contenedor);
+
+        this._registrarAnclasNota();
+        this._configurarEnlaces();
+        this._configurarHidratacion();
+        this._configurarVirtualizacion();
         this._aplicarEstilosLibro();
         this._restaurarProgreso();
     }
 
+    /**
+     * Genera la sección (aún sin contenido) de un capítulo fluido
+     * @private
+     */
+    _generarHtmlCapitulo(capitulo) {
+        // Los capítulos no lineales se ocultan hasta que un enlace los abre
+        const atributosNoLineal = capitulo.lineal === false ? ' data-no-lineal="true" hidden' : '';
+
+        return `
+            <section class="capitulo" id="capitulo-${capitulo.id}" data-orden="${capitulo.orden}"${atributosNoLineal}>
+                <h2 class="titulo-capitulo">${this._escaparHtml(capitulo.titulo)}</h2>
+                <div class="contenido-capitulo ${(capitulo.clasesRaiz || []).join(' ')}"></div>
+            </section>
+        `;
+    }
+
+    /**
+     * Genera el contenido de un capítulo fluido con la lectura biónica aplicada
+     * @private
+     */
+    _generarContenidoCapitulo(capitulo) {
+        let contenido = capitulo.contenidoHtml;
+
+        if (this.controladorBionica && this.controladorBionica.estaActivo()) {
+            contenido = this.controladorBionica.aplicar(contenido);
+        }
+
+        return contenido;
+    }
+
+    /**
+     * Virtualiza los capítulos fluidos: sólo los cercanos a la zona visible
+     * tienen su contenido en el DOM
+     * @private
+     */
+    _configurarVirtualizacion() {
+        const entradas = this.libroActual.capitulos
+            .filter(capitulo => capitulo.maquetacion !== 'fija')
+            .map(capitulo => ({
+                seccion: document.getElementById(`capitulo-${capitulo.id}`),
+                html: capitulo.contenidoHtml
+            }))
+            .filter(entrada => entrada.seccion);
+
+        // En horizontal se desplaza la ventana; en vertical, el propio visor
+        const vertical = this.obtenerModoEscritura() !== 'horizontal-tb';
+        this.virtualizacion.iniciar(entradas, { raiz: vertical ? this.contenedor : null, vertical });
+    }
+
+    /**
+     * Rellena la sección de un capítulo fluido: contenido, estilos incrustados,
+     * notas y recursos
+     * @private
+     */
+    _montarCapitulo(seccion) {
+        const capitulo = this.libroActual.capitulos.find(cap => `capitulo-${cap.id}` === seccion.id);
+        const contenedor = seccion.querySelector('.contenido-capitulo');
+        if (!capitulo || !contenedor) return;
+
+        contenedor.innerHTML = this._generarContenidoCapitulo(capitulo);
+
+        this._adaptarEstilosIncrustados(contenedor);
+        this._marcarNotasCapitulo(seccion, capitulo.id);
+        this._hidratarCapitulo(seccion);
+    }
+
+    /**
+     * Vacía la sección de un capítulo fluido y libera las URLs de sus recursos
+     * @private
+     */
+    _desmontarCapitulo(seccion) {
+        const contenedor = seccion.querySelector('.contenido-capitulo');
+        if (contenedor) contenedor.innerHTML = '';
+
+        delete seccion.dataset.hidratado;
+        this._liberarRecursos(seccion);
+    }
+
+    /**
+     * Libera las object URLs pedidas para una sección (o un popover): las que
+     * ningún otro capítulo usa se revocan y se recrean si vuelve a montarse
+     * @private
+     */
+    _liberarRecursos(titular) {
+        if (this.libroActual && this.libroActual.recursos) {
+            this.libroActual.recursos.liberarTitular(titular);
+        }
+    }
+
+    /**
+     * Cambia el zoom y los pliegos de las páginas de maquetación fija
+     * @param {Object} opciones - { zoom: 'pagina' | 'ancho', paginasDobles: boolean }
+     */
+    configurarPaginasFijas(opciones) {
+        this.paginasFijas.configurar(opciones);
+        this.actualizarDisposicion();
+    }
+
+    /**
+     * Indica si el libro actual tiene páginas de maquetación fija
+     * @returns {boolean}
+     */
+    tienePaginasFijas() {
+        return Boolean(this.libroActual) && this.libroActual.capitulos.some(cap => cap.maquetacion === 'fija');
+    }
+
+    /**
+     * Rehace las medidas tras un cambio de tamaño o de estilos: reescala las
+     * páginas fijas, vuelve a medir los capítulos y conserva el punto de lectura
+     */
+    actualizarDisposicion() {
+        if (!this.libroActual) return;
+
+        const posicion = this._capturarPosicionLectura();
+
+        this.paginasFijas.ajustar(this.contenedor);
+        this.virtualizacion.actualizarMedidas();
+
+        this._irAPosicionLectura(posicion);
+    }
+
+    /**
+     * Indica si el libro actual tiene narración sincronizada (media overlays)
+     * @returns {boolean}
+     */
+    tieneNarracion() {
+        return Boolean(this.libroActual) && this.narracion.tieneNarracion();
+    }
+
+    /**
+     * Reproduce o pausa la narración. Si el lector se ha movido desde la pausa,
+     * la narración sigue desde el primer fragmento que queda por leer en pantalla
+     */
+    alternarNarracion() {
+        if (!this.tieneNarracion()) return;
+
+        if (this.narracion.estaReproduciendo()) {
+            this.narracion.pausar();
+            return;
+        }
+
+        const actual = this.narracion.obtenerFragmentoActual();
+        const elemento = actual ? this._buscarElementoNarrado(actual, false) : null;
+
+        if (elemento && this._estaEnPantalla(elemento)) {
+            this.narracion.reanudar();
+        } else {
+            this.narracion.reproducir(this._buscarFragmentoPorLeer());
+        }
+    }
+
+    /**
+     * Detiene la narración y quita el resaltado
+     */
+    detenerNarracion() {
+        this.narracion.detener();
+    }
+
+    /**
+     * Cambia la velocidad de la narración
+     * @param {number} velocidad - 1 = normal
+     */
+    cambiarVelocidadNarracion(velocidad) {
+        this.narracion.cambiarVelocidad(velocidad);
+    }
+
+    /**
+     * Registra un observador de reproducción/pausa de la narración
+     * @param {Function} callback - Recibe true si está sonando
+     */
+    alCambiarEstadoNarracion(callback) {
+        this.narracion.alCambiarEstado(callback);
+    }
+
+    /**
+     * Reúne los fragmentos narrados de todos los capítulos en orden de lectura
+     * @private
+     */
+    _obtenerFragmentosNarracion() {
+        return this.libroActual.capitulos.flatMap(capitulo =>
+            (capitulo.narracion || []).map(fragmento => ({ ...fragmento, capituloId: capitulo.id }))
+        );
+    }
+
+    /**
+     * Resalta el fragmento narrado y lo trae a la vista si se ha salido de ella
+     * @param {Object|null} fragmento
+     * @param {boolean} [seguir] - Desplazar hasta el fragmento
+     * @private
+     */
+    _resaltarFragmento(fragmento, seguir = true) {
+        const clases = ['narracion-activa', this.libroActual && this.libroActual.claseNarracion].filter(c => c);
+
+        if (this.elementoNarrado) {
+            this.elementoNarrado.classList.remove(...clases);
+            this.elementoNarrado = null;
+        }
+
+        const elemento = fragmento ? this._buscarElementoNarrado(fragmento) : null;
+        if (!elemento) return;
+
+        elemento.classList.add(...clases);
+        this.elementoNarrado = elemento;
+
+        if (seguir && !this._estaEnPantalla(elemento)) {
+            this._elementoVisibleNarrado(elemento).scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    /**
+     * Localiza en el visor el elemento de un fragmento narrado
+     * (en las páginas fijas, dentro del documento de su marco)
+     * @param {Object} fragmento
+     * @param {boolean} [montar] - Montar su capítulo si no lo está
+     * @private
+     */
+    _buscarElementoNarrado(fragmento, montar = true) {
+        const seccion = document.getElementById(`capitulo-${fragmento.capituloId}`);
+        if (!seccion || seccion.hidden) return null;
+
+        if (montar) this.virtualizacion.asegurarMontada(seccion);
+
+        if (seccion.classList.contains('pagina-fija')) {
+            const marco = seccion.querySelector('iframe');
+            const documentoPagina = marco && marco.contentDocument;
+            return documentoPagina ? documentoPagina.getElementById(fragmento.ancla) : null;
+        }
+
+        return this._buscarAncla(seccion, fragmento.ancla);
+    }
+
+    /**
+     * Elemento del visor que representa en pantalla a un elemento narrado:
+     * él mismo o, si está dentro de una página fija, la página
+     * @private
+     */
+    _elementoVisibleNarrado(elemento) {
+        if (elemento.ownerDocument === document) return elemento;
+
+        const marco = elemento.ownerDocument.defaultView && elemento.ownerDocument.defaultView.frameElement;
+        return marco ? marco.closest('.pagina-fija') : elemento;
+    }
+
+    /**
+     * Indica si un elemento narrado está dentro de la zona visible del visor
+     * @private
+     */
+    _estaEnPantalla(elemento) {
+        const rect = this._elementoVisibleNarrado(elemento).getBoundingClientRect();
+        const zona = this._obtenerZonaVisible();
+
+        return rect.bottom > zona.top && rect.top < zona.bottom &&
+            rect.right > zona.left && rect.left < zona.right;
+    }
+
+    /**
+     * Rectángulo de pantalla donde se lee: la ventana bajo la cabecera
+     * o, en escritura vertical, el propio contenedor
+     * @private
+     */
+    _obtenerZonaVisible() {
+        if (this.obtenerModoEscritura() !== 'horizontal-tb') {
+            return this.contenedor.getBoundingClientRect();
+        }
+
+        const cabecera = document.querySelector('.barra-superior');
+        const top = cabecera ? cabecera.getBoundingClientRect().bottom : 0;
+        return { top, bottom: window.innerHeight, left: 0, right: window.innerWidth };
+    }
+
+    /**
+     * Indica si un rectángulo de pantalla queda entero antes de la zona visible
+     * en el sentido de lectura
+     * @private
+     */
+    _haQuedadoAtras(rect) {
+        const zona = this._obtenerZonaVisible();
+        const modo = this.obtenerModoEscritura();
+
+        if (modo === 'vertical-rl') return rect.left >= zona.right;
+        if (modo === 'vertical-lr') return rect.right <= zona.left;
+        return rect.bottom <= zona.top;
+    }
+
+    /**
+     * Busca el primer fragmento narrado que aún no ha quedado atrás en la lectura
+     * @returns {number} Índice del fragmento (0 si todos quedan atrás)
+     * @private
+     */
+    _buscarFragmentoPorLeer() {
+        const fragmentos = this.narracion.obtenerFragmentos();
+        const capituloActual = this.libroActual.capitulos[this.capituloActual];
+        const idsPorLeer = new Set(this.libroActual.capitulos.slice(this.capituloActual).map(cap => cap.id));
+
+        for (let i = 0; i < fragmentos.length; i++) {
+            if (!idsPorLeer.has(fragmentos[i].capituloId)) continue;
+
+            // Un capítulo sin montar que no ha quedado atrás se lee desde su primer fragmento
+            const seccion = document.getElementById(`capitulo-${fragmentos[i].capituloId}`);
+            if (seccion && !seccion.hidden && !seccion.classList.contains('pagina-fija') &&
+                !this.virtualizacion.estaMontada(seccion)) {
+                if (!this._haQuedadoAtras(seccion.getBoundingClientRect())) return i;
+                continue;
+            }
+
+            const elemento = this._buscarElementoNarrado(fragmentos[i], false);
+            if (!elemento) continue;
+
+            const rect = this._elementoVisibleNarrado(elemento).getBoundingClientRect();
+            // Elementos ocultos (notas, display: none) no tienen caja
+            if (rect.width === 0 && rect.height === 0) continue;
+            if (!this._haQuedadoAtras(rect)) return i;
+        }
+
+        const primeroDelCapitulo = capituloActual
+            ? fragmentos.findIndex(f => f.capituloId === capituloActual.id)
+            : -1;
+        return Math.max(0, primeroDelCapitulo);
+    }
+
     /**
      * Actualiza la lectura biónica sin recargar el libro
+     * (las páginas fijas no se tocan: su texto está maquetado a medida)
      */
     actualizarLecturaBionica() {
         if (!this.libroActual) return;
 
-        const scrollActual = window.scrollY;
-        const contenidos = this.contenedor.querySelectorAll('.contenido-capitulo');
+        const posicion = this._capturarPosicionLectura();
+
+        // Los capítulos sin montar ya tomarán la lectura biónica al montarse
+        this.virtualizacion.remontar();
+
+        this._irAPosicionLectura(posicion);
+        this._resaltarFragmento(this.narracion.obtenerFragmentoActual(), false);
+    }
+
+    /**
+     * Observa las páginas fijas para cargarlas al acercarse al viewport y
+     * descargarlas al alejarse (los capítulos fluidos cargan sus recursos al
+     * montarse y los liberan al desmontarse)
+     * @private
+     */
+    _configurarHidratacion() {
+        const secciones = this.contenedor.querySelectorAll('.capitulo.pagina-fija');
 
-        contenidos.forEach((contenedor) => {
-            const original = contenedor.dataset.contenidoOriginal;
-            if (original) {
-                let contenido = this._decodificarBase64(original);
+        if (secciones.length === 0) return;
 
-                if (this.controladorBionica && this.controladorBionica.estaActivo()) {
-                    contenido = this.controladorBionica.aplicar(contenido);
+        if (typeof IntersectionObserver === 'undefined') {
+            secciones.forEach(seccion => this._hidratarCapitulo(seccion));
+            return;
+        }
+
+        this.observadorHidratacion = new IntersectionObserver((entradas) => {
+            for (const entrada of entradas) {
+                if (entrada.isIntersecting) {
+                    this._hidratarCapitulo(entrada.target);
+                } else if (entrada.target.dataset.hidratado) {
+                    this._descargarPaginaFija(entrada.target);
                 }
+            }
+        }, { rootMargin: '1500px 0px' });
 
-                contenedor.innerHTML = contenido;
+        secciones.forEach(seccion => this.observadorHidratacion.observe(seccion));
+    }
+
+    /**
+     * Sustituye las referencias "recurso:<clave>" de un capítulo (o de
+     * cualquier fragmento del libro) por object URLs
+     * @param {HTMLElement} seccion
+     * @param {*} [titular] - A quién se asignan las URLs en la caché (la propia sección)
+     * @private
+     */
+    async _hidratarCapitulo(seccion, titular = seccion) {
+        if (seccion.classList.contains('pagina-fija')) {
+            return this._cargarPaginaFija(seccion);
+        }
+
+        const recursos = this.libroActual && this.libroActual.recursos;
+        if (!recursos) return;
+
+        seccion.dataset.hidratado = 'true';
+
+        for (const [diferido, atributo] of this.ATRIBUTOS_RECURSO) {
+            for (const elemento of seccion.querySelectorAll(`[data-recurso-${diferido}]`)) {
+                const valor = await recursos.resolverReferencias(elemento.getAttribute(`data-recurso-${diferido}`), titular);
+                elemento.setAttribute(atributo, valor);
+                elemento.removeAttribute(`data-recurso-${diferido}`);
             }
+        }
+
+        for (const elemento of seccion.querySelectorAll('[style*="recurso:"]')) {
+            elemento.setAttribute('style', await recursos.resolverReferencias(elemento.getAttribute('style'), titular));
+        }
+
+        for (const estilo of seccion.querySelectorAll('style')) {
+            estilo.textContent = await recursos.resolverReferencias(estilo.textContent, titular);
+        }
+    }
+
+    /**
+     * Carga una página fija en su marco con las URLs de sus recursos ya resueltas
+     * @private
+     */
+    async _cargarPaginaFija(seccion) {
+        if (seccion.dataset.hidratado) return;
+        // Si la página se descarga (o se vuelve a cargar) mientras se resuelven sus URLs, esta carga se abandona
+        const carga = String(++this.cargasPaginasFijas);
+        seccion.dataset.hidratado = carga;
+
+        const capitulo = this.libroActual.capitulos.find(cap => `capitulo-${cap.id}` === seccion.id);
+        if (!capitulo) return;
+
+        // Documento inerte: mientras se resuelven las URLs no se cargan imágenes ni se ejecutan manejadores
+        const documentoInerte = document.implementation.createHTMLDocument('');
+        const contenido = documentoInerte.createElement('div');
+        contenido.innerHTML = capitulo.contenidoHtml;
+        await this._hidratarCapitulo(contenido, seccion);
+
+        let estilos = this.libroActual.estilos || '';
+        if (this.libroActual.recursos) {
+            estilos = await this.libroActual.recursos.resolverReferencias(estilos);
+        }
+        if (seccion.dataset.hidratado !== carga) return;
+
+        this.paginasFijas.cargarPagina(seccion, {
+            contenido: contenido.innerHTML,
+            estilos,
+            clases: capitulo.clasesRaiz,
+            idioma: this.libroActual.metadatos && this.libroActual.metadatos.idioma
+        }, (documentoPagina) => {
+            documentoPagina.addEventListener('click', (e) => this._manejarClicEnlace(e));
         });
+    }
 
-        window.scrollTo({ top: scrollActual, behavior: 'auto' });
+    /**
+     * Descarga una página fija alejada del viewport: vacía su marco y libera
+     * las URLs de sus recursos hasta que vuelva a acercarse
+     * @private
+     */
+    _descargarPaginaFija(seccion) {
+        delete seccion.dataset.hidratado;
+        this.paginasFijas.descargarPagina(seccion);
+        this._liberarRecursos(seccion);
     }
 
     /**
-     * Codifica texto a Base64
+     * Intercepta los clics en enlaces del libro para navegar dentro del visor
      * @private
      */
-    _codificarBase64(texto) {
-        try {
-            return btoa(encodeURIComponent(texto).replace(/%([0-9A-F]{2})/g,
-                (match, p1) => String.fromCharCode('0x' + p1)));
-        } catch (e) {
-            return '';
+    _configurarEnlaces() {
+        const articulo = this.contenedor.querySelector('.visor-contenido');
+        if (!articulo) return;
+
+        articulo.addEventListener('click', (e) => this._manejarClicEnlace(e));
+    }
+
+    /**
+     * Decide qué hacer con un clic sobre un enlace del libro
+     * @private
+     */
+    _manejarClicEnlace(e) {
+        const enlace = e.target.closest('a');
+        if (!enlace) return;
+
+        if (enlace.hasAttribute('data-capitulo')) {
+            e.preventDefault();
+            if (this._esReferenciaNota(enlace) && this._mostrarNota(enlace)) return;
+
+            this._cerrarNota();
+            this.seguirEnlace(enlace.dataset.capitulo, enlace.dataset.ancla || null);
+        } else if (enlace.hasAttribute('data-enlace-externo')) {
+            e.preventDefault();
+            this._abrirEnlaceExterno(enlace.getAttribute('href'));
+        } else if (enlace.hasAttribute('data-enlace-roto')) {
+            e.preventDefault();
         }
     }
 
     /**
-     * Decodifica Base64 a texto
+     * Indica si un enlace es una llamada a nota (epub:type="noteref", role o MOBI)
      * @private
      */
-    _decodificarBase64(base64) {
-        try {
-            return decodeURIComponent(atob(base64).split('').map(c =>
-                '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2)).join(''));
-        } catch (e) {
-            return '';
+    _esReferenciaNota(enlace) {
+        const tipoEpub = (enlace.getAttribute('epub:type') || '').split(/\s+/);
+        return enlace.hasAttribute('data-nota') ||
+            tipoEpub.includes('noteref') ||
+            enlace.getAttribute('role') === 'doc-noteref';
+    }
+
+    /**
+     * Indica si un elemento es un contenedor semántico de notas
+     * @private
+     */
+    _esContenedorNota(elemento) {
+        const tiposNota = ['footnote', 'endnote', 'rearnote', 'note', 'footnotes', 'endnotes', 'rearnotes'];
+        const rolesNota = ['doc-footnote', 'doc-endnote', 'doc-endnotes'];
+        const tipoEpub = (elemento.getAttribute('epub:type') || '').split(/\s+/);
+
+        return tipoEpub.some(tipo => tiposNota.includes(tipo)) ||
+            rolesNota.includes(elemento.getAttribute('role'));
+    }
+
+    /**
+     * Localiza el destino de un enlace a nota dentro del visor
+     * @private
+     */
+    _buscarDestinoNota(enlace) {
+        const seccion = document.getElementById(`capitulo-${enlace.dataset.capitulo}`);
+        const ancla = enlace.dataset.ancla;
+        if (!seccion || !ancla) return null;
+
+        this.virtualizacion.asegurarMontada(seccion);
+        return this._obtenerContenedorNota(this._buscarAncla(seccion, ancla));
+    }
+
+    /**
+     * A partir del elemento destino, obtiene el bloque que contiene el texto de la nota
+     * @private
+     */
+    _obtenerContenedorNota(destino) {
+        if (!destino) return null;
+
+        const semantico = destino.closest('aside, li, dd, [role="doc-footnote"], [role="doc-endnote"]');
+        if (semantico) return semantico;
+
+        if (destino.textContent.trim()) {
+            return destino.closest('p, div, blockquote') || destino;
+        }
+
+        // Ancla vacía (típico de MOBI): la nota es el bloque siguiente o el que la contiene
+        const siguiente = destino.nextElementSibling;
+        if (siguiente && siguiente.textContent.trim()) return siguiente;
+
+        const bloque = destino.parentElement ? destino.parentElement.closest('p, div, blockquote') : null;
+        return bloque && !bloque.classList.contains('contenido-capitulo') ? bloque : null;
+    }
+
+    /**
+     * Recorre el HTML de todos los capítulos buscando llamadas a nota: al montar
+     * un capítulo hay que saber qué anclas suyas son notas aunque la llamada
+     * esté en otro capítulo que no se ha montado
+     * @private
+     */
+    _registrarAnclasNota() {
+        this.anclasNota = new Map();
+
+        const leerAtributo = (etiqueta, nombre) => {
+            const coincidencia = etiqueta.match(new RegExp(`\\s${nombre}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+            if (!coincidencia) return null;
+
+            const valor = coincidencia[1] !== undefined ? coincidencia[1] : coincidencia[2];
+            return valor.includes('&') ? this._decodificarEntidades(valor) : valor;
+        };
+
+        for (const capitulo of this.libroActual.capitulos) {
+            for (const [etiqueta] of capitulo.contenidoHtml.matchAll(/<a\s[^>]*>/gi)) {
+                const tipoEpub = (leerAtributo(etiqueta, 'epub:type') || '').split(/\s+/);
+                const esNota = leerAtributo(etiqueta, 'data-nota') !== null ||
+                    tipoEpub.includes('noteref') ||
+                    leerAtributo(etiqueta, 'role') === 'doc-noteref';
+
+                const destino = leerAtributo(etiqueta, 'data-capitulo');
+                const ancla = leerAtributo(etiqueta, 'data-ancla');
+                if (!esNota || destino === null || !ancla) continue;
+
+                if (!this.anclasNota.has(destino)) this.anclasNota.set(destino, new Set());
+                this.anclasNota.get(destino).add(ancla);
+            }
+        }
+    }
+
+    /**
+     * Decodifica las entidades HTML de un valor de atributo
+     * @private
+     */
+    _decodificarEntidades(texto) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = texto;
+        return textarea.value;
+    }
+
+    /**
+     * Marca los bloques de notas de un capítulo recién montado para poder
+     * ocultarlos del scroll continuo
+     * @private
+     */
+    _marcarNotasCapitulo(seccion, capituloId) {
+        for (const elemento of seccion.querySelectorAll('aside, section, ol, div, [role]')) {
+            if (this._esContenedorNota(elemento)) {
+                elemento.classList.add('nota-libro');
+            }
+        }
+
+        for (const ancla of this.anclasNota.get(capituloId) || []) {
+            const contenedorNota = this._obtenerContenedorNota(this._buscarAncla(seccion, ancla));
+            if (contenedorNota && !contenedorNota.classList.contains('contenido-capitulo')) {
+                contenedorNota.classList.add('nota-libro');
+            }
+        }
+    }
+
+    /**
+     * Muestra el contenido de una nota en un popover junto a su llamada
+     * @returns {boolean} false si no se encontró el texto de la nota
+     * @private
+     */
+    _mostrarNota(enlace) {
+        const contenedorNota = this._buscarDestinoNota(enlace);
+        if (!contenedorNota) return false;
+
+        this._cerrarNota();
+
+        const copia = contenedorNota.cloneNode(true);
+        copia.removeAttribute('id');
+        copia.querySelectorAll('[id]').forEach(elemento => elemento.removeAttribute('id'));
+
+        // Los enlaces de vuelta a la llamada no tienen sentido dentro del popover
+        if (enlace.id) {
+            copia.querySelectorAll('a[data-ancla]').forEach(vuelta => {
+                if (vuelta.dataset.ancla === enlace.id) vuelta.remove();
+            });
+        }
+
+        const popover = document.createElement('div');
+        popover.className = 'popover-nota';
+        popover.setAttribute('role', 'dialog');
+        popover.innerHTML = `
+            <div class="popover-nota-contenido"></div>
+            <div class="popover-nota-acciones">
+                <button class="boton boton-secundario" data-accion="ir">Ir a la nota</button>
+                <button class="boton boton-secundario" data-accion="cerrar">Cerrar</button>
+            </div>
+        `;
+        popover.querySelector('.popover-nota-contenido').appendChild(copia);
+        this._hidratarCapitulo(popover.querySelector('.popover-nota-contenido'), popover);
+
+        if (getComputedStyle(contenedorNota).display === 'none') {
+            popover.querySelector('[data-accion="ir"]').remove();
+        }
+
+        popover.addEventListener('click', (e) => {
+            const accion = e.target.closest('[data-accion]');
+            if (accion) {
+                this._cerrarNota();
+                if (accion.dataset.accion === 'ir') {
+                    this.seguirEnlace(enlace.dataset.capitulo, enlace.dataset.ancla);
+                }
+                return;
+            }
+            this._manejarClicEnlace(e);
+        });
+
+        document.body.appendChild(popover);
+        this._posicionarNota(popover, enlace);
+
+        this._cerrarNotaAlClicFuera = (e) => {
+            if (!popover.contains(e.target) && e.target.closest('a') !== enlace) this._cerrarNota();
+        };
+        this._cerrarNotaConEscape = (e) => {
+            if (e.key === 'Escape') this._cerrarNota();
+        };
+        document.addEventListener('mousedown', this._cerrarNotaAlClicFuera);
+        document.addEventListener('keydown', this._cerrarNotaConEscape);
+
+        return true;
+    }
+
+    /**
+     * Coloca el popover bajo la llamada a nota (o encima si no cabe)
+     * @private
+     */
+    _posicionarNota(popover, enlace) {
+        const margen = 10;
+        const rectEnlace = enlace.getBoundingClientRect();
+        const rectPopover = popover.getBoundingClientRect();
+
+        let top = rectEnlace.bottom + margen;
+        if (top + rectPopover.height > window.innerHeight && rectEnlace.top - rectPopover.height - margen > 0) {
+            top = rectEnlace.top - rectPopover.height - margen;
+        }
+
+        const maximoLeft = window.innerWidth - rectPopover.width - margen;
+        const left = Math.max(margen, Math.min(rectEnlace.left, maximoLeft));
+
+        popover.style.top = `${top + window.scrollY}px`;
+        popover.style.left = `${left + window.scrollX}px`;
+    }
+
+    /**
+     * Cierra el popover de nota abierto, si lo hay
+     * @private
+     */
+    _cerrarNota() {
+        document.querySelectorAll('.popover-nota').forEach(popover => {
+            popover.remove();
+            this._liberarRecursos(popover);
+        });
+
+        if (this._cerrarNotaAlClicFuera) {
+            document.removeEventListener('mousedown', this._cerrarNotaAlClicFuera);
+            document.removeEventListener('keydown', this._cerrarNotaConEscape);
+            this._cerrarNotaAlClicFuera = null;
+            this._cerrarNotaConEscape = null;
+        }
+    }
+
+    /**
+     * Sigue un enlace interno recordando la posición actual para poder volver
+     * @param {string} capituloId
+     * @param {string} [ancla]
+     */
+    seguirEnlace(capituloId, ancla = null) {
+        const indice = this.libroActual.capitulos.findIndex(cap => cap.id === capituloId);
+        if (indice === -1) return;
+
+        // Relativa al capítulo: al montarse otros capítulos los desplazamientos absolutos cambian
+        this.historialNavegacion.push({
+            posicion: this._capturarPosicionLectura(),
+            capitulo: this.capituloActual
+        });
+        this._notificarHistorial();
+
+        this.irACapitulo(indice, ancla);
+    }
+
+    /**
+     * Vuelve a la posición anterior al último enlace seguido
+     */
+    volverAtras() {
+        const anterior = this.historialNavegacion.pop();
+        if (!anterior) return;
+
+        this._ocultarCapitulosNoLineales(anterior.capitulo);
+        this._irAPosicionLectura(anterior.posicion, 'smooth');
+        this.capituloActual = anterior.capitulo;
+        this._guardarProgreso();
+        this._notificarHistorial();
+    }
+
+    /**
+     * Indica si hay una posición a la que volver
+     * @returns {boolean}
+     */
+    puedeVolver() {
+        return this.historialNavegacion.length > 0;
+    }
+
+    /**
+     * Registra un observador para cambios en el historial de navegación
+     * @param {Function} callback - Recibe true si se puede volver atrás
+     */
+    alCambiarHistorial(callback) {
+        this.observadoresHistorial.push(callback);
+    }
+
+    /**
+     * Notifica a los observadores del historial
+     * @private
+     */
+    _notificarHistorial() {
+        const puedeVolver = this.puedeVolver();
+        for (const observador of this.observadoresHistorial) {
+            observador(puedeVolver);
+        }
+    }
+
+    /**
+     * Abre un enlace externo en una pestaña nueva previa confirmación
+     * @private
+     */
+    _abrirEnlaceExterno(url) {
+        const confirmado = window.confirm(
+            `Este enlace abrirá una página externa en una pestaña nueva:\n\n${url}\n\n¿Deseas continuar?`
+        );
+
+        if (confirmado) {
+            window.open(url, '_blank', 'noopener,noreferrer');
         }
     }
 
@@ -123,7 +931,7 @@ class ControladorVisor {
      * Aplica los estilos CSS del libro si existen
      * @private
      */
-    _aplicarEstilosLibro() {
+    async _aplicarEstilosLibro() {
         const estilosExistentes = document.getElementById('estilos-libro');
         if (estilosExistentes) {
             estilosExistentes.remove();
@@ -132,21 +940,75 @@ class ControladorVisor {
         if (this.libroActual.estilos) {
             const elementoEstilo = document.createElement('style');
             elementoEstilo.id = 'estilos-libro';
-            elementoEstilo.textContent = this._sanitizarCss(this.libroActual.estilos);
             document.head.appendChild(elementoEstilo);
+
+            let estilos = this._encapsularCss(this._adaptarCss(this.libroActual.estilos));
+            if (this.libroActual.recursos) {
+                estilos = await this.libroActual.recursos.resolverReferencias(estilos);
+            }
+            elementoEstilo.textContent = estilos;
+        }
+    }
+
+    /**
+     * Somete los estilos que el libro trae dentro de sus capítulos a las mismas
+     * reglas que su hoja de estilos: los <style> se adaptan y se limitan al área
+     * de lectura (un <style> en el documento afecta a toda la página) y los
+     * atributos style pierden las posiciones fijas o absolutas, con las que un
+     * capítulo podría tapar la barra de herramientas o los paneles
+     * @param {HTMLElement} contenedor - Contenido de un capítulo
+     * @private
+     */
+    _adaptarEstilosIncrustados(contenedor) {
+        for (const estilo of contenedor.querySelectorAll('style')) {
+            estilo.textContent = this._encapsularCss(this._adaptarCss(estilo.textContent));
+        }
+
+        for (const elemento of contenedor.querySelectorAll('[style]')) {
+            const posicion = elemento.style.getPropertyValue('position').trim().toLowerCase();
+            if (posicion === 'fixed' || posicion === 'absolute') {
+                elemento.style.setProperty('position', 'relative', elemento.style.getPropertyPriority('position'));
+            }
         }
     }
 
     /**
-     * Sanitiza CSS para evitar estilos peligrosos
+     * Reescribe los selectores del CSS del libro para que sólo alcancen al
+     * contenido (html y body pasan a ser el contenedor de cada capítulo)
      * @private
      */
-    _sanitizarCss(css) {
-        return css
+    _encapsularCss(css) {
+        return this.encapsuladorCss.encapsular(css, {
+            ambito: '.visor-contenido',
+            raiz: '.contenido-capitulo'
+        });
+    }
+
+    /**
+     * Adapta el CSS del libro al visor fluido: sin modo de escritura en la raíz
+     * y sin posiciones fijas o absolutas, que lo sacarían del flujo del capítulo.
+     * La limpieza de seguridad ya la hizo SanitizadorHtml al cargar el libro
+     * (en las páginas fijas, aisladas en su marco, el CSS se usa tal cual)
+     * @private
+     */
+    _adaptarCss(css) {
+        return this._quitarModoEscrituraRaiz(css)
             .replace(/position\s*:\s*fixed/gi, 'position: relative')
-            .replace(/position\s*:\s*absolute/gi, 'position: relative')
-            .replace(/@import/gi, '/* import deshabilitado */')
-            .replace(/javascript:/gi, '');
+            .replace(/position\s*:\s*absolute/gi, 'position: relative');
+    }
+
+    /**
+     * Quita writing-mode de las reglas de html/body/:root: el modo de escritura
+     * del libro lo aplica el visor a su contenedor, no a toda la página
+     * @private
+     */
+    _quitarModoEscrituraRaiz(css) {
+        return css.replace(/([^{}]+)\{([^{}]*)\}/g, (regla, selectores, declaraciones) => {
+            const esRaiz = selectores.split(',').some(selector => /^(html|body|:root)\b/i.test(selector.trim()));
+            if (!esRaiz) return regla;
+
+            return `${selectores}{${declaraciones.replace(/(?:-epub-|-webkit-)?writing-mode\s*:[^;]*;?/gi, '')}}`;
+        });
     }
 
     /**
@@ -171,63 +1033,275 @@ class ControladorVisor {
             this.posicionesCapitulos.push({
                 indice,
                 id: seccion.id,
-                offsetTop: seccion.offsetTop
+                inicio: this._medirInicio(seccion),
+                visible: !seccion.hidden
             });
         });
     }
 
+    /**
+     * Mide dónde empieza una sección en el sentido de lectura
+     * (desde arriba en horizontal, desde el borde inicial en vertical)
+     * @private
+     */
+    _medirInicio(seccion) {
+        const modo = this.obtenerModoEscritura();
+        if (modo === 'horizontal-tb') return seccion.offsetTop;
+
+        const contenedor = this.contenedor.getBoundingClientRect();
+        const rect = seccion.getBoundingClientRect();
+        const desde = modo === 'vertical-rl' ? contenedor.right - rect.right : rect.left - contenedor.left;
+
+        return desde + this.obtenerDesplazamiento();
+    }
+
+    /**
+     * Obtiene el modo de escritura del libro actual
+     * @returns {string} 'horizontal-tb', 'vertical-rl' o 'vertical-lr'
+     */
+    obtenerModoEscritura() {
+        return this.libroActual && this.libroActual.modoEscritura
+            ? this.libroActual.modoEscritura
+            : 'horizontal-tb';
+    }
+
+    /**
+     * Obtiene cuánto se ha avanzado en el sentido de lectura: scroll vertical
+     * de la página o, en escritura vertical, scroll horizontal del visor
+     * @returns {number} Píxeles desde el inicio del libro
+     */
+    obtenerDesplazamiento() {
+        if (this.obtenerModoEscritura() === 'horizontal-tb') return window.scrollY;
+        return Math.abs(this.contenedor.scrollLeft);
+    }
+
+    /**
+     * Lleva la lectura a un desplazamiento (ver obtenerDesplazamiento)
+     * @param {number} desplazamiento
+     * @param {string} [comportamiento] - 'auto' o 'smooth'
+     */
+    desplazarA(desplazamiento, comportamiento = 'auto') {
+        const modo = this.obtenerModoEscritura();
+
+        if (modo === 'horizontal-tb') {
+            window.scrollTo({ top: desplazamiento, behavior: comportamiento });
+        } else {
+            // En vertical-rl el origen está a la derecha y scrollLeft avanza en negativo
+            const signo = modo === 'vertical-rl' ? -1 : 1;
+            this.contenedor.scrollTo({ left: signo * desplazamiento, behavior: comportamiento });
+        }
+    }
+
+    /**
+     * Obtiene el porcentaje leído del libro
+     * @returns {number} 0-100
+     */
+    obtenerProgreso() {
+        const total = this.obtenerModoEscritura() === 'horizontal-tb'
+            ? document.documentElement.scrollHeight - window.innerHeight
+            : this.contenedor.scrollWidth - this.contenedor.clientWidth;
+
+        return total > 0 ? Math.min(100, (this.obtenerDesplazamiento() / total) * 100) : 0;
+    }
+
+    /**
+     * Convierte la rueda vertical en avance horizontal en escritura vertical
+     * @private
+     */
+    _desplazarConRueda(e) {
+        const modo = this.obtenerModoEscritura();
+        if (modo === 'horizontal-tb' || Math.abs(e.deltaX) > Math.abs(e.deltaY)) return;
+
+        e.preventDefault();
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        this.contenedor.scrollLeft += modo === 'vertical-rl' ? -delta : delta;
+    }
+
+    /**
+     * Muestra un capítulo no lineal al navegar hasta él
+     * @private
+     */
+    _mostrarCapituloNoLineal(seccion) {
+        seccion.hidden = false;
+        this._calcularPosicionesCapitulos();
+    }
+
+    /**
+     * Vuelve a ocultar los capítulos no lineales abiertos por enlaces
+     * @param {number} [indiceConservado] - Capítulo que debe seguir visible
+     * @private
+     */
+    _ocultarCapitulosNoLineales(indiceConservado = -1) {
+        const secciones = this.contenedor.querySelectorAll('.capitulo[data-no-lineal]');
+        let cambiado = false;
+
+        for (const seccion of secciones) {
+            const posicion = this.posicionesCapitulos.find(p => p.id === seccion.id);
+            if (!seccion.hidden && (!posicion || posicion.indice !== indiceConservado)) {
+                seccion.hidden = true;
+                cambiado = true;
+            }
+        }
+
+        if (cambiado) this._calcularPosicionesCapitulos();
+    }
+
     /**
      * Navega a un capítulo específico
      * @param {number} indice
+     * @param {string} [ancla] - ID de un elemento dentro del capítulo
      */
-    irACapitulo(indice) {
+    irACapitulo(indice, ancla = null) {
         if (indice < 0 || indice >= this.posicionesCapitulos.length) return;
 
         const posicion = this.posicionesCapitulos[indice];
         const seccion = document.getElementById(posicion.id);
 
         if (seccion) {
-            seccion.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            if (seccion.hidden) this._mostrarCapituloNoLineal(seccion);
+
+            // Un desplazamiento suave hacia un capítulo sin montar cruzaría capítulos
+            // que se montan por el camino y cambian el destino: se salta directamente
+            const montado = this._estaMontado(seccion);
+            this.virtualizacion.asegurarMontada(seccion);
+
+            const destino = ancla ? this._buscarAncla(seccion, ancla) : null;
+            (destino || seccion).scrollIntoView({ behavior: montado ? 'smooth' : 'auto', block: 'start' });
             this.capituloActual = indice;
             this._guardarProgreso();
         }
     }
 
     /**
-     * Va al capítulo siguiente
+     * Indica si una sección tiene su contenido en el DOM (las páginas fijas siempre)
+     * @private
+     */
+    _estaMontado(seccion) {
+        return seccion.classList.contains('pagina-fija') || this.virtualizacion.estaMontada(seccion);
+    }
+
+    /**
+     * Punto de lectura independiente de los tamaños de los capítulos: el
+     * capítulo actual y cuánto se ha avanzado dentro de él
+     * @returns {{indice: number, desplazamiento: number}}
+     * @private
+     */
+    _capturarPosicionLectura() {
+        const posicion = this.posicionesCapitulos[this.capituloActual];
+        const inicio = posicion ? posicion.inicio : 0;
+
+        return { indice: this.capituloActual, desplazamiento: this.obtenerDesplazamiento() - inicio };
+    }
+
+    /**
+     * Vuelve a un punto de lectura (ver _capturarPosicionLectura) con las
+     * posiciones actuales de los capítulos
+     * @param {{indice: number, desplazamiento: number}} posicion
+     * @param {string} [comportamiento] - 'auto' o 'smooth'
+     * @private
+     */
+    _irAPosicionLectura({ indice, desplazamiento }, comportamiento = 'auto') {
+        const posicion = this.posicionesCapitulos[indice];
+        const seccion = posicion ? document.getElementById(posicion.id) : null;
+        if (!seccion) {
+            this.desplazarA(desplazamiento, comportamiento);
+            return;
+        }
+
+        const montado = this._estaMontado(seccion);
+        this.virtualizacion.asegurarMontada(seccion);
+
+        const inicio = this.posicionesCapitulos[indice].inicio;
+        this.desplazarA(inicio + desplazamiento, montado ? comportamiento : 'auto');
+    }
+
+    /**
+     * Busca un elemento por id o name dentro de una sección de capítulo
+     * @private
+     */
+    _buscarAncla(seccion, ancla) {
+        const contenido = seccion.querySelector('.contenido-capitulo') || seccion;
+        const valor = ancla.replace(/["\\]/g, '\\$&');
+        return contenido.querySelector(`[id="${valor}"], a[name="${valor}"]`);
+    }
+
+    /**
+     * Va al capítulo siguiente del flujo de lectura
      */
     siguienteCapitulo() {
-        this.irACapitulo(this.capituloActual + 1);
+        this.irACapitulo(this._buscarCapituloVisible(this.capituloActual, 1));
     }
 
     /**
-     * Va al capítulo anterior
+     * Va al capítulo anterior del flujo de lectura
      */
     anteriorCapitulo() {
-        this.irACapitulo(this.capituloActual - 1);
+        this.irACapitulo(this._buscarCapituloVisible(this.capituloActual, -1));
+    }
+
+    /**
+     * Busca el siguiente capítulo visible en un sentido (saltando los no lineales ocultos)
+     * @returns {number} -1 si no hay ninguno
+     * @private
+     */
+    _buscarCapituloVisible(desde, paso) {
+        for (let i = desde + paso; i >= 0 && i < this.posicionesCapitulos.length; i += paso) {
+            if (this.posicionesCapitulos[i].visible) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Obtiene el sentido de avance de las páginas del libro actual
+     * @returns {string} 'ltr' o 'rtl'
+     */
+    obtenerDireccion() {
+        return this.libroActual && this.libroActual.direccion === 'rtl' ? 'rtl' : 'ltr';
     }
 
     /**
-     * Obtiene la lista de capítulos para el índice
-     * @returns {Array}
+     * Obtiene el índice jerárquico del libro.
+     * Usa la tabla de contenidos del libro y, si no la tiene, la lista plana
+     * de capítulos del flujo de lectura (sin los no lineales).
+     * @returns {Array} Entradas con { titulo, indice, ancla, hijos }
      */
     obtenerIndiceCapitulos() {
         if (!this.libroActual) return [];
 
-        return this.libroActual.capitulos.map((cap, indice) => ({
-            indice,
-            titulo: cap.titulo,
-            id: cap.id
+        const capitulos = this.libroActual.capitulos;
+
+        if (!this.libroActual.indice || this.libroActual.indice.length === 0) {
+            return capitulos
+                .map((cap, indice) => ({ cap, indice }))
+                .filter(({ cap }) => cap.lineal !== false)
+                .map(({ cap, indice }) => ({
+                    indice,
+                    titulo: cap.titulo,
+                    ancla: null,
+                    hijos: []
+                }));
+        }
+
+        const indicesPorId = new Map(capitulos.map((cap, indice) => [cap.id, indice]));
+        const convertir = (entradas) => entradas.map(entrada => ({
+            indice: indicesPorId.has(entrada.capituloId) ? indicesPorId.get(entrada.capituloId) : -1,
+            titulo: entrada.titulo,
+            ancla: entrada.ancla,
+            hijos: convertir(entrada.hijos)
         }));
+
+        return convertir(this.libroActual.indice);
     }
 
     /**
      * Detecta el capítulo actual basado en scroll
-     * @param {number} scrollTop
+     * @param {number} desplazamiento - Ver obtenerDesplazamiento()
      */
-    actualizarCapituloActual(scrollTop) {
+    actualizarCapituloActual(desplazamiento) {
         for (let i = this.posicionesCapitulos.length - 1; i >= 0; i--) {
-            if (scrollTop >= this.posicionesCapitulos[i].offsetTop - 100) {
+            if (!this.posicionesCapitulos[i].visible) continue;
+
+            if (desplazamiento >= this.posicionesCapitulos[i].inicio - 100) {
                 if (this.capituloActual !== i) {
                     this.capituloActual = i;
                     this._guardarProgreso();
@@ -247,10 +1321,14 @@ class ControladorVisor {
         if (!this.libroActual) return;
 
         try {
+            const posicion = this._capturarPosicionLectura();
             const progreso = {
                 titulo: this.libroActual.titulo,
                 capitulo: this.capituloActual,
-                scrollY: window.scrollY,
+                desplazamiento: this.obtenerDesplazamiento(),
+                // Los capítulos sin montar tienen un tamaño estimado: el desplazamiento
+                // dentro del capítulo es lo que permite volver al mismo punto
+                desplazamientoCapitulo: Math.max(0, posicion.desplazamiento),
                 fecha: new Date().toISOString()
             };
 
@@ -276,12 +1354,16 @@ class ControladorVisor {
                 const progreso = JSON.parse(guardado);
                 this.capituloActual = progreso.capitulo || 0;
 
-                setTimeout(() => {
-                    window.scrollTo({
-                        top: progreso.scrollY || 0,
-                        behavior: 'auto'
-                    });
-                }, 100);
+                if ('desplazamientoCapitulo' in progreso) {
+                    const posicion = { indice: this.capituloActual, desplazamiento: progreso.desplazamientoCapitulo };
+                    setTimeout(() => this._irAPosicionLectura(posicion), 100);
+                    return;
+                }
+
+                // Los progresos guardados antes de la escritura vertical usan scrollY
+                const desplazamiento = 'desplazamiento' in progreso ? progreso.desplazamiento : progreso.scrollY;
+
+                setTimeout(() => this.desplazarA(desplazamiento || 0), 100);
             }
         } catch (e) {
             console.warn('No se pudo restaurar el progreso:', e);
@@ -341,9 +1423,8 @@ class ControladorVisor {
      * @private
      */
     _extraerTextoPlano(html) {
-        const div = document.createElement('div');
-        div.innerHTML = html;
-        return div.textContent || '';
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return doc.body.textContent || '';
     }
 
     /**
@@ -358,7 +1439,19 @@ class ControladorVisor {
             autor: this.libroActual.autor,
             totalCapitulos: this.libroActual.capitulos.length,
             capituloActual: this.capituloActual,
-            metadatos: this.libroActual.metadatos
+            direccion: this.obtenerDireccion(),
+            modoEscritura: this.obtenerModoEscritura(),
+            metadatos: this.libroActual.metadatos,
+            tienePortada: Boolean(this.libroActual.portada)
         };
     }
+
+    /**
+     * Obtiene una URL mostrable de la portada del libro actual
+     * @returns {Promise<string|null>}
+     */
+    async obtenerUrlPortada() {
+        if (!this.libroActual || !this.libroActual.portada || !this.libroActual.recursos) return null;
+        return await this.libroActual.recursos.obtenerUrl(this.libroActual.portada);
+    }
 }
@@ -0,0 +1,127 @@
+/**
+ * Análisis de libros en segundo plano (SRP)
+ * Responsabilidad única: ejecutar la fase binaria de un analizador en un
+ * Web Worker (TrabajadorAnalisis), retransmitir su avance y poder abortarla
+ *
+ * Si no hay Workers (página abierta desde file://, navegador antiguo) o el
+ * worker no conoce el analizador, la fase se ejecuta en el hilo principal.
+ * Los datos sólo se envían cuando el worker ha confirmado que arrancó: al
+ * transferirlos dejan de estar disponibles aquí para ese plan B.
+ */
+class AnalisisEnSegundoPlano {
+    /**
+     * @param {string} [rutaTrabajador] - Script del worker, relativo a la página
+     */
+    constructor(rutaTrabajador = 'js/servicios/TrabajadorAnalisis.js') {
+        this.rutaTrabajador = rutaTrabajador;
+        this.trabajador = null;
+        this.rechazarPendiente = null;
+        this.cancelado = false;
+    }
+
+    /**
+     * Ejecuta analizador.preparar() preferentemente en el worker
+     * @param {AnalizadorLibro} analizador
+     * @param {ArrayBuffer} datosArchivo - Se transfiere al worker
+     * @param {Function} alProgresar - Recibe { fase, actual, total }
+     * @returns {Promise<Object>} Datos preparados
+     */
+    async preparar(analizador, datosArchivo, alProgresar) {
+        const analizadoresDisponibles = await this._iniciarTrabajador();
+
+        if (!analizadoresDisponibles || !analizadoresDisponibles.includes(analizador.constructor.name)) {
+            this._cerrarTrabajador();
+            return analizador.preparar(datosArchivo, alProgresar);
+        }
+
+        return this._esperar((resolve, reject) => {
+            this.trabajador.onmessage = ({ data }) => {
+                if (data.tipo === 'progreso') {
+                    // La cancelación llega por cancelar(): aquí no hay nada que interrumpir
+                    Promise.resolve(alProgresar(data.progreso)).catch(() => {});
+                } else if (data.tipo === 'resultado') {
+                    this._cerrarTrabajador();
+                    resolve(data.datos);
+                } else if (data.tipo === 'error') {
+                    this._cerrarTrabajador();
+                    reject(data.errorLibro ? ErrorLibro.deserializar(data.errorLibro) : new Error(data.mensaje));
+                }
+            };
+            this.trabajador.onerror = (evento) => {
+                evento.preventDefault();
+                this._cerrarTrabajador();
+                reject(new Error(evento.message || 'Error inesperado al analizar el libro'));
+            };
+
+            this.trabajador.postMessage(
+                { analizador: analizador.constructor.name, datosArchivo },
+                [datosArchivo]
+            );
+        });
+    }
+
+    /**
+     * Aborta el análisis en curso: termina el worker y rechaza con AnalisisCancelado
+     */
+    cancelar() {
+        this.cancelado = true;
+        this._cerrarTrabajador();
+
+        if (this.rechazarPendiente) {
+            this.rechazarPendiente(new AnalisisCancelado());
+        }
+    }
+
+    /**
+     * Arranca el worker y espera su mensaje 'listo'
+     * @returns {Promise<string[]|null>} Analizadores que conoce, o null si no pudo arrancar
+     * @private
+     */
+    async _iniciarTrabajador() {
+        if (typeof Worker === 'undefined') return null;
+
+        try {
+            this.trabajador = new Worker(this.rutaTrabajador);
+        } catch (e) {
+            console.warn('No se pudo iniciar el análisis en segundo plano:', e);
+            return null;
+        }
+
+        return this._esperar((resolve) => {
+            this.trabajador.onmessage = ({ data }) => {
+                if (data.tipo === 'listo') resolve(data.analizadores);
+            };
+            this.trabajador.onerror = (evento) => {
+                evento.preventDefault();
+                console.warn('No se pudo iniciar el análisis en segundo plano:', evento.message);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Crea una promesa que cancelar() puede rechazar mientras está pendiente
+     * @private
+     */
+    _esperar(ejecutor) {
+        if (this.cancelado) return Promise.reject(new AnalisisCancelado());
+
+        return new Promise((resolve, reject) => {
+            this.rechazarPendiente = reject;
+            ejecutor(resolve, reject);
+        }).finally(() => {
+            this.rechazarPendiente = null;
+        });
+    }
+
+    /**
+     * Termina el worker si sigue vivo
+     * @private
+     */
+    _cerrarTrabajador() {
+        if (this.trabajador) {
+            this.trabajador.terminate();
+            this.trabajador = null;
+        }
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Caché de recursos binarios de un libro (SRP)
+ * Responsabilidad única: guardar imágenes, fuentes, etc. como Blobs y
+ * entregar object URLs sólo cuando el visor las necesita
+ *
+ * Los analizadores registran cada recurso con un cargador perezoso y escriben
+ * en el HTML/CSS referencias "recurso:<clave>" en lugar de URLs reales.
+ * El visor las convierte en object URLs al acercarse cada capítulo.
+ *
+ * Cada URL se pide para un titular (normalmente la sección de un capítulo): al
+ * liberarlo se revocan las URLs que ya no usa nadie y sus Blobs pueden
+ * recolectarse, pero el cargador sigue registrado para volver a crearlas.
+ * Las URLs pedidas sin titular (estilos del libro, portada...) duran hasta liberar().
+ */
+class CacheRecursos {
+    constructor() {
+        this.PREFIJO = 'recurso:';
+        this.cargadores = new Map();
+        // Cargas en curso (clave → Promise<Blob|null>): el Blob no se guarda al terminar
+        this.cargas = new Map();
+        this.urls = new Map();
+        // clave → Set de titulares; las claves permanentes se pidieron sin titular
+        this.titulares = new Map();
+        this.permanentes = new Set();
+        this.contador = 0;
+    }
+
+    /**
+     * Registra un recurso sin cargarlo todavía
+     * @param {Function} cargador - Función async que devuelve el Blob del recurso
+     * @returns {string} Referencia "recurso:<clave>" para usar en HTML y CSS
+     */
+    registrar(cargador) {
+        const clave = `r${this.contador++}`;
+        this.cargadores.set(clave, cargador);
+        return this.PREFIJO + clave;
+    }
+
+    /**
+     * Indica si un valor es una referencia a esta caché
+     * @param {string} valor
+     * @returns {boolean}
+     */
+    esReferencia(valor) {
+        return typeof valor === 'string' && valor.startsWith(this.PREFIJO);
+    }
+
+    /**
+     * Carga el Blob de un recurso. No se guarda: quien lo necesite más de una
+     * vez debe pedir su URL, que lo mantiene vivo mientras no se revoque
+     * @param {string} referencia - "recurso:<clave>"
+     * @returns {Promise<Blob|null>}
+     */
+    obtenerBlob(referencia) {
+        const clave = this._extraerClave(referencia);
+
+        if (!this.cargas.has(clave)) {
+            const cargador = this.cargadores.get(clave);
+            const promesa = cargador
+                ? Promise.resolve(cargador()).catch((e) => {
+                    console.warn('No se pudo cargar el recurso:', clave, e);
+                    return null;
+                })
+                : Promise.resolve(null);
+            this.cargas.set(clave, promesa);
+            promesa.then(() => {
+                if (this.cargas.get(clave) === promesa) this.cargas.delete(clave);
+            });
+        }
+
+        return this.cargas.get(clave);
+    }
+
+    /**
+     * Obtiene (creándola si hace falta) la object URL de un recurso
+     * @param {string} referencia - "recurso:<clave>", con fragmento opcional
+     * @param {*} [titular] - Quien usa la URL (p. ej. la sección del capítulo);
+     *   sin titular la URL dura hasta liberar()
+     * @returns {Promise<string|null>} null también si el titular se liberó mientras cargaba
+     */
+    async obtenerUrl(referencia, titular = null) {
+        const clave = this._extraerClave(referencia);
+        const posicionFragmento = referencia.indexOf('#');
+        const fragmento = posicionFragmento !== -1 ? referencia.substring(posicionFragmento) : '';
+
+        this._anotarUso(clave, titular);
+
+        if (!this.urls.has(clave)) {
+            const blob = await this.obtenerBlob(referencia);
+            if (!blob || !this._estaEnUso(clave)) return null;
+            if (!this.urls.has(clave)) {
+                this.urls.set(clave, URL.createObjectURL(blob));
+            }
+        }
+
+        if (titular !== null && !this.titulares.get(clave)?.has(titular)) return null;
+        return this.urls.get(clave) + fragmento;
+    }
+
+    /**
+     * Sustituye todas las referencias "recurso:<clave>" de un texto por object URLs
+     * @param {string} texto - HTML, CSS o srcset
+     * @param {*} [titular] - Como en obtenerUrl()
+     * @returns {Promise<string>}
+     */
+    async resolverReferencias(texto, titular = null) {
+        if (!texto || !texto.includes(this.PREFIJO)) return texto;
+
+        const patron = new RegExp(`${this.PREFIJO}r\\d+`, 'g');
+        const referencias = new Set(texto.match(patron));
+        const urls = new Map();
+
+        for (const referencia of referencias) {
+            urls.set(referencia, await this.obtenerUrl(referencia, titular));
+        }
+
+        return texto.replace(patron, referencia => urls.get(referencia) || referencia);
+    }
+
+    /**
+     * Deja de usar las URLs pedidas para un titular y revoca las que ya no
+     * usa nadie; sus recursos se volverán a cargar si se piden de nuevo
+     * @param {*} titular
+     */
+    liberarTitular(titular) {
+        for (const [clave, titulares] of this.titulares) {
+            if (!titulares.delete(titular) || titulares.size > 0) continue;
+
+            this.titulares.delete(clave);
+            if (!this.permanentes.has(clave) && this.urls.has(clave)) {
+                URL.revokeObjectURL(this.urls.get(clave));
+                this.urls.delete(clave);
+            }
+        }
+    }
+
+    /**
+     * Revoca todas las object URLs y descarta los cargadores
+     */
+    liberar() {
+        for (const url of this.urls.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.urls.clear();
+        this.cargas.clear();
+        this.titulares.clear();
+        this.permanentes.clear();
+        this.cargadores.clear();
+    }
+
+    /**
+     * @private
+     */
+    _anotarUso(clave, titular) {
+        if (titular === null) {
+            this.permanentes.add(clave);
+            return;
+        }
+        if (!this.titulares.has(clave)) this.titulares.set(clave, new Set());
+        this.titulares.get(clave).add(titular);
+    }
+
+    /**
+     * @private
+     */
+    _estaEnUso(clave) {
+        return this.permanentes.has(clave) || this.titulares.has(clave);
+    }
+
+    /**
+     * Obtiene la clave de una referencia (sin prefijo ni fragmento)
+     * @private
+     */
+    _extraerClave(referencia) {
+        return referencia.substring(this.PREFIJO.length).split('#')[0];
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Encapsulador de hojas de estilo de los libros (SRP)
+ * Responsabilidad única: reescribir el CSS de un libro para que sólo afecte
+ * al área de lectura y nunca a la interfaz del lector
+ *
+ * Cada selector se antepone con el ámbito del visor; html, body y :root pasan
+ * a ser el contenedor de cada capítulo. Las reglas anidadas en @media,
+ * @supports, @layer o @container se reescriben igual; @font-face, @keyframes
+ * y @page no llevan selectores y se conservan tal cual.
+ */
+class EncapsuladorCss {
+    constructor() {
+        this.REGLAS_CON_SELECTORES = ['media', 'supports', 'layer', 'container', 'document', '-moz-document'];
+    }
+
+    /**
+     * Encapsula una hoja de estilos
+     * @param {string} css
+     * @param {Object} opciones
+     * @param {string} opciones.ambito - Selector del área de lectura (p. ej. '.visor-contenido')
+     * @param {string} opciones.raiz - Selector que sustituye a html/body (p. ej. '.contenido-capitulo')
+     * @returns {string}
+     */
+    encapsular(css, { ambito, raiz }) {
+        if (!css) return '';
+
+        const sinComentarios = css.replace(/\/\*[\s\S]*?\*\//g, '');
+        return this._reescribirReglas(sinComentarios, ambito, raiz);
+    }
+
+    /**
+     * Recorre las reglas de un bloque reescribiendo sus selectores
+     * @private
+     */
+    _reescribirReglas(css, ambito, raiz) {
+        let resultado = '';
+        let posicion = 0;
+
+        while (posicion < css.length) {
+            const separador = this._buscarFuera(css, posicion, '{;}');
+
+            if (separador === -1) {
+                resultado += css.slice(posicion);
+                break;
+            }
+
+            const cabecera = css.slice(posicion, separador).trim();
+
+            // Sentencias sueltas (@charset, @namespace, @layer a, b;) y llaves huérfanas
+            if (css[separador] !== '{') {
+                if (css[separador] === ';' && cabecera) resultado += `${cabecera};\n`;
+                posicion = separador + 1;
+                continue;
+            }
+
+            const cierre = this._buscarCierre(css, separador);
+            const cuerpo = css.slice(separador + 1, cierre);
+
+            if (cabecera.startsWith('@')) {
+                const nombre = (cabecera.match(/^@([\w-]+)/) || ['', ''])[1].toLowerCase();
+                const contenido = this.REGLAS_CON_SELECTORES.includes(nombre)
+                    ? this._reescribirReglas(cuerpo, ambito, raiz)
+                    : cuerpo;
+                resultado += `${cabecera} {${contenido}}\n`;
+            } else if (cabecera) {
+                resultado += `${this._encapsularSelectores(cabecera, ambito, raiz)} {${cuerpo}}\n`;
+            }
+
+            posicion = cierre + 1;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Encapsula cada selector de una lista separada por comas.
+     * El ámbito va dentro de :where() para no sumar especificidad: las reglas
+     * del libro compiten con las del lector igual que antes de encapsularlas
+     * @private
+     */
+    _encapsularSelectores(lista, ambito, raiz) {
+        return this._dividirSelectores(lista)
+            .map(selector => {
+                const relativo = this._sustituirRaiz(selector.trim(), raiz);
+                return relativo.startsWith(raiz)
+                    ? `:where(${ambito} ${raiz})${relativo.slice(raiz.length)}`
+                    : `:where(${ambito}) ${relativo}`;
+            })
+            .join(', ');
+    }
+
+    /**
+     * Convierte "html", ":root", "body", "html body" o "html > body"
+     * al principio de un selector en el contenedor del capítulo
+     * @private
+     */
+    _sustituirRaiz(selector, raiz) {
+        const finCompuesto = '(?=$|[\\s>+~.#\\[:])';
+        const patronHtml = new RegExp(`^(?:html|:root)${finCompuesto}`, 'i');
+        const patronBody = new RegExp(`^body${finCompuesto}`, 'i');
+
+        let resto = selector;
+        let sustituido = false;
+        let prefijo = '';
+
+        if (patronHtml.test(resto)) {
+            resto = resto.replace(patronHtml, '');
+            // Clases, atributos y pseudoclases del propio <html>
+            const compuesto = resto.match(/^[^\s>+~]*/)[0];
+            prefijo = compuesto;
+            resto = resto.slice(compuesto.length);
+            sustituido = true;
+
+            const conBody = resto.match(/^\s*>?\s*body(?=$|[\s>+~.#[:])/i);
+            if (conBody) resto = resto.slice(conBody[0].length);
+        } else if (patronBody.test(resto)) {
+            resto = resto.replace(patronBody, '');
+            sustituido = true;
+        }
+
+        return sustituido ? `${raiz}${prefijo}${resto}` : selector;
+    }
+
+    /**
+     * Divide una lista de selectores por las comas de primer nivel
+     * (no las de :is(), :not() o los valores entre comillas)
+     * @private
+     */
+    _dividirSelectores(lista) {
+        const selectores = [];
+        let profundidad = 0;
+        let comilla = null;
+        let inicio = 0;
+
+        for (let i = 0; i < lista.length; i++) {
+            const caracter = lista[i];
+
+            if (comilla) {
+                if (caracter === '\\') i++;
+                else if (caracter === comilla) comilla = null;
+            } else if (caracter === '"' || caracter === "'") {
+                comilla = caracter;
+            } else if (caracter === '(' || caracter === '[') {
+                profundidad++;
+            } else if (caracter === ')' || caracter === ']') {
+                profundidad--;
+            } else if (caracter === ',' && profundidad === 0) {
+                selectores.push(lista.slice(inicio, i));
+                inicio = i + 1;
+            }
+        }
+
+        selectores.push(lista.slice(inicio));
+        return selectores.filter(selector => selector.trim());
+    }
+
+    /**
+     * Busca el primero de varios caracteres fuera de cadenas entre comillas
+     * @returns {number} -1 si no aparece
+     * @private
+     */
+    _buscarFuera(css, desde, caracteres) {
+        let comilla = null;
+
+        for (let i = desde; i < css.length; i++) {
+            const caracter = css[i];
+
+            if (comilla) {
+                if (caracter === '\\') i++;
+                else if (caracter === comilla) comilla = null;
+            } else if (caracter === '"' || caracter === "'") {
+                comilla = caracter;
+            } else if (caracteres.includes(caracter)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Busca la llave que cierra el bloque abierto en una posición
+     * @returns {number} Final del texto si el bloque no se cierra
+     * @private
+     */
+    _buscarCierre(css, apertura) {
+        let profundidad = 0;
+
+        for (let i = apertura; i < css.length; i++) {
+            const siguiente = this._buscarFuera(css, i, '{}');
+            if (siguiente === -1) break;
+
+            profundidad += css[siguiente] === '{' ? 1 : -1;
+            if (profundidad === 0) return siguiente;
+            i = siguiente;
+        }
+        return css.length;
+    }
+}
@@ -31,7 +31,23 @@ class ExportadorEpub {
 
         // Generar CSS
         const cssBionica = this._generarCssBionica(controladorBionica);
-        const cssCompleto = (libro.estilos || '') + '\n' + cssBionica;
+        let cssCompleto = (libro.estilos || '') + '\n' + cssBionica;
+
+        if (libro.modoEscritura && libro.modoEscritura !== 'horizontal-tb') {
+            cssCompleto += `\nhtml {\n    -epub-writing-mode: ${libro.modoEscritura};\n    writing-mode: ${libro.modoEscritura};\n}\n`;
+        }
+
+        // Recursos (imágenes, fuentes...) guardados en la caché del libro
+        const recursos = await this._empaquetarRecursos(
+            zip,
+            [cssCompleto, ...capitulosConBionica.map(cap => cap.contenidoBionico)],
+            libro.recursos
+        );
+        cssCompleto = this._reemplazarUrlsRecursos(cssCompleto, recursos);
+        capitulosConBionica.forEach(cap => {
+            cap.contenidoBionico = this._reemplazarUrlsRecursos(cap.contenidoBionico, recursos);
+        });
+
         zip.file('OEBPS/estilos.css', cssCompleto);
 
         // Generar cada capítulo como XHTML
@@ -41,9 +57,10 @@ class ExportadorEpub {
         });
 
         // content.opf
-        zip.file('OEBPS/content.opf', this._generarContentOpf(libro, capitulosConBionica));
+        zip.file('OEBPS/content.opf', this._generarContentOpf(libro, capitulosConBionica, recursos));
 
-        // toc.ncx
+        // nav.xhtml (índice de EPUB3) y toc.ncx (para lectores EPUB2)
+        zip.file('OEBPS/nav.xhtml', this._generarNav(libro, capitulosConBionica));
         zip.file('OEBPS/toc.ncx', this._generarTocNcx(libro, capitulosConBionica));
 
         // Generar blob y descargar
@@ -64,6 +81,67 @@ class ExportadorEpub {
 </container>`;
     }
 
+    /**
+     * Copia al EPUB los recursos referenciados como "recurso:<clave>"
+     * @param {JSZip} zip
+     * @param {string[]} textos - HTML y CSS donde buscar referencias
+     * @param {CacheRecursos|null} cacheRecursos - Caché de recursos del libro
+     * @returns {Promise<Map<string, Object>>} referencia → { id, href, tipoMime }
+     * @private
+     */
+    async _empaquetarRecursos(zip, textos, cacheRecursos) {
+        const recursos = new Map();
+        if (!cacheRecursos) return recursos;
+
+        const extensiones = {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/gif': 'gif',
+            'image/svg+xml': 'svg',
+            'image/webp': 'webp',
+            'image/bmp': 'bmp',
+            'text/css': 'css',
+            'font/ttf': 'ttf',
+            'font/otf': 'otf',
+            'font/woff': 'woff',
+            'font/woff2': 'woff2',
+            'application/vnd.ms-opentype': 'otf',
+            'application/font-woff': 'woff',
+            'audio/mpeg': 'mp3',
+            'audio/mp4': 'm4a'
+        };
+
+        for (const texto of textos) {
+            for (const [referencia] of texto.matchAll(/recurso:r\d+/g)) {
+                if (recursos.has(referencia)) continue;
+
+                const blob = await cacheRecursos.obtenerBlob(referencia);
+                if (!blob) continue;
+
+                const tipoMime = blob.type || 'application/octet-stream';
+                const id = `recurso-${recursos.size}`;
+                const href = `recursos/${id}.${extensiones[tipoMime] || 'bin'}`;
+
+                zip.file(`OEBPS/${href}`, blob);
+                recursos.set(referencia, { id, href, tipoMime });
+            }
+        }
+
+        return recursos;
+    }
+
+    /**
+     * Sustituye las referencias de caché por la ruta del recurso dentro del
+     * EPUB exportado y restaura los atributos diferidos (data-recurso-*)
+     * @private
+     */
+    _reemplazarUrlsRecursos(texto, recursos) {
+        return texto
+            .replace(/recurso:r\d+/g, referencia => recursos.has(referencia) ? recursos.get(referencia).href : referencia)
+            .replace(/\sdata-recurso-xlink-href=/g, ' xlink:href=')
+            .replace(/\sdata-recurso-(src|srcset|poster|href)=/g, ' $1=');
+    }
+
     /**
      * Genera el CSS con estilos para lectura biónica
      * @private
@@ -94,59 +172,161 @@ b.bionica {
     _generarXhtmlCapitulo(capitulo, indice) {
         const contenido = this._limpiarParaXhtml(capitulo.contenidoBionico);
         const titulo = this._escaparXml(capitulo.titulo);
+        const clases = (capitulo.clasesRaiz || []).length
+            ? ` class="${this._escaparXml(capitulo.clasesRaiz.join(' '))}"`
+            : '';
+        // Las páginas fijas conservan su viewport y no llevan título añadido
+        const esFija = capitulo.maquetacion === 'fija';
+        const viewport = esFija && capitulo.viewport
+            ? `\n    <meta name="viewport" content="width=${capitulo.viewport.ancho}, height=${capitulo.viewport.alto}"/>`
+            : '';
+        const cabecera = esFija ? '' : `\n    <h2>${titulo}</h2>`;
 
         return `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="es">
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="es" lang="es">
 <head>
-    <meta http-equiv="Content-Type" content="application/xhtml+xml; charset=utf-8"/>
+    <meta charset="utf-8"/>${viewport}
     <title>${titulo}</title>
     <link rel="stylesheet" type="text/css" href="estilos.css"/>
 </head>
-<body>
-    <h2>${titulo}</h2>
+<body${clases}>${cabecera}
     ${contenido}
 </body>
 </html>`;
     }
 
     /**
-     * Genera content.opf con metadatos, manifest y spine
+     * Genera content.opf (paquete EPUB3) con metadatos, manifest y spine
      * @private
      */
-    _generarContentOpf(libro, capitulos) {
-        const titulo = this._escaparXml(libro.titulo);
-        const autor = this._escaparXml(libro.autor);
-        const idioma = (libro.metadatos && libro.metadatos.idioma) || 'es';
+    _generarContentOpf(libro, capitulos, recursos) {
         const uid = 'bionica-' + Date.now();
 
-        let manifestItems = `    <item id="estilos" href="estilos.css" media-type="text/css"/>\n`;
+        let manifestItems = `    <item id="estilos" href="estilos.css" media-type="text/css"/>\n` +
+            `    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>\n`;
         let spineItems = '';
+        const maquetacionLibro = libro.maquetacion === 'fija' ? 'fija' : 'fluida';
 
-        capitulos.forEach((_, i) => {
-            manifestItems += `    <item id="cap-${i}" href="capitulo-${i}.xhtml" media-type="application/xhtml+xml"/>\n`;
-            spineItems += `    <itemref idref="cap-${i}"/>\n`;
+        capitulos.forEach((cap, i) => {
+            const lineal = cap.lineal === false ? ' linear="no"' : '';
+            // En los libros mixtos, los capítulos con otra maquetación que la del libro la declaran en su itemref
+            const maquetacion = cap.maquetacion && cap.maquetacion !== maquetacionLibro
+                ? ` properties="rendition:layout-${cap.maquetacion === 'fija' ? 'pre-paginated' : 'reflowable'}"`
+                : '';
+            // EPUB3 exige marcar los documentos con SVG incrustado
+            const svg = /<svg[\s>]/i.test(cap.contenidoBionico) ? ' properties="svg"' : '';
+            manifestItems += `    <item id="cap-${i}" href="capitulo-${i}.xhtml" media-type="application/xhtml+xml"${svg}/>\n`;
+            spineItems += `    <itemref idref="cap-${i}"${lineal}${maquetacion}/>\n`;
         });
 
+        const direccion = libro.direccion === 'rtl' ? ' page-progression-direction="rtl"' : '';
+
+        for (const recurso of recursos.values()) {
+            manifestItems += `    <item id="${recurso.id}" href="${recurso.href}" media-type="${recurso.tipoMime}"/>\n`;
+        }
+
         manifestItems += `    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>\n`;
 
         return `<?xml version="1.0" encoding="UTF-8"?>
-<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="2.0">
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="3.0">
   <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
-    <dc:title>${titulo}</dc:title>
-    <dc:creator>${autor}</dc:creator>
-    <dc:language>${idioma}</dc:language>
-    <dc:identifier id="BookId">${uid}</dc:identifier>
-  </metadata>
+${this._generarMetadatosOpf(libro, uid)}  </metadata>
   <manifest>
 ${manifestItems}  </manifest>
-  <spine toc="ncx">
+  <spine toc="ncx"${direccion}>
 ${spineItems}  </spine>
 </package>`;
     }
 
     /**
-     * Genera toc.ncx (tabla de contenidos)
+     * Genera los metadatos EPUB3 del libro original: elementos Dublin Core
+     * refinados con <meta refines> (rol, orden, tipo de identificador)
+     * @private
+     */
+    _generarMetadatosOpf(libro, uid) {
+        const metadatos = libro.metadatos || {};
+        const xml = (valor) => this._escaparXml(String(valor));
+        const lineas = [];
+
+        lineas.push(`<dc:title>${xml(libro.titulo)}</dc:title>`);
+
+        const autores = metadatos.autores && metadatos.autores.length
+            ? metadatos.autores
+            : [{ nombre: libro.autor, rol: 'aut', ordenarComo: '' }];
+        const persona = (etiqueta, { nombre, rol, ordenarComo }, id) => {
+            lineas.push(`<dc:${etiqueta} id="${id}">${xml(nombre)}</dc:${etiqueta}>`);
+            if (rol) lineas.push(`<meta refines="#${id}" property="role" scheme="marc:relators">${xml(rol)}</meta>`);
+            if (ordenarComo) lineas.push(`<meta refines="#${id}" property="file-as">${xml(ordenarComo)}</meta>`);
+        };
+        autores.forEach((p, i) => persona('creator', p, `autor-${i}`));
+        (metadatos.colaboradores || []).forEach((p, i) => persona('contributor', p, `colaborador-${i}`));
+
+        lineas.push(`<dc:language>${xml(metadatos.idioma || 'es')}</dc:language>`);
+        lineas.push(`<dc:identifier id="BookId">${uid}</dc:identifier>`);
+        (metadatos.identificadores || []).forEach(({ valor, esquema }, i) => {
+            lineas.push(`<dc:identifier id="identificador-${i}">${xml(valor)}</dc:identifier>`);
+            if (esquema) lineas.push(`<meta refines="#identificador-${i}" property="identifier-type">${xml(esquema)}</meta>`);
+        });
+
+        if (metadatos.editorial) lineas.push(`<dc:publisher>${xml(metadatos.editorial)}</dc:publisher>`);
+        if (metadatos.fechaPublicacion) {
+            lineas.push(`<dc:date>${xml(metadatos.fechaPublicacion)}</dc:date>`);
+        }
+        if (metadatos.descripcion) lineas.push(`<dc:description>${xml(metadatos.descripcion)}</dc:description>`);
+        (metadatos.materias || []).forEach(materia => lineas.push(`<dc:subject>${xml(materia)}</dc:subject>`));
+        if (metadatos.derechos) lineas.push(`<dc:rights>${xml(metadatos.derechos)}</dc:rights>`);
+
+        // dcterms:modified es obligatorio en EPUB3 (sin milisegundos)
+        lineas.push(`<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`);
+
+        if (libro.maquetacion === 'fija') {
+            lineas.push('<meta property="rendition:layout">pre-paginated</meta>');
+        }
+
+        if (libro.modoEscritura && libro.modoEscritura !== 'horizontal-tb') {
+            lineas.push(`<meta name="primary-writing-mode" content="${libro.modoEscritura}"/>`);
+        }
+
+        if (metadatos.serie && metadatos.serie.nombre) {
+            lineas.push(`<meta name="calibre:series" content="${xml(metadatos.serie.nombre)}"/>`);
+            if (metadatos.serie.posicion) {
+                lineas.push(`<meta name="calibre:series_index" content="${xml(metadatos.serie.posicion)}"/>`);
+            }
+        }
+
+        return lineas.map(linea => `    ${linea}\n`).join('');
+    }
+
+    /**
+     * Genera nav.xhtml, el documento de navegación de EPUB3
+     * @private
+     */
+    _generarNav(libro, capitulos) {
+        const titulo = this._escaparXml(libro.titulo);
+        const entradas = capitulos
+            .map((cap, i) => `            <li><a href="capitulo-${i}.xhtml">${this._escaparXml(cap.titulo)}</a></li>\n`)
+            .join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="es" lang="es">
+<head>
+    <meta charset="utf-8"/>
+    <title>${titulo}</title>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>${titulo}</h1>
+        <ol>
+${entradas}        </ol>
+    </nav>
+</body>
+</html>`;
+    }
+
+    /**
+     * Genera toc.ncx (tabla de contenidos para lectores EPUB2)
      * @private
      */
     _generarTocNcx(libro, capitulos) {
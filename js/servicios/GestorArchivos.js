@@ -1,10 +1,22 @@
 /**
  * Servicio para gestionar la carga de archivos (SRP + OCP)
  * Abierto para extensión: nuevos analizadores se registran sin modificar
+ * El analizador se elige por la firma del contenido y, si no la reconoce ninguno,
+ * por la extensión del archivo.
+ * Todo libro analizado pasa por el sanitizador antes de llegar al visor,
+ * sea cual sea su formato.
+ * La fase binaria del análisis se ejecuta en un Web Worker y la carga en curso
+ * puede cancelarse en cualquier momento.
  */
 class GestorArchivos {
     constructor() {
         this.analizadores = [];
+        this.sanitizador = new SanitizadorHtml();
+        this.cargaActual = null;
+        // Cada cuánto (ms) la fase en el hilo principal cede el control a la interfaz
+        this.INTERVALO_CESION = 50;
+        // Bytes del principio del archivo que bastan para reconocer su firma (la cabecera PDB de un MOBI)
+        this.LONGITUD_FIRMA = 78;
         this._registrarAnalizadoresPorDefecto();
     }
 
@@ -25,6 +37,15 @@ class GestorArchivos {
         this.analizadores.push(analizador);
     }
 
+    /**
+     * Activa o desactiva el modo estricto del sanitizador (sin recursos remotos)
+     * para los libros que se abran a partir de ahora
+     * @param {boolean} estricto
+     */
+    establecerModoEstricto(estricto) {
+        this.sanitizador.establecerModoEstricto(estricto);
+    }
+
     /**
      * Obtiene todos los formatos soportados
      * @returns {string[]}
@@ -40,33 +61,100 @@ class GestorArchivos {
     /**
      * Carga y analiza un archivo
      * @param {File} archivo - Archivo seleccionado por el usuario
+     * @param {Function} [alProgresar] - Recibe { fase, actual, total }
      * @returns {Promise<LibroAnalizado>}
+     * @throws {AnalisisCancelado} Si se llama a cancelarCarga() antes de terminar
+     * @throws {ErrorLibro} Si el formato no está soportado, el libro tiene DRM o el archivo está dañado
      */
-    async cargarArchivo(archivo) {
-        const analizador = this._buscarAnalizador(archivo.name);
-
-        if (!analizador) {
-            const formatosSoportados = this.obtenerFormatosSoportados().join(', ');
-            throw new Error(
-                `Formato no soportado: ${archivo.name}. ` +
-                `Formatos válidos: ${formatosSoportados}`
-            );
+    async cargarArchivo(archivo, alProgresar = () => {}) {
+        this.cancelarCarga();
+        const carga = { cancelada: false, segundoPlano: new AnalisisEnSegundoPlano() };
+        this.cargaActual = carga;
+        const notificar = this._crearNotificadorProgreso(carga, alProgresar);
+
+        try {
+            // Se reconoce el formato por el principio del archivo: uno no soportado no llega a leerse entero
+            const firma = await this._leerArchivo(archivo.slice(0, this.LONGITUD_FIRMA));
+            this._comprobarCancelacion(carga);
+
+            const analizador = this._buscarAnalizador(archivo.name, new Uint8Array(firma));
+            if (!analizador) {
+                throw new FormatoNoSoportado(archivo.name, this.obtenerFormatosSoportados());
+            }
+
+            const datosArchivo = await this._leerArchivo(archivo);
+            this._comprobarCancelacion(carga);
+
+            const datosPreparados = await carga.segundoPlano.preparar(analizador, datosArchivo, notificar);
+            const libro = await analizador.construir(datosPreparados, notificar);
+
+            if (carga.cancelada) {
+                if (libro.recursos) libro.recursos.liberar();
+                throw new AnalisisCancelado();
+            }
+
+            return this.sanitizador.sanitizarLibro(libro);
+        } finally {
+            if (this.cargaActual === carga) this.cargaActual = null;
         }
+    }
+
+    /**
+     * Cancela la carga en curso, si la hay
+     */
+    cancelarCarga() {
+        if (!this.cargaActual) return;
+
+        this.cargaActual.cancelada = true;
+        this.cargaActual.segundoPlano.cancelar();
+        this.cargaActual = null;
+    }
+
+    /**
+     * Envuelve alProgresar para que cada aviso compruebe la cancelación y, de vez
+     * en cuando, ceda el hilo: así se repinta el avance y se atiende "Cancelar"
+     * @private
+     */
+    _crearNotificadorProgreso(carga, alProgresar) {
+        let ultimaCesion = performance.now();
 
-        const datosArchivo = await this._leerArchivo(archivo);
-        return await analizador.analizar(datosArchivo);
+        return async (progreso) => {
+            this._comprobarCancelacion(carga);
+            alProgresar(progreso);
+
+            if (performance.now() - ultimaCesion > this.INTERVALO_CESION) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                ultimaCesion = performance.now();
+                this._comprobarCancelacion(carga);
+            }
+        };
+    }
+
+    /**
+     * @throws {AnalisisCancelado}
+     * @private
+     */
+    _comprobarCancelacion(carga) {
+        if (carga.cancelada) throw new AnalisisCancelado();
     }
 
     /**
-     * Busca el analizador apropiado para el archivo
+     * Busca el analizador apropiado para el archivo: primero por su contenido
+     * (un EPUB descargado como "libro.zip" o "download") y, si ninguno reconoce
+     * la firma, por la extensión
+     * @param {string} nombreArchivo
+     * @param {Uint8Array} bytes - Principio del archivo
      * @private
      */
-    _buscarAnalizador(nombreArchivo) {
-        return this.analizadores.find(a => a.puedeAnalizar(nombreArchivo)) || null;
+    _buscarAnalizador(nombreArchivo, bytes) {
+        return this.analizadores.find(a => a.puedeAnalizarContenido(bytes))
+            || this.analizadores.find(a => a.puedeAnalizar(nombreArchivo))
+            || null;
     }
 
     /**
-     * Lee un archivo como ArrayBuffer
+     * Lee un archivo (o un tramo suyo, obtenido con slice()) como ArrayBuffer
+     * @param {Blob} archivo
      * @private
      */
     _leerArchivo(archivo) {
@@ -0,0 +1,368 @@
+/**
+ * Sanitizador del contenido de los libros (SRP)
+ * Responsabilidad única: dejar en el HTML y CSS de un libro sólo lo que
+ * se puede mostrar sin ejecutar código en el origen del lector
+ *
+ * Funciona por lista blanca: los elementos desconocidos se desenvuelven
+ * (se conserva su texto), los peligrosos se eliminan con su contenido y de cada
+ * elemento sólo quedan los atributos permitidos, con sus URLs comprobadas.
+ * El modo estricto además bloquea todo recurso remoto (imágenes, fuentes,
+ * audio...) para que abrir un libro no haga peticiones fuera del dispositivo.
+ */
+class SanitizadorHtml {
+    constructor() {
+        this.NS_HTML = 'http://www.w3.org/1999/xhtml';
+        this.NS_SVG = 'http://www.w3.org/2000/svg';
+        this.NS_MATHML = 'http://www.w3.org/1998/Math/MathML';
+
+        // Se eliminan con todo su contenido
+        this.ELEMENTOS_ELIMINADOS = new Set([
+            'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'param',
+            'noscript', 'noembed', 'noframes', 'template', 'title', 'head', 'meta', 'link', 'base',
+            'input', 'button', 'select', 'textarea', 'option', 'optgroup', 'datalist', 'keygen',
+            'canvas', 'portal', 'xmp', 'plaintext',
+            // SVG: código, HTML incrustado y animaciones (pueden reescribir un href)
+            'foreignobject', 'animate', 'set', 'animatemotion', 'animatetransform', 'animatecolor',
+            'handler', 'discard',
+            // MathML: anotaciones que pueden llevar HTML
+            'annotation-xml'
+        ]);
+
+        this.ELEMENTOS_HTML = new Set([
+            'a', 'abbr', 'acronym', 'address', 'area', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo',
+            'big', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'col', 'colgroup', 'dd',
+            'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'font', 'footer',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'i', 'img', 'ins', 'kbd',
+            'li', 'main', 'map', 'mark', 'nav', 'ol', 'p', 'picture', 'pre', 'q', 'rb', 'rp', 'rt',
+            'rtc', 'ruby', 's', 'samp', 'section', 'small', 'source', 'span', 'strike', 'strong',
+            'style', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time',
+            'tr', 'track', 'tt', 'u', 'ul', 'var', 'video', 'wbr'
+        ]);
+
+        this.ELEMENTOS_SVG = new Set([
+            'svg', 'a', 'g', 'defs', 'symbol', 'use', 'image', 'path', 'rect', 'circle', 'ellipse',
+            'line', 'polyline', 'polygon', 'text', 'tspan', 'textpath', 'title', 'desc', 'style',
+            'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask', 'pattern', 'marker',
+            'filter', 'fegaussianblur', 'feoffset', 'feblend', 'fecolormatrix', 'fecomposite',
+            'feflood', 'femerge', 'femergenode', 'switch', 'metadata'
+        ]);
+
+        this.ELEMENTOS_MATHML = new Set([
+            'math', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'mrow', 'mfrac', 'msqrt', 'mroot',
+            'mstyle', 'merror', 'mpadded', 'mphantom', 'mfenced', 'menclose', 'msub', 'msup',
+            'msubsup', 'munder', 'mover', 'munderover', 'mmultiscripts', 'mprescripts', 'none',
+            'mtable', 'mtr', 'mlabeledtr', 'mtd', 'semantics', 'annotation'
+        ]);
+
+        this.ATRIBUTOS_HTML = new Set([
+            'id', 'class', 'title', 'lang', 'xml:lang', 'dir', 'style', 'role', 'hidden', 'translate',
+            'epub:type', 'name', 'href', 'hreflang', 'rel', 'target', 'src', 'srcset', 'sizes', 'alt',
+            'width', 'height', 'usemap', 'shape', 'coords', 'media', 'colspan', 'rowspan', 'headers',
+            'scope', 'span', 'summary', 'align', 'valign', 'nowrap', 'border', 'cellpadding',
+            'cellspacing', 'bgcolor', 'color', 'face', 'size', 'clear', 'start', 'reversed', 'type',
+            'value', 'datetime', 'cite', 'abbr', 'open', 'controls', 'loop', 'muted', 'preload',
+            'poster', 'kind', 'srclang', 'label', 'default'
+        ]);
+
+        // Atributos con URL: los enlaces pueden salir del libro, los recursos se cargan solos
+        this.ATRIBUTOS_ENLACE = new Set(['href']);
+        this.ATRIBUTOS_RECURSO = new Set([
+            'src', 'poster', 'cite', 'xlink:href',
+            'data-recurso-src', 'data-recurso-poster', 'data-recurso-href', 'data-recurso-xlink-href'
+        ]);
+        this.ATRIBUTOS_SRCSET = new Set(['srcset', 'data-recurso-srcset']);
+
+        // CSS: funciones cuyo argumento entre comillas es una URL y propiedades prohibidas
+        this.FUNCIONES_URL = new Set(['url', 'src']);
+        this.FUNCIONES_IMAGEN = new Set(['image-set', '-webkit-image-set', 'image', 'cross-fade', '-webkit-cross-fade']);
+        this.PROPIEDADES_PROHIBIDAS = new Set(['-moz-binding', 'behavior']);
+
+        this.tokenizadorCss = new TokenizadorCss();
+        this.estricto = false;
+    }
+
+    /**
+     * Activa o desactiva el modo estricto (sin recursos remotos)
+     * @param {boolean} estricto
+     */
+    establecerModoEstricto(estricto) {
+        this.estricto = Boolean(estricto);
+    }
+
+    /**
+     * Sanitiza todo el contenido mostrable de un libro analizado
+     * @param {LibroAnalizado} libro
+     * @returns {LibroAnalizado} El mismo libro, ya limpio
+     */
+    sanitizarLibro(libro) {
+        for (const capitulo of libro.capitulos) {
+            capitulo.contenidoHtml = this.sanitizar(capitulo.contenidoHtml);
+        }
+        libro.estilos = this.sanitizarCss(libro.estilos);
+        return libro;
+    }
+
+    /**
+     * Sanitiza un fragmento HTML
+     * @param {string} html
+     * @returns {string}
+     */
+    sanitizar(html) {
+        if (!html) return '';
+
+        // Se pasa dos veces: un HTML serializado puede interpretarse de otra
+        // forma al volver a parsearlo (mXSS) y la segunda pasada lo corrige
+        return this._sanitizarFragmento(this._sanitizarFragmento(html));
+    }
+
+    /**
+     * Sanitiza una hoja de estilos o un atributo style
+     *
+     * Trabaja sobre los tokens de la hoja (con los escapes decodificados) para
+     * reconocer cualquier forma de escribir una URL: url() con o sin comillas,
+     * las cadenas de image-set() y el src de @font-face
+     * @param {string} css
+     * @returns {string}
+     */
+    sanitizarCss(css) {
+        if (!css) return '';
+
+        const tokens = this.tokenizadorCss.tokenizar(css);
+        // Funciones y paréntesis abiertos; la propiedad de la declaración en curso
+        const abiertos = [];
+        let propiedad = null;
+        let resultado = '';
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const nombre = token.valor.toLowerCase();
+
+            if (token.tipo === 'arroba' && nombre === 'import') {
+                i = this._buscarTokenCss(tokens, i, ';}');
+                if (tokens[i] && tokens[i].valor === '}') i--;
+                resultado += '/* import deshabilitado */';
+            } else if (token.tipo === 'identificador' && abiertos.length === 0 && this.PROPIEDADES_PROHIBIDAS.has(nombre) &&
+                this._tokenVecinoCss(tokens, i, 1).valor === ':') {
+                i = this._buscarTokenCss(tokens, i, ';}') - 1;
+            } else if (token.tipo === 'url') {
+                resultado += !token.invalido && this._urlPermitida(token.valor, 'recurso') ? token.texto : 'none';
+            } else if (token.tipo === 'funcion' && this.FUNCIONES_URL.has(nombre)) {
+                const cierre = this._buscarCierreCss(tokens, i);
+                const argumentos = tokens.slice(i + 1, cierre);
+                const permitida = argumentos.every(argumento =>
+                    argumento.tipo !== 'cadena' || this._urlPermitida(argumento.valor, 'recurso'));
+
+                resultado += permitida ? tokens.slice(i, cierre + 1).map(t => t.texto).join('') : 'none';
+                i = cierre;
+            } else if (token.tipo === 'funcion') {
+                abiertos.push(nombre);
+                resultado += nombre === 'expression' ? '(' : token.texto;
+            } else if (token.tipo === 'cadena') {
+                const contexto = abiertos[abiertos.length - 1];
+                const esUrl = this.FUNCIONES_IMAGEN.has(contexto) || (abiertos.length === 0 && propiedad === 'src');
+                resultado += !esUrl || this._urlPermitida(token.valor, 'recurso') ? token.texto : 'none';
+            } else {
+                if (token.tipo === 'delimitador') {
+                    if (token.valor === '(') {
+                        abiertos.push('(');
+                    } else if (token.valor === ')') {
+                        abiertos.pop();
+                    } else if (token.valor === ':' && abiertos.length === 0 && propiedad === null) {
+                        propiedad = this._tokenVecinoCss(tokens, i, -1).valor.toLowerCase();
+                    } else if (';{}'.includes(token.valor)) {
+                        propiedad = null;
+                    }
+                }
+                resultado += token.texto;
+            }
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Índice del primer delimitador de la lista a partir de un token (o el final)
+     * @private
+     */
+    _buscarTokenCss(tokens, desde, delimitadores) {
+        let i = desde;
+        while (i < tokens.length && !(tokens[i].tipo === 'delimitador' && delimitadores.includes(tokens[i].valor))) i++;
+        return i;
+    }
+
+    /**
+     * Índice del ")" que cierra la función abierta en un token
+     * @private
+     */
+    _buscarCierreCss(tokens, apertura) {
+        let profundidad = 0;
+
+        for (let i = apertura; i < tokens.length; i++) {
+            if (tokens[i].tipo === 'funcion' || (tokens[i].tipo === 'delimitador' && tokens[i].valor === '(')) {
+                profundidad++;
+            } else if (tokens[i].tipo === 'delimitador' && tokens[i].valor === ')' && --profundidad === 0) {
+                return i;
+            }
+        }
+
+        return tokens.length - 1;
+    }
+
+    /**
+     * Token significativo (sin espacios ni comentarios) siguiente o anterior a uno
+     * @param {number} paso - 1 para el siguiente, -1 para el anterior
+     * @private
+     */
+    _tokenVecinoCss(tokens, indice, paso) {
+        for (let i = indice + paso; i >= 0 && i < tokens.length; i += paso) {
+            if (tokens[i].tipo !== 'espacio' && tokens[i].tipo !== 'comentario') return tokens[i];
+        }
+        return { tipo: 'delimitador', texto: '', valor: '' };
+    }
+
+    /**
+     * Parsea el fragmento en un documento inerte, lo limpia y lo serializa
+     * @private
+     */
+    _sanitizarFragmento(html) {
+        // <template> en un documento sin ventana: no se cargan imágenes ni se ejecuta nada,
+        // y los <style> del principio no se desplazan a un <head>
+        const documentoInerte = document.implementation.createHTMLDocument('');
+        const plantilla = documentoInerte.createElement('template');
+        plantilla.innerHTML = html;
+
+        this._limpiarHijos(plantilla.content);
+        return plantilla.innerHTML;
+    }
+
+    /**
+     * Limpia recursivamente los hijos de un nodo
+     * @private
+     */
+    _limpiarHijos(nodo) {
+        for (const hijo of Array.from(nodo.childNodes)) {
+            if (hijo.nodeType === Node.COMMENT_NODE || hijo.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+                hijo.remove();
+                continue;
+            }
+            if (hijo.nodeType !== Node.ELEMENT_NODE) continue;
+
+            const nombre = hijo.localName.toLowerCase();
+
+            if (this.ELEMENTOS_ELIMINADOS.has(nombre)) {
+                hijo.remove();
+                continue;
+            }
+
+            // epub:switch: sólo se conserva la alternativa por defecto
+            if (nombre === 'epub:switch') {
+                const porDefecto = Array.from(hijo.children).find(e => e.localName.toLowerCase() === 'epub:default');
+                hijo.replaceChildren(...(porDefecto ? Array.from(porDefecto.childNodes) : []));
+            }
+
+            this._limpiarHijos(hijo);
+
+            if (!this._elementoPermitido(hijo, nombre)) {
+                hijo.replaceWith(...Array.from(hijo.childNodes));
+                continue;
+            }
+
+            this._limpiarAtributos(hijo);
+
+            if (nombre === 'style') {
+                hijo.textContent = this.sanitizarCss(hijo.textContent);
+            }
+        }
+    }
+
+    /**
+     * Indica si un elemento está en la lista blanca de su espacio de nombres
+     * @private
+     */
+    _elementoPermitido(elemento, nombre) {
+        switch (elemento.namespaceURI) {
+            case this.NS_SVG: return this.ELEMENTOS_SVG.has(nombre);
+            case this.NS_MATHML: return this.ELEMENTOS_MATHML.has(nombre);
+            case this.NS_HTML: return this.ELEMENTOS_HTML.has(nombre);
+            default: return false;
+        }
+    }
+
+    /**
+     * Quita los atributos no permitidos y los que llevan URLs peligrosas
+     * @private
+     */
+    _limpiarAtributos(elemento) {
+        const esHtml = elemento.namespaceURI === this.NS_HTML;
+
+        for (const atributo of Array.from(elemento.attributes)) {
+            const nombre = atributo.name.toLowerCase();
+            const valor = atributo.value;
+            let permitido = this._atributoPermitido(nombre, esHtml);
+
+            if (permitido && this.ATRIBUTOS_ENLACE.has(nombre)) {
+                // En SVG, href también carga recursos (<use>, <image>)
+                const tipo = elemento.localName.toLowerCase() === 'a' || elemento.localName.toLowerCase() === 'area'
+                    ? 'enlace'
+                    : 'recurso';
+                permitido = this._urlPermitida(valor, tipo);
+            } else if (permitido && this.ATRIBUTOS_RECURSO.has(nombre)) {
+                permitido = this._urlPermitida(valor, 'recurso');
+            } else if (permitido && this.ATRIBUTOS_SRCSET.has(nombre)) {
+                permitido = valor.split(',').every(candidato =>
+                    this._urlPermitida(candidato.trim().split(/\s+/)[0], 'recurso'));
+            } else if (permitido && nombre === 'target') {
+                permitido = valor === '_blank';
+            }
+
+            if (!permitido) {
+                elemento.removeAttribute(atributo.name);
+            } else if (nombre === 'style') {
+                elemento.setAttribute(atributo.name, this.sanitizarCss(valor));
+            }
+        }
+    }
+
+    /**
+     * Indica si un atributo está permitido (sin mirar todavía su valor)
+     * @private
+     */
+    _atributoPermitido(nombre, esHtml) {
+        if (nombre.startsWith('on')) return false;
+        if (nombre.startsWith('data-') || nombre.startsWith('aria-')) return true;
+
+        // SVG y MathML tienen cientos de atributos de presentación: basta con vetar
+        // los manejadores de eventos y comprobar las URLs
+        return esHtml ? this.ATRIBUTOS_HTML.has(nombre) : !nombre.startsWith('xmlns');
+    }
+
+    /**
+     * Comprueba el esquema de una URL
+     * @param {string} valor
+     * @param {string} tipo - 'enlace' (se abre al pulsar) o 'recurso' (se carga solo)
+     * @returns {boolean}
+     * @private
+     */
+    _urlPermitida(valor, tipo) {
+        // Los navegadores ignoran espacios y caracteres de control dentro del esquema
+        const url = (valor || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+        const esquema = (url.match(/^([a-z][a-z0-9+.-]*):/i) || [])[1];
+
+        // Relativas, anclas y referencias sin esquema
+        if (!esquema) return true;
+
+        switch (esquema.toLowerCase()) {
+            case 'recurso':
+                return true;
+            case 'http':
+            case 'https':
+                return tipo === 'enlace' || !this.estricto;
+            case 'mailto':
+                return tipo === 'enlace';
+            case 'data':
+                return tipo === 'recurso' && /^data:(image|audio|video|font)\//i.test(url);
+            default:
+                return false;
+        }
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Tokenizador de CSS (SRP)
+ * Responsabilidad única: partir una hoja de estilos en tokens como lo haría
+ * el navegador (CSS Syntax Level 3), con los escapes ya decodificados
+ *
+ * Cada token conserva su texto original para poder volver a montar la hoja
+ * sin cambios, y su valor decodificado para compararlo: así "\75rl(" se
+ * reconoce como url( y la URL de url("a).png") termina en la comilla.
+ *
+ * Tipos: 'comentario', 'espacio', 'cadena', 'url' (url sin comillas),
+ * 'funcion' (nombre seguido de "("), 'arroba' (@regla), 'identificador' y
+ * 'delimitador' (cualquier otro carácter, uno a uno).
+ */
+class TokenizadorCss {
+    /**
+     * @param {string} css
+     * @returns {Array<{tipo: string, texto: string, valor: string, invalido?: boolean}>}
+     */
+    tokenizar(css) {
+        const tokens = [];
+        let posicion = 0;
+
+        while (posicion < css.length) {
+            const token = this._leerToken(css, posicion);
+            tokens.push(token);
+            posicion += token.texto.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Lee el token que empieza en una posición
+     * @private
+     */
+    _leerToken(css, inicio) {
+        const caracter = css[inicio];
+
+        if (css.startsWith('/*', inicio)) {
+            const fin = css.indexOf('*/', inicio + 2);
+            const texto = css.slice(inicio, fin === -1 ? css.length : fin + 2);
+            return { tipo: 'comentario', texto, valor: '' };
+        }
+
+        if (/\s/.test(caracter)) {
+            const texto = css.slice(inicio).match(/^\s+/)[0];
+            return { tipo: 'espacio', texto, valor: ' ' };
+        }
+
+        if (caracter === '"' || caracter === "'") {
+            return this._leerCadena(css, inicio);
+        }
+
+        if (caracter === '@' && this._empiezaIdentificador(css, inicio + 1)) {
+            const { valor, fin } = this._leerNombre(css, inicio + 1);
+            return { tipo: 'arroba', texto: css.slice(inicio, fin), valor };
+        }
+
+        if (this._empiezaIdentificador(css, inicio)) {
+            const { valor, fin } = this._leerNombre(css, inicio);
+
+            if (css[fin] !== '(') {
+                return { tipo: 'identificador', texto: css.slice(inicio, fin), valor };
+            }
+
+            // url( sin comillas es un único token con la URL dentro
+            const siguiente = css.slice(fin + 1).match(/^\s*/)[0].length + fin + 1;
+            if (valor.toLowerCase() === 'url' && css[siguiente] !== '"' && css[siguiente] !== "'") {
+                return this._leerUrl(css, inicio, fin + 1);
+            }
+
+            return { tipo: 'funcion', texto: css.slice(inicio, fin + 1), valor };
+        }
+
+        return { tipo: 'delimitador', texto: caracter, valor: caracter };
+    }
+
+    /**
+     * Lee una cadena entre comillas; un salto de línea sin escapar la corta
+     * (cadena inválida, como en el navegador)
+     * @private
+     */
+    _leerCadena(css, inicio) {
+        const comilla = css[inicio];
+        let valor = '';
+        let posicion = inicio + 1;
+
+        while (posicion < css.length) {
+            const caracter = css[posicion];
+
+            if (caracter === comilla) {
+                return { tipo: 'cadena', texto: css.slice(inicio, posicion + 1), valor };
+            }
+            if (caracter === '\n') {
+                return { tipo: 'cadena', texto: css.slice(inicio, posicion), valor, invalido: true };
+            }
+            if (caracter === '\\') {
+                // Barra seguida de salto de línea: continúa en la línea siguiente
+                if (css[posicion + 1] === '\n') {
+                    posicion += 2;
+                    continue;
+                }
+                const escape = this._leerEscape(css, posicion);
+                valor += escape.valor;
+                posicion = escape.fin;
+                continue;
+            }
+
+            valor += caracter;
+            posicion++;
+        }
+
+        return { tipo: 'cadena', texto: css.slice(inicio), valor };
+    }
+
+    /**
+     * Lee una url(...) sin comillas a partir de su contenido. Si dentro hay
+     * comillas, paréntesis o espacios intermedios es inválida: el navegador la
+     * descarta, pero su texto llega igualmente hasta el ")"
+     * @private
+     */
+    _leerUrl(css, inicio, apertura) {
+        let valor = '';
+        let invalido = false;
+        let posicion = apertura;
+
+        while (posicion < css.length && /\s/.test(css[posicion])) posicion++;
+
+        while (posicion < css.length) {
+            const caracter = css[posicion];
+
+            if (caracter === ')') {
+                return { tipo: 'url', texto: css.slice(inicio, posicion + 1), valor, invalido };
+            }
+            if (caracter === '\\' && css[posicion + 1] !== '\n') {
+                const escape = this._leerEscape(css, posicion);
+                valor += escape.valor;
+                posicion = escape.fin;
+                continue;
+            }
+            if (/\s/.test(caracter)) {
+                const espacios = css.slice(posicion).match(/^\s+/)[0].length;
+                if (css[posicion + espacios] !== ')') invalido = true;
+                posicion += espacios;
+                continue;
+            }
+            if (caracter === '"' || caracter === "'" || caracter === '(' || caracter === '\\') {
+                invalido = true;
+            }
+
+            valor += caracter;
+            posicion++;
+        }
+
+        return { tipo: 'url', texto: css.slice(inicio), valor, invalido: true };
+    }
+
+    /**
+     * Lee un nombre (identificador, función o @regla) con sus escapes
+     * @returns {{valor: string, fin: number}}
+     * @private
+     */
+    _leerNombre(css, inicio) {
+        let valor = '';
+        let posicion = inicio;
+
+        while (posicion < css.length) {
+            const caracter = css[posicion];
+
+            if (caracter === '\\' && css[posicion + 1] !== undefined && css[posicion + 1] !== '\n') {
+                const escape = this._leerEscape(css, posicion);
+                valor += escape.valor;
+                posicion = escape.fin;
+            } else if (/[\w-]/.test(caracter) || caracter.charCodeAt(0) >= 0x80) {
+                valor += caracter;
+                posicion++;
+            } else {
+                break;
+            }
+        }
+
+        return { valor, fin: posicion };
+    }
+
+    /**
+     * Indica si en una posición empieza un identificador
+     * @private
+     */
+    _empiezaIdentificador(css, posicion) {
+        const esInicio = (caracter, siguiente) =>
+            caracter !== undefined && (/[a-zA-Z_]/.test(caracter) || caracter.charCodeAt(0) >= 0x80 ||
+                (caracter === '\\' && siguiente !== undefined && siguiente !== '\n'));
+
+        if (css[posicion] === '-') {
+            return css[posicion + 1] === '-' || esInicio(css[posicion + 1], css[posicion + 2]);
+        }
+        return esInicio(css[posicion], css[posicion + 1]);
+    }
+
+    /**
+     * Decodifica un escape: hasta 6 dígitos hexadecimales (y un espacio opcional
+     * tras ellos) o el carácter siguiente tal cual
+     * @returns {{valor: string, fin: number}}
+     * @private
+     */
+    _leerEscape(css, barra) {
+        const hexadecimal = css.slice(barra + 1, barra + 7).match(/^[0-9a-fA-F]+/);
+
+        if (hexadecimal) {
+            const codigo = parseInt(hexadecimal[0], 16);
+            let fin = barra + 1 + hexadecimal[0].length;
+            if (/\s/.test(css[fin] || '')) fin++;
+
+            const valido = codigo > 0 && codigo <= 0x10FFFF && (codigo < 0xD800 || codigo > 0xDFFF);
+            return { valor: valido ? String.fromCodePoint(codigo) : '�', fin };
+        }
+
+        if (barra + 1 >= css.length) return { valor: '�', fin: barra + 1 };
+        return { valor: css[barra + 1], fin: barra + 2 };
+    }
+}
